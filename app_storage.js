@@ -0,0 +1,101 @@
+// App Storage
+// Small promise wrapper around the app's IndexedDB database, for data that should survive a
+// reload (build progress, the file library, the last session). Every call rejects when IndexedDB
+// is unavailable (private browsing, file:// in some browsers), so callers treat storage as best effort.
+
+const DB_NAME = 'mcstructure-analyzer';
+const DB_VERSION = 2;
+
+// Object store name -> created on upgrade; values are stored under explicit keys
+export const STORES = {
+    buildProgress: 'buildProgress',
+    libraryEntries: 'libraryEntries',
+    libraryFiles: 'libraryFiles',
+    session: 'session',
+};
+
+let databasePromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(STORES).forEach((name) => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The app database is open in an older tab; close it and reload.'));
+        });
+        // Let a later call try again
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+async function withStore(storeName, mode, action) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error ?? new Error('Storage transaction aborted.'));
+    });
+    // A failed request aborts the transaction too; handled here so that rejection is never left unhandled
+    done.catch(() => {});
+    const request = requestToPromise(action(transaction.objectStore(storeName)));
+    // Writes only count once the transaction has committed
+    const [result] = await Promise.all([request, mode === 'readwrite' ? done : null]);
+    return result;
+}
+
+/**
+ * @param {string} storeName - One of STORES.
+ * @param {string} key
+ * @returns {Promise<any>} The stored value, or undefined.
+ */
+export function storageGet(storeName, key) {
+    return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * @param {string} storeName - One of STORES.
+ * @param {string} key
+ * @param {any} value - Anything structured clone can copy (typed arrays included).
+ * @returns {Promise<void>}
+ */
+export async function storagePut(storeName, key, value) {
+    await withStore(storeName, 'readwrite', (store) => store.put(value, key));
+}
+
+/**
+ * @param {string} storeName - One of STORES.
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function storageDelete(storeName, key) {
+    await withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Every value in a store.
+ * @param {string} storeName - One of STORES.
+ * @returns {Promise<any[]>}
+ */
+export function storageGetAll(storeName) {
+    return withStore(storeName, 'readonly', (store) => store.getAll());
+}
@@ -0,0 +1,466 @@
+// Block Models
+// Shapes for blocks that aren't full cubes, worked out from the block name, its states and (for
+// stairs, fences, walls and panes) the neighbouring blocks. Models are lists of boxes in block
+// pixels (0-16 on each axis); buildModelGeometry turns them into plain vertex arrays. Also reads
+// Bedrock geometry JSON from resource packs. No DOM or THREE.js.
+
+import { isAirBlockName } from './structure_volume.js';
+
+// Material slots, in the order the per-face material arrays use
+const FACES = ['east', 'west', 'up', 'down', 'south', 'north'];
+// Horizontal directions clockwise as seen from above
+const HORIZONTAL = ['north', 'east', 'south', 'west'];
+
+/**
+ * Cell offsets of the six neighbours.
+ * @type {Object<string, number[]>}
+ */
+export const NEIGHBOR_OFFSETS = {
+    north: [0, 0, -1],
+    east: [1, 0, 0],
+    south: [0, 0, 1],
+    west: [-1, 0, 0],
+    up: [0, 1, 0],
+    down: [0, -1, 0],
+};
+
+/**
+ * What the integer orientation states mean: state value -> direction. `direction` is read the way beds,
+ * fence gates and pumpkins number it; doors and trapdoors number it differently (see getDirectionStateValues).
+ * @type {Object<string, string[]>}
+ */
+export const DIRECTION_STATE_VALUES = {
+    facing_direction: ['down', 'up', 'north', 'south', 'west', 'east'],
+    weirdo_direction: ['east', 'west', 'south', 'north'],
+    direction: ['south', 'west', 'north', 'east'],
+};
+
+// Model kinds whose `direction` state has its own numbering
+const KIND_DIRECTION_STATE_VALUES = {
+    door: { ...DIRECTION_STATE_VALUES, direction: ['east', 'south', 'west', 'north'] },
+    trapdoor: { ...DIRECTION_STATE_VALUES, direction: ['east', 'west', 'south', 'north'] },
+};
+
+/**
+ * DIRECTION_STATE_VALUES as a given block numbers them: the same tables, with the door and
+ * trapdoor numbering of `direction` for those blocks.
+ * @param {string} [name] - Block identifier.
+ * @returns {Object<string, string[]>}
+ */
+export function getDirectionStateValues(name) {
+    return KIND_DIRECTION_STATE_VALUES[getBlockKind(name)] ?? DIRECTION_STATE_VALUES;
+}
+
+// Block name patterns for each model kind; the first match wins
+const BLOCK_KINDS = [
+    ['double_slab', /(^|:)double_.*slab\d*$|_double_slab$/],
+    ['slab', /slab\d*$/],
+    ['stairs', /_stairs$/],
+    ['trapdoor', /trapdoor$/],
+    ['door', /_door$/],
+    ['fence_gate', /(^|:|_)fence_gate$/],
+    ['fence', /(^|:|_)fence$/],
+    ['wall', /_wall$|(^|:)border_block$/],
+    ['pane', /(^|:|_)glass_pane$|_pane$|(^|:)iron_bars$/],
+    ['button', /(^|_|:)button$/],
+];
+
+// Full cubes that fences, walls and panes don't attach to
+const NON_SOLID_PATTERN = /(water|lava|torch|flower|sapling|tallgrass|tall_grass|fern|vine|rail|carpet|snow_layer|ladder|sign|banner|lever|redstone_wire|pressure_plate|portal|fire|web|kelp|seagrass|coral|mushroom$|skull|head$|candle|lantern|chain$|leaves)/;
+
+const kindCache = new Map();
+
+/**
+ * The model kind of a block: 'cube' or one of 'slab', 'double_slab', 'stairs', 'door', 'trapdoor',
+ * 'fence', 'fence_gate', 'wall', 'pane', 'button'.
+ * @param {string} name - Block identifier.
+ * @returns {string}
+ */
+export function getBlockKind(name) {
+    const id = String(name ?? '').toLowerCase();
+    if (!kindCache.has(id)) {
+        kindCache.set(id, BLOCK_KINDS.find(([, pattern]) => pattern.test(id))?.[0] ?? 'cube');
+    }
+    return kindCache.get(id);
+}
+
+/**
+ * True when a block's shape depends on its neighbours (stair corners and fence/wall/pane connections).
+ * @param {{name: string, states?: object}} entry - Palette entry.
+ * @returns {boolean}
+ */
+export function modelNeedsNeighbors(entry) {
+    return ['stairs', 'fence', 'wall', 'pane'].includes(getBlockKind(entry?.name));
+}
+
+/**
+ * True when a block fills its whole cell (what the chunk mesher merges).
+ * @param {{name: string, states?: object}} entry
+ * @returns {boolean}
+ */
+export function isFullCubeBlock(entry) {
+    const kind = getBlockKind(entry?.name);
+    return kind === 'cube' || kind === 'double_slab' || (kind === 'slab' && readSlabHalf(entry.states) === 'double');
+}
+
+function isSolidNeighbor(entry) {
+    const name = String(entry?.name ?? '').toLowerCase();
+    return !!name && !isAirBlockName(name) && isFullCubeBlock(entry) && !NON_SOLID_PATTERN.test(name);
+}
+
+function isTrue(value) {
+    return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+function clockwise(direction, turns = 1) {
+    return HORIZONTAL[(HORIZONTAL.indexOf(direction) + turns) % 4];
+}
+
+function opposite(direction) {
+    return clockwise(direction, 2);
+}
+
+// Reads a horizontal direction from the first state present; tables map integer states to directions
+function readDirection(states = {}, keys) {
+    for (const [key, table] of keys) {
+        const value = states[key];
+        if (value === undefined || value === null) continue;
+        if (!table) return HORIZONTAL.includes(String(value)) ? String(value) : null;
+        return table[Number(value)] ?? null;
+    }
+    return null;
+}
+
+const STAIR_FACING = [['weirdo_direction', DIRECTION_STATE_VALUES.weirdo_direction], ['facing', null]];
+const TRAPDOOR_FACING = [['direction', KIND_DIRECTION_STATE_VALUES.trapdoor.direction], ['facing', null]];
+const DOOR_FACING = [['minecraft:cardinal_direction', null], ['facing', null], ['direction', KIND_DIRECTION_STATE_VALUES.door.direction]];
+const GATE_FACING = [['direction', DIRECTION_STATE_VALUES.direction], ['minecraft:cardinal_direction', null], ['facing', null]];
+
+/**
+ * The direction a block faces, from whichever orientation state it has: minecraft:cardinal_direction,
+ * a Java facing, facing_direction, weirdo_direction or direction (in that order).
+ * @param {object} [states] - Block states.
+ * @param {string} [name] - Block identifier; picks the door and trapdoor numbering of `direction`.
+ * @returns {'north'|'east'|'south'|'west'|'up'|'down'|null}
+ */
+export function readFacing(states = {}, name = '') {
+    for (const key of ['minecraft:cardinal_direction', 'facing']) {
+        const value = states?.[key];
+        if (typeof value === 'string' && NEIGHBOR_OFFSETS[value]) return value;
+    }
+    for (const [key, values] of Object.entries(getDirectionStateValues(name))) {
+        const value = states?.[key];
+        if (value === undefined || value === null || value === '') continue;
+        return values[Number(value)] ?? null;
+    }
+    return null;
+}
+
+function readSlabHalf(states = {}) {
+    if (states.type === 'double') return 'double';
+    if (states['minecraft:vertical_half'] === 'top' || states.type === 'top' || isTrue(states.top_slot_bit)) return 'top';
+    return 'bottom';
+}
+
+function readUpsideDown(states = {}) {
+    return isTrue(states.upside_down_bit) || states.half === 'top';
+}
+
+function box(from, to, material = null) {
+    return material ? { from, to, material } : { from, to };
+}
+
+// Rotates a box clockwise (seen from above) around the block's vertical axis, in quarter turns
+function rotateBox({ from, to, material }, turns) {
+    let [x1, z1, x2, z2] = [from[0], from[2], to[0], to[2]];
+    for (let i = 0; i < turns; i++) {
+        // A clockwise quarter turn sends north (-Z) to east (+X)
+        [x1, z1, x2, z2] = [16 - z2, x1, 16 - z1, x2];
+    }
+    return box([x1, from[1], z1], [x2, to[1], z2], material);
+}
+
+// A slab of the given thickness against one side of the cell
+function sideBox(side, thickness, y1 = 0, y2 = 16, material = null) {
+    switch (side) {
+        case 'north': return box([0, y1, 0], [16, y2, thickness], material);
+        case 'south': return box([0, y1, 16 - thickness], [16, y2, 16], material);
+        case 'west': return box([0, y1, 0], [thickness, y2, 16], material);
+        default: return box([16 - thickness, y1, 0], [16, y2, 16], material);
+    }
+}
+
+// Stair corner shapes from the neighbours, following Java Edition's rules (Bedrock doesn't store them)
+function readStairShape(states, facing, upsideDown, neighbor) {
+    if (typeof states.shape === 'string' && states.shape !== 'straight') return states.shape;
+    if (!neighbor) return 'straight';
+    const stairAt = (direction) => {
+        const entry = neighbor(direction);
+        if (getBlockKind(entry?.name) !== 'stairs') return null;
+        const states = entry.states ?? {};
+        return { facing: readDirection(states, STAIR_FACING), upsideDown: readUpsideDown(states) };
+    };
+    const sameAxis = (a, b) => a === b || a === opposite(b);
+    const canTakeShape = (direction) => {
+        const other = stairAt(direction);
+        return !other || other.facing !== facing || other.upsideDown !== upsideDown;
+    };
+    const front = stairAt(facing);
+    if (front && front.upsideDown === upsideDown && front.facing && !sameAxis(front.facing, facing) && canTakeShape(opposite(front.facing))) {
+        return front.facing === clockwise(facing, 3) ? 'outer_left' : 'outer_right';
+    }
+    const back = stairAt(opposite(facing));
+    if (back && back.upsideDown === upsideDown && back.facing && !sameAxis(back.facing, facing) && canTakeShape(back.facing)) {
+        return back.facing === clockwise(facing, 3) ? 'inner_left' : 'inner_right';
+    }
+    return 'straight';
+}
+
+function stairsModel(states, neighbor) {
+    const facing = readDirection(states, STAIR_FACING) ?? 'east';
+    const upsideDown = readUpsideDown(states);
+    const shape = readStairShape(states, facing, upsideDown, neighbor);
+    const [slabY, stepY] = upsideDown ? [[8, 16], [0, 8]] : [[0, 8], [8, 16]];
+    // The step, drawn for a stair facing (rising towards) north, then turned to its facing
+    const quadrants = {
+        straight: [[0, 0, 16, 8]],
+        outer_left: [[0, 0, 8, 8]],
+        outer_right: [[8, 0, 16, 8]],
+        inner_left: [[0, 0, 16, 8], [0, 8, 8, 16]],
+        inner_right: [[0, 0, 16, 8], [8, 8, 16, 16]],
+    }[shape] ?? [[0, 0, 16, 8]];
+    const turns = HORIZONTAL.indexOf(facing);
+    const boxes = [box([0, slabY[0], 0], [16, slabY[1], 16])];
+    quadrants.forEach(([x1, z1, x2, z2]) => boxes.push(rotateBox(box([x1, stepY[0], z1], [x2, stepY[1], z2]), turns)));
+    return { key: `stairs:${facing}:${upsideDown ? 'top' : 'bottom'}:${shape}`, boxes };
+}
+
+function doorModel(states) {
+    const facing = readDirection(states, DOOR_FACING) ?? 'east';
+    const open = isTrue(states.open_bit) || isTrue(states.open);
+    const rightHinge = isTrue(states.door_hinge_bit) || states.hinge === 'right';
+    const upper = isTrue(states.upper_block_bit) || states.half === 'upper';
+    // Closed doors sit on the side they were placed from; open ones swing against the hinge side
+    const side = !open ? opposite(facing) : clockwise(facing, rightHinge ? 1 : 3);
+    // Door textures: the upper half uses the side texture, the lower half the bottom texture
+    return {
+        key: `door:${side}:${upper ? 'upper' : 'lower'}`,
+        boxes: [sideBox(side, 3, 0, 16, upper ? 'east' : 'down')],
+    };
+}
+
+function trapdoorModel(states) {
+    const facing = readDirection(states, TRAPDOOR_FACING) ?? 'north';
+    const open = isTrue(states.open_bit) || isTrue(states.open);
+    const top = readUpsideDown(states);
+    if (open) return { key: `trapdoor:open:${facing}`, boxes: [sideBox(opposite(facing), 3)] };
+    return { key: `trapdoor:${top ? 'top' : 'bottom'}`, boxes: [top ? box([0, 13, 0], [16, 16, 16]) : box([0, 0, 0], [16, 3, 16])] };
+}
+
+// Which sides a fence, wall or pane connects on; walls report 'short' or 'tall'
+function readConnections(kind, entry, neighbor) {
+    const states = entry.states ?? {};
+    const connections = {};
+    if (kind === 'wall' && HORIZONTAL.some((side) => states[`wall_connection_type_${side}`] !== undefined)) {
+        HORIZONTAL.forEach((side) => {
+            const type = states[`wall_connection_type_${side}`];
+            if (type === 'short' || type === 'tall') connections[side] = type;
+        });
+        return connections;
+    }
+    if (HORIZONTAL.some((side) => states[side] !== undefined)) {
+        // Java states: true/false for fences and panes, none/low/tall for walls
+        HORIZONTAL.forEach((side) => {
+            const value = states[side];
+            if (value === 'tall') connections[side] = 'tall';
+            else if (value === 'low' || isTrue(value)) connections[side] = 'short';
+        });
+        return connections;
+    }
+    if (!neighbor) return connections;
+    const fenceFamily = (name) => (String(name).includes('nether_brick') ? 'nether' : 'wood');
+    HORIZONTAL.forEach((side) => {
+        const other = neighbor(side);
+        if (!other) return;
+        const otherKind = getBlockKind(other.name);
+        let connects = isSolidNeighbor(other) || otherKind === 'fence_gate';
+        if (kind === 'fence') connects ||= otherKind === 'fence' && fenceFamily(other.name) === fenceFamily(entry.name);
+        else connects ||= otherKind === 'wall' || otherKind === 'pane';
+        if (connects) connections[side] = 'short';
+    });
+    return connections;
+}
+
+function connectingModel(kind, entry, neighbor) {
+    const states = entry.states ?? {};
+    const connections = readConnections(kind, entry, neighbor);
+    const sides = HORIZONTAL.filter((side) => connections[side]);
+    const boxes = [];
+    if (kind === 'fence') {
+        boxes.push(box([6, 0, 6], [10, 16, 10]));
+        // Two rails per side, drawn for north and turned
+        sides.forEach((side) => {
+            const turns = HORIZONTAL.indexOf(side);
+            boxes.push(rotateBox(box([7, 12, 0], [9, 15, 6]), turns), rotateBox(box([7, 6, 0], [9, 9, 6]), turns));
+        });
+        return { key: `fence:${sides.join(',')}`, boxes };
+    }
+    if (kind === 'pane') {
+        boxes.push(box([7, 0, 7], [9, 16, 9]));
+        sides.forEach((side) => boxes.push(rotateBox(box([7, 0, 0], [9, 16, 7]), HORIZONTAL.indexOf(side))));
+        return { key: `pane:${sides.join(',')}`, boxes };
+    }
+    const straight = sides.length === 2 && sides[1] === opposite(sides[0]);
+    const hasPostState = states.wall_post_bit !== undefined || states.up !== undefined;
+    // A wall with nothing to connect to still shows its post
+    const post = (hasPostState ? isTrue(states.wall_post_bit) || isTrue(states.up) : !straight) || sides.length === 0;
+    if (post) boxes.push(box([4, 0, 4], [12, 16, 12]));
+    sides.forEach((side) => {
+        const height = connections[side] === 'tall' ? 16 : 14;
+        boxes.push(rotateBox(box([5, 0, 0], [11, height, post ? 4 : 8]), HORIZONTAL.indexOf(side)));
+    });
+    return { key: `wall:${sides.map((side) => `${side}=${connections[side]}`).join(',')}:${post ? 'post' : ''}`, boxes };
+}
+
+function fenceGateModel(states) {
+    const facing = readDirection(states, GATE_FACING) ?? 'north';
+    const open = isTrue(states.open_bit) || isTrue(states.open);
+    const drop = isTrue(states.in_wall_bit) || isTrue(states.in_wall) ? 3 : 0;
+    const y = (value) => value - drop;
+    // Drawn for a gate facing north (spanning X), then turned
+    const boxes = [box([0, y(5), 7], [2, y(16), 9]), box([14, y(5), 7], [16, y(16), 9])];
+    if (open) {
+        boxes.push(box([0, y(6), 9], [2, y(15), 16]), box([14, y(6), 9], [16, y(15), 16]));
+    } else {
+        boxes.push(box([2, y(6), 7], [14, y(9), 9]), box([2, y(12), 7], [14, y(15), 9]));
+    }
+    const turns = HORIZONTAL.indexOf(facing);
+    return { key: `fence_gate:${facing}:${open ? 'open' : 'closed'}:${drop}`, boxes: boxes.map((b) => rotateBox(b, turns)) };
+}
+
+function buttonModel(states) {
+    const facing = Number(states.facing_direction ?? 1);
+    const depth = isTrue(states.button_pressed_bit) || isTrue(states.powered) ? 1 : 2;
+    let model;
+    if (facing === 0) model = box([5, 16 - depth, 6], [11, 16, 10]);
+    else if (facing === 1) model = box([5, 0, 6], [11, depth, 10]);
+    else {
+        // Wall buttons point the way they face, so they sit against the opposite side of the cell
+        const side = opposite(['north', 'south', 'west', 'east'][facing - 2] ?? 'north');
+        model = rotateBox(box([5, 6, 0], [11, 10, depth]), HORIZONTAL.indexOf(side));
+    }
+    return { key: `button:${facing}:${depth}`, boxes: [model] };
+}
+
+/**
+ * Resolves the model of a block.
+ * @param {{name: string, states?: object}} entry - Palette entry.
+ * @param {object} [options]
+ * @param {(direction: string) => ({name: string, states?: object}|null)} [options.neighbor] - The block on a
+ *   side ('north', 'east', 'south', 'west', 'up', 'down'); without it, connecting blocks stand alone.
+ * @param {{key: string, boxes: object[]}|null} [options.packModel] - Geometry from the resource pack; wins when given.
+ * @returns {{key: string, boxes: Array<{from: number[], to: number[], material?: string}>}|null}
+ *   Null for a full cube. Equal keys mean equal boxes.
+ */
+export function getBlockModel(entry, { neighbor = null, packModel = null } = {}) {
+    if (packModel) return packModel;
+    const states = entry?.states ?? {};
+    const kind = getBlockKind(entry?.name);
+    switch (kind) {
+        case 'slab': {
+            const half = readSlabHalf(states);
+            if (half === 'double') return null;
+            return { key: `slab:${half}`, boxes: [half === 'top' ? box([0, 8, 0], [16, 16, 16]) : box([0, 0, 0], [16, 8, 16])] };
+        }
+        case 'stairs': return stairsModel(states, neighbor);
+        case 'door': return doorModel(states);
+        case 'trapdoor': return trapdoorModel(states);
+        case 'fence':
+        case 'wall':
+        case 'pane':
+            return connectingModel(kind, entry, neighbor);
+        case 'fence_gate': return fenceGateModel(states);
+        case 'button': return buttonModel(states);
+        default: return null;
+    }
+}
+
+// Corners of each face as from/to picks per axis ('tft' = to.x, from.y, to.z), counter-clockwise seen
+// from outside. Auto UVs: each face shows the part of the texture under it, as on a full block.
+const FACE_VERTICES = {
+    east: { normal: [1, 0, 0], corners: ['tft', 'tff', 'ttf', 'ttt'], uv: ([, y, z]) => [1 - z / 16, y / 16] },
+    west: { normal: [-1, 0, 0], corners: ['fff', 'fft', 'ftt', 'ftf'], uv: ([, y, z]) => [z / 16, y / 16] },
+    up: { normal: [0, 1, 0], corners: ['ftt', 'ttt', 'ttf', 'ftf'], uv: ([x, , z]) => [x / 16, 1 - z / 16] },
+    down: { normal: [0, -1, 0], corners: ['fff', 'tff', 'tft', 'fft'], uv: ([x, , z]) => [x / 16, z / 16] },
+    south: { normal: [0, 0, 1], corners: ['fft', 'tft', 'ttt', 'ftt'], uv: ([x, y]) => [x / 16, y / 16] },
+    north: { normal: [0, 0, -1], corners: ['tff', 'fff', 'ftf', 'ttf'], uv: ([x, y]) => [1 - x / 16, y / 16] },
+};
+
+/**
+ * Builds vertex arrays for a model, centred on the origin with the cell spanning -0.5..0.5.
+ * Faces are grouped by material slot (east, west, up, down, south, north) by the direction they
+ * face, or all in one slot when a box names a `material`.
+ * @param {Array<{from: number[], to: number[], material?: string}>} boxes
+ * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array, groups: Array<{start: number, count: number, materialIndex: number}>}}
+ */
+export function buildModelGeometry(boxes) {
+    const buckets = FACES.map(() => []);
+    boxes.forEach(({ from, to, material }) => {
+        FACES.forEach((face, faceIndex) => {
+            const slot = material ? FACES.indexOf(material) : faceIndex;
+            buckets[slot >= 0 ? slot : faceIndex].push({ face, from, to });
+        });
+    });
+    const quadCount = buckets.reduce((sum, bucket) => sum + bucket.length, 0);
+    const positions = new Float32Array(quadCount * 12);
+    const normals = new Float32Array(quadCount * 12);
+    const uvs = new Float32Array(quadCount * 8);
+    const indices = new Uint32Array(quadCount * 6);
+    const groups = [];
+    let quad = 0;
+    buckets.forEach((bucket, materialIndex) => {
+        if (bucket.length === 0) return;
+        groups.push({ start: quad * 6, count: bucket.length * 6, materialIndex });
+        bucket.forEach(({ face, from, to }) => {
+            const { normal, corners, uv } = FACE_VERTICES[face];
+            corners.forEach((corner, i) => {
+                const point = [0, 1, 2].map((axis) => (corner[axis] === 't' ? to[axis] : from[axis]));
+                const vertex = quad * 4 + i;
+                positions.set(point.map((value) => value / 16 - 0.5), vertex * 3);
+                normals.set(normal, vertex * 3);
+                uvs.set(uv(point), vertex * 2);
+            });
+            indices.set([0, 1, 2, 0, 2, 3].map((offset) => quad * 4 + offset), quad * 6);
+            quad++;
+        });
+    });
+    return { positions, normals, uvs, indices, groups };
+}
+
+/**
+ * Reads the cubes of Bedrock geometry files (models/blocks/*.geo.json, format 1.12+ and the older
+ * "geometry.name" layout) into box models. Cube rotations are ignored.
+ * @param {object} json - A parsed geometry file.
+ * @returns {Map<string, {key: string, boxes: object[]}>} Models by identifier (e.g. "geometry.custom_lamp").
+ */
+export function parseGeometryFile(json) {
+    const models = new Map();
+    const definitions = Array.isArray(json?.['minecraft:geometry'])
+        ? json['minecraft:geometry'].map((geometry) => [geometry?.description?.identifier, geometry])
+        : Object.entries(json ?? {}).filter(([key]) => key.startsWith('geometry.')).map(([key, geometry]) => [key.split(':')[0], geometry]);
+    definitions.forEach(([identifier, geometry]) => {
+        if (!identifier || !Array.isArray(geometry?.bones)) return;
+        const boxes = [];
+        geometry.bones.forEach((bone) => {
+            (bone.cubes ?? []).forEach(({ origin, size }) => {
+                if (!Array.isArray(origin) || !Array.isArray(size)) return;
+                // Geometry X runs the other way to world X; the block spans -8..8 on X and Z, 0..16 on Y
+                const x1 = 8 - (origin[0] + size[0]);
+                const z1 = origin[2] + 8;
+                boxes.push(box([x1, origin[1], z1], [x1 + size[0], origin[1] + size[1], z1 + size[2]]));
+            });
+        });
+        if (boxes.length) models.set(identifier, { key: `geometry:${identifier}`, boxes });
+    });
+    return models;
+}
@@ -0,0 +1,304 @@
+// Java <-> Bedrock Block Translation
+// Converts Java block states (name + string properties) to Bedrock name + states records and back,
+// driven by data/java_bedrock_blocks.json.
+//
+// Mapping format:
+//   renames:  { javaName: bedrockName }           plain renames, applied before any rule
+//   blocks:   { javaName: rule }                   rules for single blocks
+//   patterns: [ { match: regex, ...rule } ]        rules for block families, first match wins
+// A rule may contain:
+//   states:   { javaProp: { bedrock, values } | { bedrock, type: 'int'|'bool'|'string' } | { drop: true } }
+//   combined: [ { from: [javaProps], bedrock, values: { 'a,b': value } } ]   ('*' matches anything)
+//   variants: [ { when: { javaProp: value }, replace: [regex, repl], reverse: [regex, repl], states } ]
+//   replace / reverse:  name rewrite when there's no explicit rename (and its inverse)
+//   bedrockDefaults / javaDefaults: states only one edition has
+// `waterlogged` needs no rule: Bedrock keeps the water in the second block layer, so javaToBedrock
+// reports it separately and the importers and writers move it between the property and that layer.
+
+const DEFAULT_MAPPINGS_URL = new URL('./data/java_bedrock_blocks.json', import.meta.url);
+
+let defaultTranslatorPromise = null;
+
+function normalizeValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'bigint') return Number(value);
+    return value;
+}
+
+function sameValue(a, b) {
+    return String(normalizeValue(a)) === String(normalizeValue(b));
+}
+
+function convertToBedrock(value, type) {
+    switch (type) {
+        case 'int':
+            return parseInt(value, 10);
+        case 'bool':
+            return value === true || value === 'true';
+        default:
+            return String(value);
+    }
+}
+
+function convertToJava(value, type) {
+    if (type === 'bool') return String(Boolean(Number(normalizeValue(value))));
+    return String(normalizeValue(value));
+}
+
+function matchesWhen(states, when = {}) {
+    return Object.entries(when).every(([key, value]) => sameValue(states[key], value));
+}
+
+/**
+ * Loads the mapping data file (fetch in the browser, the filesystem under Node).
+ * @param {string|URL} [url]
+ * @returns {Promise<object>}
+ */
+export async function loadBlockMappings(url = DEFAULT_MAPPINGS_URL) {
+    const target = url instanceof URL ? url : new URL(url, import.meta.url);
+    if (target.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        return JSON.parse(await readFile(target, 'utf8'));
+    }
+    const response = await fetch(target);
+    if (!response.ok) {
+        throw new Error(`Could not load block mappings from ${target} (HTTP ${response.status}).`);
+    }
+    return response.json();
+}
+
+export class BlockTranslator {
+    /**
+     * @param {object} mappings - Parsed data/java_bedrock_blocks.json.
+     */
+    constructor(mappings) {
+        this.renames = mappings?.renames ?? {};
+        this.blocks = mappings?.blocks ?? {};
+        this.patterns = (mappings?.patterns ?? []).map((rule) => ({ ...rule, regex: new RegExp(rule.match) }));
+        // Bedrock name -> Java names, for the reverse direction
+        this.reverseRenames = new Map();
+        Object.entries(this.renames).forEach(([javaName, bedrockName]) => {
+            if (!this.reverseRenames.has(bedrockName)) this.reverseRenames.set(bedrockName, []);
+            this.reverseRenames.get(bedrockName).push(javaName);
+        });
+    }
+
+    findRule(javaName) {
+        return this.blocks[javaName] ?? this.patterns.find((rule) => rule.regex.test(javaName)) ?? null;
+    }
+
+    /**
+     * Translates a Java block state.
+     * status is 'exact' (everything mapped), 'partial' (some properties had no mapping),
+     * 'identity' (no rule needed: same name, no properties) or 'untranslated' (no rule for its properties).
+     * @param {string} javaName
+     * @param {object} [javaStates] - Java properties (string values).
+     * @returns {{name: string, states: object, status: string, unmapped: string[], waterlogged: boolean}}
+     *   waterlogged: the block holds water (Bedrock: water in the secondary layer).
+     */
+    javaToBedrock(javaName, javaStates = {}) {
+        const { waterlogged, ...properties } = javaStates;
+        return { ...this.translateJavaStates(javaName, properties), waterlogged: sameValue(waterlogged, 'true') };
+    }
+
+    translateJavaStates(javaName, javaStates) {
+        const rule = this.findRule(javaName);
+        const rename = this.renames[javaName];
+        const propertyNames = Object.keys(javaStates);
+        if (!rule) {
+            return {
+                name: rename ?? javaName,
+                states: {},
+                status: propertyNames.length ? 'untranslated' : (rename ? 'exact' : 'identity'),
+                unmapped: propertyNames,
+            };
+        }
+
+        let name = rename ?? (rule.replace ? javaName.replace(new RegExp(rule.replace[0]), rule.replace[1]) : javaName);
+        const states = { ...(rule.bedrockDefaults ?? {}) };
+        const consumed = new Set();
+        const unmapped = [];
+
+        const variant = (rule.variants ?? []).find((candidate) => matchesWhen(javaStates, candidate.when));
+        if (variant) {
+            if (variant.replace) name = name.replace(new RegExp(variant.replace[0]), variant.replace[1]);
+            Object.assign(states, variant.states ?? {});
+            Object.keys(variant.when ?? {}).forEach((key) => consumed.add(key));
+        }
+
+        (rule.combined ?? []).forEach((spec) => {
+            const actual = spec.from.map((prop) => javaStates[prop]);
+            const key = Object.keys(spec.values).find((candidate) => candidate.split(',')
+                .every((part, i) => part === '*' || sameValue(actual[i], part)));
+            if (key === undefined) {
+                unmapped.push(spec.from.join('+'));
+            } else {
+                states[spec.bedrock] = spec.values[key];
+            }
+            spec.from.forEach((prop) => consumed.add(prop));
+        });
+
+        // Properties that only select a variant never reach the Bedrock states (e.g. lit=false on a furnace)
+        (rule.variants ?? []).forEach((candidate) => Object.keys(candidate.when ?? {}).forEach((key) => {
+            if (!rule.states?.[key]) consumed.add(key);
+        }));
+
+        propertyNames.forEach((prop) => {
+            if (consumed.has(prop)) return;
+            const spec = rule.states?.[prop];
+            const value = javaStates[prop];
+            if (!spec) {
+                unmapped.push(prop);
+            } else if (spec.drop) {
+                // Java-only state (shape, fence connections, ...)
+            } else if (spec.values) {
+                const key = Object.keys(spec.values).find((candidate) => sameValue(candidate, value));
+                if (key === undefined) unmapped.push(prop);
+                else states[spec.bedrock] = spec.values[key];
+            } else {
+                states[spec.bedrock] = convertToBedrock(value, spec.type);
+            }
+        });
+
+        return { name, states, status: unmapped.length ? 'partial' : 'exact', unmapped };
+    }
+
+    /**
+     * Translates a Bedrock block (name + states) to Java. Several Java blocks can share a Bedrock
+     * name (torch / wall_torch), so every candidate is tried and the one mapping the most states wins.
+     * @param {string} bedrockName
+     * @param {object} [bedrockStates]
+     * @returns {{name: string, states: object, status: string, unmapped: string[]}}
+     */
+    bedrockToJava(bedrockName, bedrockStates = {}) {
+        const candidates = [];
+        const addCandidate = (javaName, variant = null) => {
+            (this.reverseRenames.get(javaName) ?? [javaName]).forEach((name) => candidates.push({ name, variant }));
+        };
+
+        (this.reverseRenames.get(bedrockName) ?? []).forEach((javaName) => candidates.push({ name: javaName, variant: null }));
+        const rules = [...Object.values(this.blocks), ...this.patterns];
+        rules.forEach((rule) => {
+            (rule.variants ?? []).forEach((variant) => {
+                if (!variant.reverse) return;
+                const regex = new RegExp(variant.reverse[0]);
+                if (regex.test(bedrockName)) addCandidate(bedrockName.replace(regex, variant.reverse[1]), variant);
+            });
+            if (rule.reverse) {
+                const regex = new RegExp(rule.reverse[0]);
+                if (regex.test(bedrockName)) addCandidate(bedrockName.replace(regex, rule.reverse[1]));
+            }
+        });
+        candidates.push({ name: bedrockName, variant: null });
+
+        let best = null;
+        candidates.forEach((candidate) => {
+            const rule = this.findRule(candidate.name);
+            // A variant candidate only counts if its name really belongs to the rule that declares it
+            if (candidate.variant && !(rule?.variants ?? []).includes(candidate.variant)) return;
+            const result = this.reverseStates(candidate.name, rule, candidate.variant, bedrockStates);
+            if (result.status === 'identity' && candidate.name !== bedrockName) result.status = 'exact';
+            if (!best || result.unmapped.length < best.unmapped.length) best = result;
+        });
+        return best;
+    }
+
+    reverseStates(javaName, rule, variant, bedrockStates) {
+        const stateNames = Object.keys(bedrockStates);
+        if (!rule) {
+            return {
+                name: javaName,
+                states: {},
+                status: stateNames.length ? 'untranslated' : 'identity',
+                unmapped: stateNames,
+            };
+        }
+
+        const states = {};
+        const consumed = new Set(Object.keys(variant?.states ?? {}));
+        const unmapped = [];
+
+        Object.entries(rule.bedrockDefaults ?? {}).forEach(([key, value]) => {
+            // A Bedrock-only state that disagrees with the default means this is a different Java block
+            if (key in bedrockStates && !sameValue(bedrockStates[key], value)) unmapped.push(key);
+            consumed.add(key);
+        });
+
+        (rule.combined ?? []).forEach((spec) => {
+            consumed.add(spec.bedrock);
+            if (!(spec.bedrock in bedrockStates)) return;
+            const key = Object.keys(spec.values).find((candidate) => sameValue(spec.values[candidate], bedrockStates[spec.bedrock]));
+            if (key === undefined) {
+                unmapped.push(spec.bedrock);
+                return;
+            }
+            key.split(',').forEach((part, i) => {
+                const prop = spec.from[i];
+                if (part !== '*') states[prop] = part;
+                else if (rule.javaDefaults?.[prop] !== undefined) states[prop] = rule.javaDefaults[prop];
+            });
+        });
+
+        Object.entries(rule.states ?? {}).forEach(([prop, spec]) => {
+            if (spec.drop || !(spec.bedrock in bedrockStates)) return;
+            consumed.add(spec.bedrock);
+            const value = bedrockStates[spec.bedrock];
+            if (spec.values) {
+                const key = Object.keys(spec.values).find((candidate) => sameValue(spec.values[candidate], value));
+                if (key === undefined) unmapped.push(spec.bedrock);
+                else states[prop] = key;
+            } else {
+                states[prop] = convertToJava(value, spec.type);
+            }
+        });
+
+        stateNames.forEach((key) => {
+            if (!consumed.has(key)) unmapped.push(key);
+        });
+
+        Object.entries(rule.javaDefaults ?? {}).forEach(([prop, value]) => {
+            if (states[prop] === undefined) states[prop] = value;
+        });
+        (rule.variants ?? []).forEach((candidate) => {
+            Object.entries(candidate.when ?? {}).forEach(([prop, value]) => {
+                if (candidate === variant) states[prop] = value;
+            });
+        });
+
+        return { name: javaName, states, status: unmapped.length ? 'partial' : 'exact', unmapped };
+    }
+}
+
+/**
+ * Shared translator built from the bundled mapping file; loaded once.
+ * @returns {Promise<BlockTranslator>}
+ */
+export function getDefaultBlockTranslator() {
+    if (!defaultTranslatorPromise) {
+        defaultTranslatorPromise = loadBlockMappings()
+            .then((mappings) => new BlockTranslator(mappings))
+            .catch((error) => {
+                defaultTranslatorPromise = null;
+                throw error;
+            });
+    }
+    return defaultTranslatorPromise;
+}
+
+/**
+ * Lists the palette entries of a converted structure that didn't translate cleanly.
+ * @param {object[]} palette - Palette entries carrying { java, translation } from the importers.
+ * @returns {{blockState: string, status: string, unmapped: string[]}[]}
+ */
+export function collectTranslationIssues(palette) {
+    const seen = new Set();
+    const issues = [];
+    palette.forEach((entry) => {
+        const translation = entry?.translation;
+        if (!translation || translation.status === 'exact' || translation.status === 'identity') return;
+        if (seen.has(entry.java.blockState)) return;
+        seen.add(entry.java.blockState);
+        issues.push({ blockState: entry.java.blockState, status: translation.status, unmapped: translation.unmapped });
+    });
+    return issues;
+}
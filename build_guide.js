@@ -0,0 +1,238 @@
+// Build Guide
+// Printable layer-by-layer sheets: one page per Y layer with a coordinate grid, block textures,
+// markers on the blocks that are new compared with the layer below and a legend with per-layer
+// counts. analyzeGuideLayers is plain data; drawGuidePage draws onto any 2D canvas.
+
+import { isAirBlockName } from './structure_volume.js';
+
+// A4 at 150 dpi, portrait
+export const GUIDE_PAGE = { width: 1240, height: 1754, widthPt: 595.28, heightPt: 841.89 };
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 70;
+const LEGEND_ROW = 30;
+const NEW_MARKER_COLOR = '#facc15';
+
+/**
+ * Per-layer block counts and "new" cells: blocks that differ from the block directly below them
+ * (everything on the bottom layer is new).
+ * @param {StructureVolume} volume
+ * @returns {Array<{y: number, cells: Int32Array, isNew: Uint8Array, counts: Map<number, {count: number, newCount: number}>, blockCount: number, newCount: number}>}
+ *   cells and isNew are indexed x * size.z + z, like StructureVolume.getLayer.
+ */
+export function analyzeGuideLayers(volume) {
+    const layers = [];
+    let below = null;
+    for (let y = 0; y < volume.size.y; y++) {
+        const cells = volume.getLayer(y);
+        const isNew = new Uint8Array(cells.length);
+        const counts = new Map();
+        let blockCount = 0;
+        let newCount = 0;
+        cells.forEach((paletteIndex, i) => {
+            if (volume.isAir(paletteIndex)) return;
+            if (!counts.has(paletteIndex)) counts.set(paletteIndex, { count: 0, newCount: 0 });
+            const entry = counts.get(paletteIndex);
+            entry.count++;
+            blockCount++;
+            if (!below || below[i] !== paletteIndex) {
+                isNew[i] = 1;
+                entry.newCount++;
+                newCount++;
+            }
+        });
+        layers.push({ y, cells, isNew, counts, blockCount, newCount });
+        below = cells;
+    }
+    return layers;
+}
+
+/**
+ * Page size for a structure: landscape when it is clearly wider (X) than deep (Z).
+ * @returns {{width: number, height: number, widthPt: number, heightPt: number}}
+ */
+export function guidePageSize(size) {
+    if (size.x <= size.z * 1.2) return { ...GUIDE_PAGE };
+    return { width: GUIDE_PAGE.height, height: GUIDE_PAGE.width, widthPt: GUIDE_PAGE.heightPt, heightPt: GUIDE_PAGE.widthPt };
+}
+
+function shortName(name) {
+    return String(name || 'unknown').replace(/^minecraft:/, '');
+}
+
+// A label every n cells, n picked so labels stay readable
+function labelStep(cellSize) {
+    return [1, 2, 5, 10, 20, 50, 100].find((step) => step * cellSize >= 22) ?? 100;
+}
+
+function drawNewMarker(ctx, x, y, size) {
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + size, y);
+    ctx.lineTo(x, y + size);
+    ctx.closePath();
+    ctx.fillStyle = NEW_MARKER_COLOR;
+    ctx.fill();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+}
+
+/**
+ * Draws one layer's page: title, grid with X/Z coordinates, textures (or colours), new-block
+ * markers and the legend.
+ * @param {CanvasRenderingContext2D} ctx - Sized to `page` (see guidePageSize).
+ * @param {object} options
+ * @param {{width: number, height: number}} options.page
+ * @param {{size: object, palette: object[]}} options.structure
+ * @param {object} options.layer - One entry from analyzeGuideLayers.
+ * @param {string} [options.title] - Shown above the grid (e.g. the file name).
+ * @param {(paletteIndex: number) => CanvasImageSource|null} options.getImage - Block preview image, if loaded.
+ * @param {(paletteEntry: object) => string} options.getColor - Fill colour when there is no image.
+ * @param {(paletteEntry: object) => string} options.getBorderColor - Cell border colour (slab halves, stairs...).
+ */
+export function drawGuidePage(ctx, { page, structure, layer, title = '', getImage, getColor, getBorderColor }) {
+    const { size, palette } = structure;
+    const sx = size.x;
+    const sz = size.z;
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, page.width, page.height);
+
+    // Header
+    ctx.fillStyle = '#111827';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 30px sans-serif';
+    ctx.fillText(`Layer ${layer.y} of ${size.y - 1}`, MARGIN, MARGIN);
+    ctx.font = '18px sans-serif';
+    ctx.fillStyle = '#4b5563';
+    const subtitle = `${layer.blockCount} block${layer.blockCount === 1 ? '' : 's'}, ${layer.newCount} new on this layer`;
+    ctx.fillText(title ? `${title} · ${subtitle}` : subtitle, MARGIN, MARGIN + 38);
+
+    // Legend: one row per block on this layer, most common first, in as many columns as fit
+    const entries = [...layer.counts.entries()].sort((a, b) => b[1].count - a[1].count);
+    const columns = page.width > page.height ? 4 : 3;
+    const columnWidth = (page.width - 2 * MARGIN) / columns;
+    const maxLegendRows = Math.floor((page.height * 0.35) / LEGEND_ROW);
+    const legendRows = Math.min(Math.ceil((entries.length + 1) / columns), maxLegendRows);
+    const legendHeight = (legendRows + 1) * LEGEND_ROW + 10;
+
+    // Grid, with room for the coordinate labels on the top and left
+    const labelSpace = 28;
+    const gridTop = MARGIN + HEADER_HEIGHT + labelSpace;
+    const gridLeft = MARGIN + labelSpace;
+    const availableWidth = page.width - gridLeft - MARGIN;
+    const availableHeight = page.height - gridTop - MARGIN - legendHeight;
+    const cell = Math.max(1, Math.min(availableWidth / sx, availableHeight / sz, 64));
+    const offX = gridLeft + Math.floor((availableWidth - cell * sx) / 2);
+    const offY = gridTop;
+
+    for (let x = 0; x < sx; x++) {
+        for (let z = 0; z < sz; z++) {
+            const i = x * sz + z;
+            const px = offX + x * cell;
+            const py = offY + z * cell;
+            const paletteIndex = layer.cells[i];
+            ctx.fillStyle = '#f3f4f6';
+            ctx.fillRect(px, py, cell, cell);
+            const entry = palette[paletteIndex];
+            if (paletteIndex < 0 || !entry || isAirBlockName(entry.name)) continue;
+            const image = getImage(paletteIndex);
+            if (image) {
+                ctx.drawImage(image, px, py, cell, cell);
+            } else {
+                ctx.fillStyle = getColor(entry);
+                ctx.fillRect(px + 1, py + 1, cell - 2, cell - 2);
+            }
+            if (cell >= 4) {
+                ctx.strokeStyle = getBorderColor(entry);
+                ctx.lineWidth = Math.max(1, Math.min(3, cell / 12));
+                ctx.strokeRect(px + ctx.lineWidth / 2, py + ctx.lineWidth / 2, cell - ctx.lineWidth, cell - ctx.lineWidth);
+            }
+            if (layer.isNew[i] && cell >= 6) drawNewMarker(ctx, px + 1, py + 1, Math.max(4, cell * 0.35));
+        }
+    }
+
+    // Cell lines, with heavier lines every 5 and 10 blocks to help counting
+    for (let x = 0; x <= sx; x++) {
+        ctx.strokeStyle = x % 10 === 0 ? '#111827' : (x % 5 === 0 ? '#6b7280' : '#d1d5db');
+        ctx.lineWidth = x % 5 === 0 ? 1.5 : 0.5;
+        ctx.beginPath();
+        ctx.moveTo(offX + x * cell, offY);
+        ctx.lineTo(offX + x * cell, offY + sz * cell);
+        ctx.stroke();
+    }
+    for (let z = 0; z <= sz; z++) {
+        ctx.strokeStyle = z % 10 === 0 ? '#111827' : (z % 5 === 0 ? '#6b7280' : '#d1d5db');
+        ctx.lineWidth = z % 5 === 0 ? 1.5 : 0.5;
+        ctx.beginPath();
+        ctx.moveTo(offX, offY + z * cell);
+        ctx.lineTo(offX + sx * cell, offY + z * cell);
+        ctx.stroke();
+    }
+
+    // Coordinates: X across the top, Z down the left side
+    const step = labelStep(cell);
+    ctx.fillStyle = '#374151';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (let x = 0; x < sx; x += step) ctx.fillText(String(x), offX + (x + 0.5) * cell, offY - 4);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let z = 0; z < sz; z += step) ctx.fillText(String(z), offX - 4, offY + (z + 0.5) * cell);
+    ctx.textAlign = 'left';
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillText('X →', offX, offY - labelSpace + 2);
+    ctx.save();
+    ctx.translate(offX - labelSpace + 2, offY + 30);
+    ctx.rotate(Math.PI / 2);
+    ctx.fillText('Z →', 0, 0);
+    ctx.restore();
+
+    // Legend
+    const legendTop = page.height - MARGIN - legendHeight + 10;
+    ctx.font = 'bold 16px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#111827';
+    ctx.fillText('Blocks on this layer (count, new)', MARGIN, legendTop + LEGEND_ROW / 2);
+    const slots = legendRows * columns;
+    const shown = entries.length + 1 > slots ? entries.slice(0, slots - 2) : entries;
+    const drawSlot = (slot, draw) => {
+        const column = Math.floor(slot / legendRows);
+        const row = slot % legendRows;
+        draw(MARGIN + column * columnWidth, legendTop + (row + 1) * LEGEND_ROW);
+    };
+    ctx.font = '15px sans-serif';
+    shown.forEach(([paletteIndex, { count, newCount }], slot) => drawSlot(slot, (x, y) => {
+        const entry = palette[paletteIndex];
+        const image = getImage(paletteIndex);
+        const swatch = LEGEND_ROW - 8;
+        if (image) ctx.drawImage(image, x, y + 4, swatch, swatch);
+        else {
+            ctx.fillStyle = getColor(entry);
+            ctx.fillRect(x, y + 4, swatch, swatch);
+        }
+        ctx.strokeStyle = getBorderColor(entry);
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, y + 5, swatch - 2, swatch - 2);
+        ctx.fillStyle = '#111827';
+        const label = `${shortName(entry?.name)} ×${count}${newCount ? ` (${newCount} new)` : ''}`;
+        let text = label;
+        while (text.length > 4 && ctx.measureText(text).width > columnWidth - swatch - 16) text = `${text.slice(0, -2)}…`;
+        ctx.fillText(text, x + swatch + 8, y + LEGEND_ROW / 2);
+    }));
+    if (shown.length < entries.length) {
+        drawSlot(shown.length, (x, y) => {
+            ctx.fillStyle = '#6b7280';
+            ctx.fillText(`…and ${entries.length - shown.length} more`, x, y + LEGEND_ROW / 2);
+        });
+    }
+    drawSlot(shown.length + (shown.length < entries.length ? 1 : 0), (x, y) => {
+        drawNewMarker(ctx, x, y + 4, LEGEND_ROW - 10);
+        ctx.fillStyle = '#111827';
+        ctx.fillText('new: differs from the block below', x + LEGEND_ROW, y + LEGEND_ROW / 2);
+    });
+    ctx.restore();
+}
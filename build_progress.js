@@ -0,0 +1,193 @@
+// Build Progress
+// Tracks which blocks of a structure have been placed in a live (survival) build: a flag per cell,
+// per-layer and overall completion, and a compact JSON form a team can pass around. Progress is
+// keyed by a hash of the structure file. No DOM.
+
+export const PROGRESS_FORMAT = 'mcstructure-build-progress';
+export const PROGRESS_VERSION = 1;
+
+/**
+ * Identifies a structure file by its content: SHA-256 (hex) where Web Crypto is available,
+ * otherwise a 64-bit FNV-1a (prefixed "fnv1a:") so progress still works on insecure origins.
+ * @param {ArrayBuffer} buffer - The file as loaded (not consumed).
+ * @returns {Promise<string>}
+ */
+export async function hashStructureFile(buffer) {
+    const subtle = globalThis.crypto?.subtle;
+    if (subtle) {
+        const digest = new Uint8Array(await subtle.digest('SHA-256', buffer));
+        return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+    let hash = 0xcbf29ce484222325n;
+    for (const byte of new Uint8Array(buffer)) {
+        hash = BigInt.asUintN(64, (hash ^ BigInt(byte)) * 0x100000001b3n);
+    }
+    return `fnv1a:${hash.toString(16).padStart(16, '0')}`;
+}
+
+function packBits(flags) {
+    const bytes = new Uint8Array(Math.ceil(flags.length / 8));
+    flags.forEach((flag, i) => {
+        if (flag) bytes[i >> 3] |= 1 << (i & 7);
+    });
+    let binary = '';
+    bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function unpackBits(text, length) {
+    const binary = atob(text);
+    const flags = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        const byte = binary.charCodeAt(i >> 3);
+        if (byte & (1 << (i & 7))) flags[i] = 1;
+    }
+    return flags;
+}
+
+export class BuildProgress {
+    /**
+     * @param {StructureVolume} volume - The structure being built; only its non-air primary cells count.
+     * @param {Uint8Array} [placed] - A placed flag per cell in flatIndex order (kept, not copied).
+     */
+    constructor(volume, placed = null) {
+        this.volume = volume;
+        const total = volume.primary.length;
+        if (placed && placed.length !== total) throw new Error(`Progress covers ${placed.length} cells, the structure has ${total}.`);
+        this.placed = placed ?? new Uint8Array(total);
+    }
+
+    // Cells worth tracking: anything but empty and air
+    isBuildable(index) {
+        return !this.volume.isAir(this.volume.primary[index]);
+    }
+
+    isPlaced(x, y, z) {
+        return this.volume.contains(x, y, z) && this.placed[this.volume.index(x, y, z)] === 1;
+    }
+
+    /**
+     * Marks one cell placed or not placed (empty and air cells stay unplaced).
+     * @returns {boolean} Whether the flag changed.
+     */
+    setPlaced(x, y, z, placed) {
+        if (!this.volume.contains(x, y, z)) return false;
+        const index = this.volume.index(x, y, z);
+        const value = placed && this.isBuildable(index) ? 1 : 0;
+        if (this.placed[index] === value) return false;
+        this.placed[index] = value;
+        return true;
+    }
+
+    toggle(x, y, z) {
+        return this.setPlaced(x, y, z, !this.isPlaced(x, y, z));
+    }
+
+    /**
+     * Marks every block of a layer placed or not placed.
+     * @returns {number} Cells that changed.
+     */
+    setLayer(y, placed) {
+        const { size } = this.volume;
+        let changed = 0;
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                if (this.setPlaced(x, y, z, placed)) changed++;
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Unmarks cells by flat index, e.g. after they were edited into a different block.
+     */
+    clearCells(indices) {
+        indices.forEach((index) => { this.placed[index] = 0; });
+    }
+
+    clear() {
+        this.placed.fill(0);
+    }
+
+    /**
+     * Completion overall and per layer, counting only non-air blocks.
+     * @returns {{placed: number, total: number, layers: Array<{y: number, placed: number, total: number}>}}
+     */
+    stats() {
+        const { size, primary } = this.volume;
+        const layers = Array.from({ length: size.y }, (_, y) => ({ y, placed: 0, total: 0 }));
+        let i = 0;
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                const layer = layers[y];
+                for (let z = 0; z < size.z; z++, i++) {
+                    if (this.volume.isAir(primary[i])) continue;
+                    layer.total++;
+                    if (this.placed[i]) layer.placed++;
+                }
+            }
+        }
+        return {
+            placed: layers.reduce((sum, layer) => sum + layer.placed, 0),
+            total: layers.reduce((sum, layer) => sum + layer.total, 0),
+            layers,
+        };
+    }
+
+    /**
+     * Calls back for every placed block, in structure coordinates.
+     * @param {(x: number, y: number, z: number) => void} callback
+     */
+    forEachPlaced(callback) {
+        const { size } = this.volume;
+        let i = 0;
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let z = 0; z < size.z; z++, i++) {
+                    if (this.placed[i] && this.isBuildable(i)) callback(x, y, z);
+                }
+            }
+        }
+    }
+
+    /**
+     * The shareable form: structure size, file hash and the placed flags as a base64 bitset.
+     * @param {object} [meta] - e.g. { fileHash, fileName }.
+     * @returns {object}
+     */
+    toJSON(meta = {}) {
+        const { placed, total } = this.stats();
+        return {
+            format: PROGRESS_FORMAT,
+            version: PROGRESS_VERSION,
+            ...meta,
+            size: { ...this.volume.size },
+            placedCount: placed,
+            totalCount: total,
+            placed: packBits(this.placed),
+        };
+    }
+
+    /**
+     * Reads progress written by toJSON for the same structure.
+     * @param {StructureVolume} volume
+     * @param {object} data - Parsed JSON.
+     * @returns {BuildProgress}
+     */
+    static fromJSON(volume, data) {
+        if (data?.format !== PROGRESS_FORMAT) throw new Error('Not a build progress file.');
+        if (data.version > PROGRESS_VERSION) throw new Error(`Build progress version ${data.version} is newer than this app supports.`);
+        const { x, y, z } = data.size ?? {};
+        const { size } = volume;
+        if (x !== size.x || y !== size.y || z !== size.z) {
+            throw new Error(`The progress is for a ${x}×${y}×${z} structure; this one is ${size.x}×${size.y}×${size.z}.`);
+        }
+        if (typeof data.placed !== 'string') throw new Error('The progress file has no placed blocks.');
+        const progress = new BuildProgress(volume, unpackBits(data.placed, volume.primary.length));
+        // Flags on cells that are air here (e.g. after edits) mean nothing
+        progress.placed.forEach((flag, i) => {
+            if (flag && !progress.isBuildable(i)) progress.placed[i] = 0;
+        });
+        return progress;
+    }
+}
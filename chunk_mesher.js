@@ -0,0 +1,283 @@
+// Chunk Mesher
+// Splits a structure into 16³ chunks and builds face-culled, greedy-merged quads for full-cube blocks.
+// Plain typed arrays in and out (no THREE.js or DOM), so it can run on the main thread or in a worker.
+
+export const CHUNK_SIZE = 16;
+
+// Same order as BoxGeometry's material groups and texture_manager's FACE_ORDER
+const FACES = [
+    { name: 'east', axis: 0, dir: 1 },
+    { name: 'west', axis: 0, dir: -1 },
+    { name: 'up', axis: 1, dir: 1 },
+    { name: 'down', axis: 1, dir: -1 },
+    { name: 'south', axis: 2, dir: 1 },
+    { name: 'north', axis: 2, dir: -1 },
+];
+
+// UVs come from the corner position, in block units, so a merged quad repeats its texture once per block.
+// Orientation matches BoxGeometry (textures upright on the sides).
+const FACE_UV = [
+    (x, y, z) => [-z, y],
+    (x, y, z) => [z, y],
+    (x, y, z) => [x, -z],
+    (x, y, z) => [x, z],
+    (x, y, z) => [x, y],
+    (x, y, z) => [-x, y],
+];
+
+export class ChunkMesher {
+    /**
+     * @param {object} options
+     * @param {{x: number, y: number, z: number}} options.size - Structure size.
+     * @param {Int32Array} options.cells - Palette index per cell in Bedrock ZYX order (see flatIndex), -1 for empty.
+     * @param {Uint8Array} options.solid - Per palette index: 1 for full cubes handled by the mesher.
+     * @param {Uint8Array} options.opaque - Per palette index: 1 if the block hides the faces of its neighbours.
+     * @param {Int32Array} options.faceMaterials - Material id per palette index and face (paletteIndex * 6 + face).
+     * @param {{min: object, max: object}|null} [options.bounds] - Only mesh the cells in this box (see setBounds).
+     */
+    constructor({ size, cells, solid, opaque, faceMaterials, bounds = null }) {
+        this.size = size;
+        this.bounds = bounds;
+        this.cells = cells;
+        this.solid = solid;
+        this.opaque = opaque;
+        this.faceMaterials = faceMaterials;
+        this.chunkCounts = {
+            x: Math.ceil(size.x / CHUNK_SIZE),
+            y: Math.ceil(size.y / CHUNK_SIZE),
+            z: Math.ceil(size.z / CHUNK_SIZE),
+        };
+        this.dirty = new Set();
+        this.markAllDirty();
+    }
+
+    static chunkKey(cx, cy, cz) {
+        return `${cx},${cy},${cz}`;
+    }
+
+    cellIndex(x, y, z) {
+        // Same layout as nbt_parser.flatIndex
+        return (x * this.size.y + y) * this.size.z + z;
+    }
+
+    getCell(x, y, z) {
+        if (x < 0 || y < 0 || z < 0 || x >= this.size.x || y >= this.size.y || z >= this.size.z) return -1;
+        const { bounds } = this;
+        if (bounds && (x < bounds.min.x || y < bounds.min.y || z < bounds.min.z
+            || x > bounds.max.x || y > bounds.max.y || z > bounds.max.z)) return -1;
+        return this.cells[this.cellIndex(x, y, z)];
+    }
+
+    /**
+     * Restricts meshing to a box of cells (inclusive). Cells outside it count as empty, so faces
+     * along a cut get drawn. Marks only the chunks whose geometry changes; null meshes everything.
+     * A box with min > max meshes nothing.
+     * @param {{min: {x:number,y:number,z:number}, max: {x:number,y:number,z:number}}|null} bounds
+     */
+    setBounds(bounds) {
+        const previous = this.bounds;
+        this.bounds = bounds;
+        for (let cx = 0; cx < this.chunkCounts.x; cx++) {
+            for (let cy = 0; cy < this.chunkCounts.y; cy++) {
+                for (let cz = 0; cz < this.chunkCounts.z; cz++) {
+                    if (this.boundsKey(previous, cx, cy, cz) !== this.boundsKey(bounds, cx, cy, cz)) {
+                        this.dirty.add(ChunkMesher.chunkKey(cx, cy, cz));
+                    }
+                }
+            }
+        }
+    }
+
+    // The part of a bounds box a chunk's geometry depends on: the chunk plus its one-cell border (for culling)
+    boundsKey(bounds, cx, cy, cz) {
+        const chunk = [cx, cy, cz];
+        const limits = [this.size.x, this.size.y, this.size.z];
+        const ranges = ['x', 'y', 'z'].map((axis, i) => {
+            const start = Math.max(chunk[i] * CHUNK_SIZE - 1, bounds ? bounds.min[axis] : 0, 0);
+            const end = Math.min((chunk[i] + 1) * CHUNK_SIZE, bounds ? bounds.max[axis] : limits[i] - 1, limits[i] - 1);
+            return start <= end ? `${start}-${end}` : null;
+        });
+        // Every empty intersection looks the same
+        return ranges.includes(null) ? '' : ranges.join(',');
+    }
+
+    // True when no cell of the chunk lies inside the bounds box
+    isChunkOutsideBounds(cx, cy, cz) {
+        const { bounds } = this;
+        if (!bounds) return false;
+        const chunk = [cx, cy, cz];
+        return ['x', 'y', 'z'].some((axis, i) => bounds.min[axis] > (chunk[i] + 1) * CHUNK_SIZE - 1
+            || bounds.max[axis] < chunk[i] * CHUNK_SIZE || bounds.min[axis] > bounds.max[axis]);
+    }
+
+    /**
+     * Changes one cell and marks its chunk (and any neighbour chunk sharing a face with it) dirty.
+     */
+    setCell(x, y, z, paletteIndex) {
+        this.cells[this.cellIndex(x, y, z)] = paletteIndex;
+        this.markDirty(x, y, z);
+    }
+
+    markDirty(x, y, z) {
+        const position = [x, y, z];
+        const counts = [this.chunkCounts.x, this.chunkCounts.y, this.chunkCounts.z];
+        const chunk = position.map((value) => Math.floor(value / CHUNK_SIZE));
+        this.dirty.add(ChunkMesher.chunkKey(...chunk));
+        // A changed border cell can reveal or hide faces in the neighbouring chunk
+        for (let axis = 0; axis < 3; axis++) {
+            const local = position[axis] - chunk[axis] * CHUNK_SIZE;
+            const offset = local === 0 ? -1 : (local === CHUNK_SIZE - 1 ? 1 : 0);
+            const neighbour = chunk[axis] + offset;
+            if (offset !== 0 && neighbour >= 0 && neighbour < counts[axis]) {
+                const key = chunk.slice();
+                key[axis] = neighbour;
+                this.dirty.add(ChunkMesher.chunkKey(...key));
+            }
+        }
+    }
+
+    markAllDirty() {
+        for (let cx = 0; cx < this.chunkCounts.x; cx++) {
+            for (let cy = 0; cy < this.chunkCounts.y; cy++) {
+                for (let cz = 0; cz < this.chunkCounts.z; cz++) {
+                    this.dirty.add(ChunkMesher.chunkKey(cx, cy, cz));
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns and clears the chunks waiting for a rebuild.
+     * @returns {{key: string, cx: number, cy: number, cz: number}[]}
+     */
+    takeDirtyChunks() {
+        const chunks = [...this.dirty].map((key) => {
+            const [cx, cy, cz] = key.split(',').map(Number);
+            return { key, cx, cy, cz };
+        });
+        this.dirty.clear();
+        return chunks;
+    }
+
+    // Material id + 1 of the face, or 0 when the face is hidden or the cell isn't meshed here
+    visibleFace(x, y, z, faceIndex) {
+        const cell = this.getCell(x, y, z);
+        if (cell < 0 || !this.solid[cell]) return 0;
+        const { axis, dir } = FACES[faceIndex];
+        const neighbourPosition = [x, y, z];
+        neighbourPosition[axis] += dir;
+        const neighbour = this.getCell(...neighbourPosition);
+        // Opaque cubes hide their neighbours; translucent ones (glass, leaves) only hide copies of themselves
+        if (neighbour >= 0 && this.solid[neighbour] && (this.opaque[neighbour] || neighbour === cell)) return 0;
+        return this.faceMaterials[cell * 6 + faceIndex] + 1;
+    }
+
+    /**
+     * Builds the geometry of one chunk. Coordinates are in blocks, with cell (x, y, z) spanning [x, x + 1].
+     * @returns {{key: string, positions: Float32Array, normals: Float32Array, uvs: Float32Array,
+     *            indices: Uint32Array, groups: {start: number, count: number, materialId: number}[], quadCount: number}}
+     */
+    buildChunk(cx, cy, cz) {
+        const origin = [cx * CHUNK_SIZE, cy * CHUNK_SIZE, cz * CHUNK_SIZE];
+        const limits = [this.size.x, this.size.y, this.size.z];
+        const extent = origin.map((start, axis) => Math.min(CHUNK_SIZE, limits[axis] - start));
+        const quadsByMaterial = new Map();
+        if (this.isChunkOutsideBounds(cx, cy, cz)) return this.packQuads(ChunkMesher.chunkKey(cx, cy, cz), quadsByMaterial);
+
+        FACES.forEach(({ axis, dir }, faceIndex) => {
+            const u = (axis + 1) % 3;
+            const v = (axis + 2) % 3;
+            const width = extent[u];
+            const height = extent[v];
+            const mask = new Int32Array(width * height);
+            const position = [0, 0, 0];
+
+            for (let d = 0; d < extent[axis]; d++) {
+                position[axis] = origin[axis] + d;
+                for (let j = 0; j < height; j++) {
+                    position[v] = origin[v] + j;
+                    for (let i = 0; i < width; i++) {
+                        position[u] = origin[u] + i;
+                        mask[j * width + i] = this.visibleFace(position[0], position[1], position[2], faceIndex);
+                    }
+                }
+
+                // Greedy merge: grow each run along u, then extend it along v while whole rows match
+                for (let j = 0; j < height; j++) {
+                    for (let i = 0; i < width;) {
+                        const value = mask[j * width + i];
+                        if (!value) {
+                            i++;
+                            continue;
+                        }
+                        let w = 1;
+                        while (i + w < width && mask[j * width + i + w] === value) w++;
+                        let h = 1;
+                        grow: while (j + h < height) {
+                            for (let k = 0; k < w; k++) {
+                                if (mask[(j + h) * width + i + k] !== value) break grow;
+                            }
+                            h++;
+                        }
+                        for (let dy = 0; dy < h; dy++) mask.fill(0, (j + dy) * width + i, (j + dy) * width + i + w);
+
+                        const materialId = value - 1;
+                        if (!quadsByMaterial.has(materialId)) quadsByMaterial.set(materialId, []);
+                        quadsByMaterial.get(materialId).push({
+                            faceIndex,
+                            plane: origin[axis] + d + (dir > 0 ? 1 : 0),
+                            u0: origin[u] + i,
+                            v0: origin[v] + j,
+                            w,
+                            h,
+                        });
+                        i += w;
+                    }
+                }
+            }
+        });
+
+        return this.packQuads(ChunkMesher.chunkKey(cx, cy, cz), quadsByMaterial);
+    }
+
+    packQuads(key, quadsByMaterial) {
+        let quadCount = 0;
+        quadsByMaterial.forEach((quads) => { quadCount += quads.length; });
+        const positions = new Float32Array(quadCount * 12);
+        const normals = new Float32Array(quadCount * 12);
+        const uvs = new Float32Array(quadCount * 8);
+        const indices = new Uint32Array(quadCount * 6);
+        const groups = [];
+        let quad = 0;
+
+        [...quadsByMaterial.keys()].sort((a, b) => a - b).forEach((materialId) => {
+            const quads = quadsByMaterial.get(materialId);
+            groups.push({ start: quad * 6, count: quads.length * 6, materialId });
+            quads.forEach(({ faceIndex, plane, u0, v0, w, h }) => {
+                const { axis, dir } = FACES[faceIndex];
+                const u = (axis + 1) % 3;
+                const v = (axis + 2) % 3;
+                // Corners counter-clockwise around +axis (u x v = axis)
+                const corners = [[u0, v0], [u0 + w, v0], [u0 + w, v0 + h], [u0, v0 + h]];
+                corners.forEach(([cu, cv], corner) => {
+                    const point = [0, 0, 0];
+                    point[axis] = plane;
+                    point[u] = cu;
+                    point[v] = cv;
+                    const vertex = quad * 4 + corner;
+                    positions.set(point, vertex * 3);
+                    normals[vertex * 3 + axis] = dir;
+                    uvs.set(FACE_UV[faceIndex](point[0], point[1], point[2]), vertex * 2);
+                });
+                const base = quad * 4;
+                const triangles = dir > 0
+                    ? [base, base + 1, base + 2, base, base + 2, base + 3]
+                    : [base, base + 2, base + 1, base, base + 3, base + 2];
+                indices.set(triangles, quad * 6);
+                quad++;
+            });
+        });
+
+        return { key, positions, normals, uvs, indices, groups, quadCount };
+    }
+}
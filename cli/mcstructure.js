@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// mcstructure command line
+// Batch analysis and conversion of structure files without a browser, on top of core.js.
+// Results go to stdout; progress and problems go to stderr.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    loadStructureFile, hasErrors, summarizeDiagnostics, buildShoppingList, shoppingListToCSV, shoppingListToJSON,
+    OUTPUT_FORMATS, writeStructureFile, describeDroppedData, findUntranslatedStates, getDefaultBlockTranslator, rasterizeLayer, encodePngImage,
+} from '../core.js';
+
+const USAGE = `Usage: mcstructure <command> [options]
+
+Commands:
+  info <files...> [--json]                       Size, palette and block counts
+  materials <file> [--format csv|json]           Items needed to build the structure
+  validate <files...> [--strict] [--json]        Check files; exits with 1 when any has errors
+                                                 (--strict: warnings count as errors too)
+  render-layers <file> [--out dir] [--scale 8]   One PNG per layer, <name>_layer_<y>.png
+                [--layers 0-10] [--no-grid]
+  convert <input> <output> [--format name]       Write as ${OUTPUT_FORMATS.map((format) => `.${format}`).join(', ')}
+                                                 (format from the output extension by default)
+
+Options:
+  -h, --help                                     Show this help
+
+Reads .mcstructure, .nbt, .schem and .litematic files.`;
+
+const OPTIONS = {
+    json: { type: 'boolean', default: false },
+    strict: { type: 'boolean', default: false },
+    format: { type: 'string' },
+    out: { type: 'string', default: '.' },
+    scale: { type: 'string', default: '8' },
+    layers: { type: 'string' },
+    'no-grid': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+class UsageError extends Error {}
+
+function baseName(file) {
+    return path.basename(file).replace(/\.[^.]+$/, '');
+}
+
+function shortName(name) {
+    return String(name).replace(/^minecraft:/, '');
+}
+
+async function loadFile(file, options = {}) {
+    return loadStructureFile(await readFile(file), options);
+}
+
+function requireFiles(files, count = 1) {
+    if (files.length < count) throw new UsageError(`Expected ${count === 1 ? 'a file' : `${count} files`}.`);
+}
+
+function describeIssue(issue) {
+    const location = [issue.path, Number.isInteger(issue.offset) ? `byte ${issue.offset}` : null].filter(Boolean).join(', ');
+    const count = issue.count > 1 ? ` (${issue.count} times)` : '';
+    return `${issue.code}: ${issue.message}${count}${location ? ` [${location}]` : ''}`;
+}
+
+function summarizeStructure(file, structure) {
+    const { format, size, palette, volume, materials } = structure;
+    const blocks = Object.values(materials).reduce((total, count) => total + count, 0);
+    return {
+        file,
+        format,
+        size,
+        volume: size.x * size.y * size.z,
+        blocks,
+        palette: palette.map((entry) => ({ name: entry.name, states: entry.states ?? {} })),
+        emptyCells: volume.primary.reduce((total, paletteIndex) => total + (paletteIndex < 0 ? 1 : 0), 0),
+        blockEntities: structure.blockEntities?.size ?? 0,
+        entities: structure.entities?.length ?? 0,
+        counts: Object.fromEntries(Object.entries(materials).sort((a, b) => b[1] - a[1])),
+    };
+}
+
+async function runInfo(files, { json }) {
+    requireFiles(files);
+    const results = [];
+    for (const file of files) results.push(summarizeStructure(file, await loadFile(file)));
+    if (json) {
+        process.stdout.write(`${JSON.stringify(files.length === 1 ? results[0] : results, null, 2)}\n`);
+        return 0;
+    }
+    results.forEach((info, n) => {
+        const lines = [
+            `${info.file} (.${info.format})`,
+            `  Size:           ${info.size.x} x ${info.size.y} x ${info.size.z} (${info.volume} cells)`,
+            `  Blocks:         ${info.blocks} (air and structure void left out)`,
+            `  Void cells:     ${info.emptyCells}`,
+            `  Palette:        ${info.palette.length} entries`,
+            `  Block entities: ${info.blockEntities}`,
+            `  Entities:       ${info.entities}`,
+            '  Counts:',
+            ...Object.entries(info.counts).map(([name, count]) => `    ${String(count).padStart(8)}  ${shortName(name)}`),
+        ];
+        process.stdout.write(`${n ? '\n' : ''}${lines.join('\n')}\n`);
+    });
+    return 0;
+}
+
+async function runMaterials(files, { format = 'csv' }) {
+    requireFiles(files);
+    if (!['csv', 'json'].includes(format)) throw new UsageError(`Unknown materials format "${format}"; use csv or json.`);
+    const structure = await loadFile(files[0]);
+    const list = buildShoppingList(structure);
+    process.stdout.write(format === 'json'
+        ? shoppingListToJSON(list, { structure: path.basename(files[0]), scope: 'whole structure' })
+        : shoppingListToCSV(list));
+    return 0;
+}
+
+async function runValidate(files, { json, strict }) {
+    requireFiles(files);
+    const results = [];
+    for (const file of files) {
+        let report;
+        try {
+            report = (await loadFile(file)).diagnostics ?? null;
+        } catch (error) {
+            report = error.diagnostics ?? { format: null, errors: [{ code: 'load-failed', message: error.message }], warnings: [] };
+        }
+        report ??= { format: null, errors: [], warnings: [] };
+        const ok = !hasErrors(report) && !(strict && report.warnings.length);
+        results.push({ file, ok, ...report });
+    }
+    if (json) {
+        process.stdout.write(`${JSON.stringify(files.length === 1 ? results[0] : results, null, 2)}\n`);
+    } else {
+        results.forEach((result) => {
+            const lines = [`${result.ok ? 'OK  ' : 'FAIL'} ${result.file}: ${summarizeDiagnostics(result)}`];
+            result.errors.forEach((issue) => lines.push(`  error   ${describeIssue(issue)}`));
+            result.warnings.forEach((issue) => lines.push(`  warning ${describeIssue(issue)}`));
+            process.stdout.write(`${lines.join('\n')}\n`);
+        });
+    }
+    return results.every((result) => result.ok) ? 0 : 1;
+}
+
+function parseLayerRange(text, height) {
+    if (!text) return [0, height - 1];
+    const match = /^(\d+)(?:-(\d+))?$/.exec(text.trim());
+    if (!match) throw new UsageError(`Can't read the layer range "${text}"; use e.g. 5 or 0-10.`);
+    const first = Number(match[1]);
+    const last = Math.min(height - 1, Number(match[2] ?? match[1]));
+    if (first > last) throw new UsageError(`The structure has layers 0 to ${height - 1}.`);
+    return [first, last];
+}
+
+async function runRenderLayers(files, { out, scale, layers, 'no-grid': noGrid }) {
+    requireFiles(files);
+    const pixels = Number(scale);
+    if (!Number.isInteger(pixels) || pixels < 1 || pixels > 64) throw new UsageError('--scale must be a whole number from 1 to 64.');
+    const structure = await loadFile(files[0]);
+    const [first, last] = parseLayerRange(layers, structure.size.y);
+    await mkdir(out, { recursive: true });
+    const name = baseName(files[0]);
+    for (let y = first; y <= last; y++) {
+        const image = rasterizeLayer(structure.volume, structure.palette, y, { scale: pixels, grid: !noGrid });
+        const target = path.join(out, `${name}_layer_${y}.png`);
+        await writeFile(target, encodePngImage(image));
+        process.stdout.write(`${target}\n`);
+    }
+    return 0;
+}
+
+async function runConvert(files, { format }) {
+    requireFiles(files, 2);
+    const [input, output] = files;
+    const target = (format ?? path.extname(output).slice(1)).toLowerCase();
+    if (!OUTPUT_FORMATS.includes(target)) {
+        throw new UsageError(`Can't write ${target ? `.${target}` : 'that'} files; supported outputs are ${OUTPUT_FORMATS.map((name) => `.${name}`).join(', ')}.`);
+    }
+    const structure = await loadFile(input);
+    let translator = null;
+    try {
+        translator = await getDefaultBlockTranslator();
+    } catch (error) {
+        console.error(`Block mappings unavailable, block states are written untranslated. (${error.message})`);
+    }
+    const dropped = describeDroppedData(structure, target);
+    if (dropped) console.error(`Warning: ${dropped}`);
+    findUntranslatedStates(structure, target, translator).forEach((issue) => {
+        console.error(`Warning: ${issue.blockState} could not be fully translated to Java (${issue.unmapped.join(', ')}).`);
+    });
+    await writeFile(output, writeStructureFile(structure, target, { translator }));
+    console.error(`Wrote ${output} (.${target}, ${structure.size.x} x ${structure.size.y} x ${structure.size.z}).`);
+    return 0;
+}
+
+const COMMANDS = {
+    info: runInfo,
+    materials: runMaterials,
+    validate: runValidate,
+    'render-layers': runRenderLayers,
+    convert: runConvert,
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values, positionals: [command, ...files] } = parsed;
+    if (values.help || !command) {
+        (values.help ? console.log : console.error)(USAGE);
+        return values.help ? 0 : 2;
+    }
+    const run = COMMANDS[command];
+    if (!run) {
+        console.error(`Unknown command "${command}".\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await run(files, values);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(`mcstructure ${command}: ${error.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
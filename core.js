@@ -0,0 +1,34 @@
+// Core (Node entry point)
+// The DOM-free part of the app for use from Node: loading and validating structure files, material
+// counts, conversion between formats and flat-colour layer images. Gzip goes through node:zlib
+// instead of the page's pako global. Used by the mcstructure command line (cli/mcstructure.js).
+
+import zlib from 'node:zlib';
+import { setGzipCodec } from './nbt_parser.js';
+import { createPng } from './png_writer.js';
+
+setGzipCodec({ inflate: (bytes) => zlib.gunzipSync(bytes), gzip: (bytes) => zlib.gzipSync(bytes) });
+
+export { NBT, TAG } from './nbt.min.js';
+export { loadStructureFile, sniffNBTEndianness } from './structure_loader.js';
+export {
+    buildMaterialCounts, buildContainerItemCounts, decodeBlockEntity, getBlockEntityAt, serializeMCStructure, isAirBlockName, flatIndex, unflattenIndex,
+} from './nbt_parser.js';
+export { StructureVolume } from './structure_volume.js';
+export {
+    validateMCStructure, hasErrors, summarizeDiagnostics, StructureValidationError,
+} from './structure_validator.js';
+export { buildShoppingList, shoppingListToCSV, shoppingListToJSON, shoppingListToMarkdown } from './shopping_list.js';
+export { BlockTranslator, getDefaultBlockTranslator } from './block_translation.js';
+export { OUTPUT_FORMATS, writeStructureFile, describeDroppedData, findUntranslatedStates } from './structure_writers.js';
+export { blockColor, rasterizeLayer } from './layer_raster.js';
+export { createPng } from './png_writer.js';
+
+/**
+ * Encodes an RGBA image (as from rasterizeLayer) as PNG with node:zlib.
+ * @param {{width: number, height: number, rgba: Uint8Array}} image
+ * @returns {Uint8Array}
+ */
+export function encodePngImage(image) {
+    return createPng(image, (bytes) => zlib.deflateSync(bytes));
+}
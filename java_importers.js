@@ -0,0 +1,363 @@
+// Java Edition Structure Importers
+// Reads vanilla structure-block .nbt, Sponge .schem and Litematica .litematic files
+// (big-endian NBT, parsed by nbt.min.js) into the same model as parseMCStructureBinary.
+
+import { buildStructureModel, decodeBlockEntity, flatIndex, textComponentToPlain } from './nbt_parser.js';
+import { collectTranslationIssues } from './block_translation.js';
+import { NBT } from './nbt.min.js';
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'bigint') return Number(value);
+    return Number(value ?? 0);
+}
+
+/**
+ * Splits a Java block-state string ("minecraft:oak_stairs[facing=east,half=top]") into name and states.
+ * @param {string} blockState
+ * @returns {{name: string, states: object}}
+ */
+export function parseBlockStateString(blockState) {
+    const text = String(blockState ?? '').trim();
+    const bracket = text.indexOf('[');
+    let name = bracket === -1 ? text : text.slice(0, bracket);
+    if (name && !name.includes(':')) name = `minecraft:${name}`;
+    const states = {};
+    if (bracket !== -1) {
+        text.slice(bracket + 1, text.lastIndexOf(']') === -1 ? undefined : text.lastIndexOf(']'))
+            .split(',')
+            .map((pair) => pair.split('='))
+            .forEach(([key, value]) => {
+                if (key && value !== undefined) states[key.trim()] = value.trim();
+            });
+    }
+    return { name: name || 'minecraft:air', states };
+}
+
+/**
+ * Inverse of parseBlockStateString; states are written in key order, as Java does.
+ * @param {string} name
+ * @param {object} [states]
+ * @returns {string}
+ */
+export function formatBlockStateString(name, states = {}) {
+    const pairs = Object.keys(states).sort().map((key) => `${key}=${states[key]}`);
+    return pairs.length ? `${name}[${pairs.join(',')}]` : name;
+}
+
+// Collects palette entries and dedupes identical block states across regions.
+// With a BlockTranslator the entries carry Bedrock names/states, keeping the Java original under `java`.
+class PaletteBuilder {
+    constructor(dataVersion, translator = null) {
+        this.entries = [];
+        this.lookup = new Map();
+        this.dataVersion = dataVersion;
+        this.translator = translator;
+    }
+
+    add(name, states = {}) {
+        const normalizedStates = {};
+        Object.entries(states ?? {}).forEach(([key, value]) => { normalizedStates[key] = String(value); });
+        const key = formatBlockStateString(name, normalizedStates);
+        if (!this.lookup.has(key)) {
+            const index = this.entries.length;
+            const entry = { index, name, states: normalizedStates, version: this.dataVersion, source: 'java' };
+            if (normalizedStates.waterlogged === 'true') entry.waterlogged = true;
+            if (this.translator) {
+                const translated = this.translator.javaToBedrock(name, normalizedStates);
+                entry.name = translated.name;
+                entry.states = translated.states;
+                entry.java = { name, states: normalizedStates, blockState: key };
+                entry.translation = { status: translated.status, unmapped: translated.unmapped };
+            }
+            this.entries.push(entry);
+            this.lookup.set(key, index);
+        }
+        return this.lookup.get(key);
+    }
+}
+
+function finishModel(paletteBuilder, model) {
+    // Waterlogged blocks hold water in the secondary layer, as Bedrock stores them
+    const [primary] = model.layers;
+    const secondary = createLayer(model.size);
+    let water = -1;
+    primary.forEach((paletteIndex, i) => {
+        if (paletteIndex < 0 || !paletteBuilder.entries[paletteIndex].waterlogged) return;
+        if (water < 0) water = paletteBuilder.add('minecraft:water', { level: '0' });
+        secondary[i] = water;
+    });
+    if (water >= 0) model = { ...model, layers: [primary, secondary] };
+    const structure = buildStructureModel({ ...model, palette: paletteBuilder.entries });
+    if (paletteBuilder.translator) {
+        structure.translationIssues = collectTranslationIssues(paletteBuilder.entries);
+    }
+    return structure;
+}
+
+function createLayer(size) {
+    // -1 marks cells the file doesn't define (structure void)
+    return new Int32Array(size.x * size.y * size.z).fill(-1);
+}
+
+function addBlockEntity(blockEntities, size, x, y, z, data) {
+    if (!data || x < 0 || y < 0 || z < 0 || x >= size.x || y >= size.y || z >= size.z) return;
+    const index = flatIndex(size, x, y, z);
+    blockEntities.set(index, { index, x, y, z, data, contents: decodeBlockEntity(data) });
+}
+
+function makeEntity(index, identifier, pos, rotation, data) {
+    const [x, y, z] = pos.map(toNumber);
+    const [yaw, pitch] = Array.isArray(rotation) ? rotation.map(toNumber) : [0, 0];
+    return {
+        index,
+        identifier: String(identifier ?? 'minecraft:unknown'),
+        position: { x, y, z },
+        worldPosition: { x, y, z },
+        rotation: { yaw: yaw || 0, pitch: pitch || 0 },
+        customName: data?.CustomName ? textComponentToPlain(data.CustomName) : '',
+        data,
+    };
+}
+
+/**
+ * Vanilla structure-block file: explicit block list with positions, cells not listed are structure void.
+ * @param {object} root - Root compound.
+ * @param {{translator?: import('./block_translation.js').BlockTranslator}} [options] - Converts the palette to Bedrock states.
+ * @returns {object} The structure model.
+ */
+export function importVanillaStructure(root, { translator = null } = {}) {
+    const [sx, sy, sz] = (root.size ?? [0, 0, 0]).map(toNumber);
+    const size = { x: sx, y: sy, z: sz };
+    const dataVersion = toNumber(root.DataVersion ?? 0);
+    // Some structures (shipwrecks...) carry several random palettes; the first is the default
+    const rawPalette = root.palette ?? root.palettes?.[0] ?? [];
+    const paletteBuilder = new PaletteBuilder(dataVersion, translator);
+    const paletteMap = rawPalette.map((entry) => paletteBuilder.add(entry?.Name ?? 'minecraft:air', entry?.Properties));
+
+    const layer = createLayer(size);
+    const blockEntities = new Map();
+    (root.blocks ?? []).forEach((block) => {
+        const [x, y, z] = (block?.pos ?? []).map(toNumber);
+        const state = toNumber(block?.state);
+        if (![x, y, z].every(Number.isInteger) || x < 0 || y < 0 || z < 0 || x >= sx || y >= sy || z >= sz) return;
+        if (state < 0 || state >= paletteMap.length) return;
+        layer[flatIndex(size, x, y, z)] = paletteMap[state];
+        if (block.nbt) addBlockEntity(blockEntities, size, x, y, z, block.nbt);
+    });
+
+    const entities = (root.entities ?? [])
+        .filter((entity) => Array.isArray(entity?.pos))
+        .map((entity, index) => makeEntity(index, entity.nbt?.id, entity.pos, entity.nbt?.Rotation, entity.nbt ?? {}));
+
+    return finishModel(paletteBuilder, { size, layers: [layer], blockEntities, entities, raw: root, format: 'nbt' });
+}
+
+function readVarInts(bytes, count) {
+    const values = new Int32Array(count);
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= bytes.length) {
+                throw new Error(`Sponge schematic BlockData ends after ${i} of ${count} blocks.`);
+            }
+            byte = bytes[offset++] & 0xff;
+            value |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        values[i] = value;
+    }
+    return values;
+}
+
+/**
+ * Sponge schematic (.schem) versions 1-3. BlockData is varint-packed in YZX order (x fastest).
+ * @param {object} root - Root compound.
+ * @param {{translator?: import('./block_translation.js').BlockTranslator}} [options] - Converts the palette to Bedrock states.
+ * @returns {object} The structure model.
+ */
+export function importSpongeSchematic(root, { translator = null } = {}) {
+    // Version 3 nests everything in a "Schematic" compound and moves blocks into a "Blocks" container
+    const schematic = root.Schematic ?? root;
+    const version = toNumber(schematic.Version ?? 1);
+    const blockContainer = version >= 3 ? (schematic.Blocks ?? {}) : schematic;
+    const width = toNumber(schematic.Width) & 0xffff;
+    const height = toNumber(schematic.Height) & 0xffff;
+    const length = toNumber(schematic.Length) & 0xffff;
+    const size = { x: width, y: height, z: length };
+    const dataVersion = toNumber(schematic.DataVersion ?? 0);
+
+    const paletteBuilder = new PaletteBuilder(dataVersion, translator);
+    const paletteMap = [];
+    Object.entries(blockContainer.Palette ?? {}).forEach(([blockState, id]) => {
+        const { name, states } = parseBlockStateString(blockState);
+        paletteMap[toNumber(id)] = paletteBuilder.add(name, states);
+    });
+
+    const total = width * height * length;
+    const data = readVarInts(blockContainer.Data ?? blockContainer.BlockData ?? [], total);
+    const layer = createLayer(size);
+    for (let i = 0; i < total; i++) {
+        const x = i % width;
+        const z = Math.floor(i / width) % length;
+        const y = Math.floor(i / (width * length));
+        const paletteIndex = paletteMap[data[i]];
+        if (paletteIndex !== undefined) layer[flatIndex(size, x, y, z)] = paletteIndex;
+    }
+
+    const blockEntities = new Map();
+    (blockContainer.BlockEntities ?? schematic.TileEntities ?? []).forEach((entry) => {
+        const [x, y, z] = Array.from(entry?.Pos ?? []).map(toNumber);
+        // v3 keeps the block entity NBT under Data; v1/v2 inline it next to Pos and Id.
+        // Cloned rather than spread, so the tag types survive a write back to Java
+        const nbtData = NBT.clone(entry?.Data ?? entry ?? {});
+        if (!entry?.Data) ['Pos', 'Id'].forEach((key) => { delete nbtData[key]; });
+        const id = entry?.Id ?? entry?.id;
+        if (id !== undefined) nbtData.id = id;
+        addBlockEntity(blockEntities, size, x, y, z, nbtData);
+    });
+
+    const entities = (schematic.Entities ?? [])
+        .filter((entity) => Array.isArray(entity?.Pos))
+        .map((entity, index) => {
+            const nbtData = entity.Data ?? entity;
+            return makeEntity(index, entity.Id ?? nbtData.id, entity.Pos, nbtData.Rotation, nbtData);
+        });
+
+    return finishModel(paletteBuilder, { size, layers: [layer], blockEntities, entities, raw: root, format: 'schem' });
+}
+
+function longsToWords(longs) {
+    // Little-endian 32-bit words, so the long array reads as one continuous LSB-first bit stream
+    const words = new Uint32Array(longs.length * 2 + 1);
+    for (let i = 0; i < longs.length; i++) {
+        const value = BigInt.asUintN(64, BigInt(longs[i]));
+        words[i * 2] = Number(value & 0xffffffffn);
+        words[i * 2 + 1] = Number(value >> 32n);
+    }
+    return words;
+}
+
+function readPackedEntry(words, bitIndex, bits) {
+    const wordIndex = bitIndex >>> 5;
+    const offset = bitIndex & 31;
+    let value = words[wordIndex] >>> offset;
+    if (offset + bits > 32) {
+        value |= words[wordIndex + 1] << (32 - offset);
+    }
+    return bits === 32 ? value >>> 0 : value & ((1 << bits) - 1);
+}
+
+function regionBounds(region) {
+    // Region sizes may be negative: the region then extends backwards from Position
+    const axis = (pos, extent) => {
+        const p = toNumber(pos);
+        const s = toNumber(extent);
+        return s >= 0 ? { min: p, size: s } : { min: p + s + 1, size: -s };
+    };
+    const x = axis(region.Position?.x, region.Size?.x);
+    const y = axis(region.Position?.y, region.Size?.y);
+    const z = axis(region.Position?.z, region.Size?.z);
+    return { min: { x: x.min, y: y.min, z: z.min }, size: { x: x.size, y: y.size, z: z.size } };
+}
+
+/**
+ * Litematica schematic (.litematic). Every region has its own palette and bit-packed
+ * BlockStates (entries may span two longs); regions are merged into one bounding box.
+ * @param {object} root - Root compound.
+ * @param {{translator?: import('./block_translation.js').BlockTranslator}} [options] - Converts the palette to Bedrock states.
+ * @returns {object} The structure model.
+ */
+export function importLitematic(root, { translator = null } = {}) {
+    const regions = Object.entries(root.Regions ?? {}).map(([name, region]) => ({ name, region, ...regionBounds(region) }));
+    if (regions.length === 0) {
+        throw new Error('Litematic file contains no regions.');
+    }
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    regions.forEach(({ min: rMin, size: rSize }) => {
+        ['x', 'y', 'z'].forEach((axis) => {
+            min[axis] = Math.min(min[axis], rMin[axis]);
+            max[axis] = Math.max(max[axis], rMin[axis] + rSize[axis]);
+        });
+    });
+    const size = { x: max.x - min.x, y: max.y - min.y, z: max.z - min.z };
+    const dataVersion = toNumber(root.MinecraftDataVersion ?? 0);
+    const paletteBuilder = new PaletteBuilder(dataVersion, translator);
+    const layer = createLayer(size);
+    const blockEntities = new Map();
+    const entities = [];
+
+    regions.forEach(({ name, region, min: rMin, size: rSize }) => {
+        const rawPalette = region.BlockStatePalette ?? [];
+        const paletteMap = rawPalette.map((entry) => paletteBuilder.add(entry?.Name ?? 'minecraft:air', entry?.Properties));
+        const bits = Math.max(2, Math.ceil(Math.log2(Math.max(rawPalette.length, 1))));
+        const words = longsToWords(region.BlockStates ?? []);
+        const total = rSize.x * rSize.y * rSize.z;
+        if (words.length * 32 < total * bits) {
+            throw new Error(`Litematic region '${name}' has ${region.BlockStates?.length ?? 0} longs, too few for ${total} blocks.`);
+        }
+        const ox = rMin.x - min.x, oy = rMin.y - min.y, oz = rMin.z - min.z;
+        for (let i = 0; i < total; i++) {
+            const paletteIndex = paletteMap[readPackedEntry(words, i * bits, bits)];
+            if (paletteIndex === undefined) continue;
+            const x = i % rSize.x;
+            const z = Math.floor(i / rSize.x) % rSize.z;
+            const y = Math.floor(i / (rSize.x * rSize.z));
+            layer[flatIndex(size, x + ox, y + oy, z + oz)] = paletteIndex;
+        }
+
+        (region.TileEntities ?? []).forEach((tile) => {
+            const x = toNumber(tile.x) + ox, y = toNumber(tile.y) + oy, z = toNumber(tile.z) + oz;
+            addBlockEntity(blockEntities, size, x, y, z, tile);
+        });
+
+        (region.Entities ?? []).forEach((entity) => {
+            if (!Array.isArray(entity?.Pos)) return;
+            const pos = entity.Pos.map(toNumber);
+            entities.push(makeEntity(entities.length, entity.id, [pos[0] + ox, pos[1] + oy, pos[2] + oz], entity.Rotation, entity));
+        });
+    });
+
+    return finishModel(paletteBuilder, { size, layers: [layer], blockEntities, entities, raw: root, format: 'litematic' });
+}
+
+/**
+ * Identifies a Java structure format from the shape of its root compound.
+ * @param {object} root - Big-endian root compound.
+ * @param {string} [rootName] - Name of the root tag ("Schematic" for Sponge v1/v2).
+ * @returns {'nbt'|'schem'|'litematic'|null}
+ */
+export function detectJavaFormat(root, rootName = '') {
+    if (!root || typeof root !== 'object') return null;
+    if (root.Regions && typeof root.Regions === 'object') return 'litematic';
+    const schematic = root.Schematic ?? root;
+    if (rootName === 'Schematic' || root.Schematic || (schematic.Palette && (schematic.BlockData || schematic.Width !== undefined))) {
+        return 'schem';
+    }
+    if (Array.isArray(root.blocks) && (Array.isArray(root.size) || ArrayBuffer.isView(root.size)) && (root.palette || root.palettes)) return 'nbt';
+    return null;
+}
+
+/**
+ * Runs the importer for a detected Java format.
+ * @param {object} root - Big-endian root compound.
+ * @param {'nbt'|'schem'|'litematic'} format
+ * @param {object} [options] - Passed to the importer ({ translator }).
+ * @returns {object} The structure model.
+ */
+export function importJavaStructure(root, format, options = {}) {
+    switch (format) {
+        case 'nbt':
+            return importVanillaStructure(root, options);
+        case 'schem':
+            return importSpongeSchematic(root, options);
+        case 'litematic':
+            return importLitematic(root, options);
+        default:
+            throw new Error(`Unsupported Java structure format: ${format}`);
+    }
+}
@@ -0,0 +1,128 @@
+// Layer Raster
+// Draws one Y layer of a structure as an RGBA pixel image in pure JS, one flat colour per block
+// (no textures), for headless use such as the command line render-layers. X runs left to right
+// and Z top to bottom, as in the 2D layer view. No DOM.
+
+import { isAirBlockName } from './structure_volume.js';
+
+// Rough map colours, checked in order against the block name (without namespace)
+const COLOR_RULES = [
+    [/water/, [63, 118, 228]],
+    [/lava|magma/, [207, 92, 20]],
+    [/glass_pane|glass/, [190, 220, 230]],
+    [/white/, [233, 236, 236]],
+    [/light_gray|silver/, [142, 142, 134]],
+    [/gray/, [62, 68, 71]],
+    [/black/, [21, 21, 26]],
+    [/brown/, [114, 71, 40]],
+    [/red(?!stone)/, [160, 39, 34]],
+    [/orange/, [240, 118, 19]],
+    [/yellow/, [248, 197, 39]],
+    [/lime/, [112, 185, 25]],
+    [/green/, [84, 109, 27]],
+    [/cyan/, [21, 137, 145]],
+    [/light_blue/, [58, 175, 217]],
+    [/blue/, [53, 57, 157]],
+    [/purple/, [121, 42, 172]],
+    [/magenta/, [189, 68, 179]],
+    [/pink/, [237, 141, 172]],
+    [/grass|moss/, [95, 159, 53]],
+    [/leaves|vine|azalea/, [58, 110, 40]],
+    [/dirt|mud|farmland|podzol|path/, [134, 96, 67]],
+    [/sand(?!stone)/, [219, 207, 163]],
+    [/sandstone/, [216, 203, 155]],
+    [/gravel/, [131, 127, 126]],
+    [/snow|powder/, [249, 254, 254]],
+    [/ice/, [145, 183, 253]],
+    [/spruce/, [114, 84, 48]],
+    [/birch/, [192, 175, 121]],
+    [/jungle/, [160, 115, 80]],
+    [/acacia/, [168, 90, 50]],
+    [/dark_oak/, [66, 43, 20]],
+    [/mangrove/, [117, 54, 48]],
+    [/cherry/, [226, 178, 172]],
+    [/bamboo/, [194, 173, 80]],
+    [/crimson/, [148, 63, 97]],
+    [/warped/, [58, 142, 140]],
+    [/oak|log|wood|planks|barrel|chest|bookshelf|crafting_table/, [162, 130, 78]],
+    [/redstone/, [170, 20, 10]],
+    [/gold/, [246, 208, 61]],
+    [/iron|anvil|cauldron|hopper/, [196, 196, 196]],
+    [/diamond/, [92, 219, 213]],
+    [/emerald/, [23, 221, 98]],
+    [/lapis/, [30, 67, 140]],
+    [/copper/, [192, 107, 79]],
+    [/quartz|calcite/, [235, 229, 222]],
+    [/prismarine/, [99, 156, 151]],
+    [/nether_brick|netherrack/, [97, 38, 38]],
+    [/end_stone|purpur/, [219, 222, 158]],
+    [/obsidian/, [20, 18, 30]],
+    [/deepslate|blackstone|basalt/, [80, 80, 84]],
+    [/brick|terracotta|hardened_clay/, [150, 90, 70]],
+    [/stone|cobble|andesite|diorite|granite|tuff|ore|furnace|smooth/, [125, 125, 125]],
+    [/wool|carpet|concrete/, [233, 236, 236]],
+    [/torch|lantern|glowstone|shroomlight|lamp/, [255, 214, 120]],
+];
+
+const colorCache = new Map();
+
+/**
+ * Flat colour for a block name: a rough map colour, or a colour derived from the name.
+ * @param {string} name
+ * @returns {[number, number, number]} RGB.
+ */
+export function blockColor(name) {
+    const key = String(name || 'unknown').toLowerCase();
+    if (colorCache.has(key)) return colorCache.get(key);
+    const shortName = key.replace(/^[a-z0-9_.-]+:/, '');
+    const rule = COLOR_RULES.find(([pattern]) => pattern.test(shortName));
+    let color = rule?.[1];
+    if (!color) {
+        // Same hash as the page's stringToColor
+        let hash = 0;
+        for (let i = 0; i < key.length; i++) hash = key.charCodeAt(i) + ((hash << 5) - hash);
+        color = [(hash >> 16) & 0xff, (hash >> 8) & 0xff, hash & 0xff];
+    }
+    colorCache.set(key, color);
+    return color;
+}
+
+/**
+ * Rasterises one layer: each cell is a scale × scale square, air and empty cells stay transparent.
+ * @param {import('./structure_volume.js').StructureVolume} volume
+ * @param {Array<object>} palette
+ * @param {number} y - The layer.
+ * @param {object} [options]
+ * @param {number} [options.scale=8] - Pixels per block.
+ * @param {boolean} [options.grid=true] - Darken the cell edges (only drawn from 4 pixels per block).
+ * @returns {{width: number, height: number, rgba: Uint8Array}}
+ */
+export function rasterizeLayer(volume, palette, y, { scale = 8, grid = true } = {}) {
+    const { x: sx, z: sz } = volume.size;
+    if (y < 0 || y >= volume.size.y) throw new RangeError(`Layer ${y} is outside the structure (0 to ${volume.size.y - 1}).`);
+    const cellSize = Math.max(1, Math.floor(scale));
+    const width = sx * cellSize;
+    const height = sz * cellSize;
+    const rgba = new Uint8Array(width * height * 4);
+    const cells = volume.getLayer(y);
+    const drawGrid = grid && cellSize >= 4;
+
+    for (let x = 0; x < sx; x++) {
+        for (let z = 0; z < sz; z++) {
+            const entry = palette[cells[x * sz + z]];
+            if (!entry || isAirBlockName(entry.name)) continue;
+            const [r, g, b] = blockColor(entry.name);
+            for (let py = 0; py < cellSize; py++) {
+                for (let px = 0; px < cellSize; px++) {
+                    const edge = drawGrid && (px === 0 || py === 0);
+                    const offset = ((z * cellSize + py) * width + x * cellSize + px) * 4;
+                    rgba[offset] = edge ? r * 0.7 : r;
+                    rgba[offset + 1] = edge ? g * 0.7 : g;
+                    rgba[offset + 2] = edge ? b * 0.7 : b;
+                    rgba[offset + 3] = 255;
+                }
+            }
+        }
+    }
+    return { width, height, rgba };
+}
@@ -0,0 +1,139 @@
+// Library
+// Recently opened structures and resource packs kept in IndexedDB (see app_storage.js), with
+// names, tags and thumbnails, plus the last session's view so a reload picks up where it left
+// off. Entry metadata and file contents live in separate stores so listing stays cheap. Nothing
+// leaves the browser. No DOM.
+
+import { STORES, storageGet, storageGetAll, storagePut, storageDelete } from './app_storage.js';
+
+export const LIBRARY_STRUCTURE = 'structure';
+export const LIBRARY_PACK = 'pack';
+
+// Untagged entries past these counts are dropped, least recently opened first
+const MAX_RECENT = { [LIBRARY_STRUCTURE]: 30, [LIBRARY_PACK]: 8 };
+
+const SESSION_KEY = 'last';
+const SETTINGS_KEY = 'settings';
+const DEFAULT_SETTINGS = { autoRestore: true };
+
+/**
+ * Library key for a resource pack file; packs can be large, so they are told apart by name, size and date
+ * rather than by hashing the content.
+ * @param {File} file
+ * @returns {string}
+ */
+export function packLibraryId(file) {
+    return `pack:${file.name}:${file.size}:${file.lastModified ?? 0}`;
+}
+
+/**
+ * Splits "castle, survival  wip" into ['castle', 'survival', 'wip'] (lowercase, no duplicates).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+    return [...new Set(String(text ?? '').toLowerCase().split(/[,\s]+/).map((tag) => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Every library entry (without file contents), most recently opened first.
+ * @returns {Promise<Array<{id: string, kind: string, name: string, fileName: string, byteLength: number, tags: string[], added: number, opened: number, thumbnail: string|null, details: object}>>}
+ */
+export async function listLibrary() {
+    const entries = await storageGetAll(STORES.libraryEntries);
+    return entries.sort((a, b) => b.opened - a.opened);
+}
+
+/**
+ * Adds a file to the library, or marks an existing entry as just opened (keeping its name and tags).
+ * @param {object} entry
+ * @param {string} entry.id - Structure content hash or packLibraryId.
+ * @param {string} entry.kind - LIBRARY_STRUCTURE or LIBRARY_PACK.
+ * @param {string} entry.fileName
+ * @param {Blob} entry.file - The file contents.
+ * @param {string} [entry.thumbnail] - Image data URL.
+ * @param {object} [entry.details] - e.g. structure size and format.
+ * @returns {Promise<object>} The stored entry metadata.
+ */
+export async function addLibraryEntry({ id, kind, fileName, file, thumbnail = null, details = {} }) {
+    const now = Date.now();
+    const existing = await storageGet(STORES.libraryEntries, id);
+    const entry = {
+        name: fileName,
+        tags: [],
+        added: now,
+        ...existing,
+        id,
+        kind,
+        fileName,
+        byteLength: file.size,
+        opened: now,
+        thumbnail: thumbnail ?? existing?.thumbnail ?? null,
+        details: { ...existing?.details, ...details },
+    };
+    await storagePut(STORES.libraryFiles, id, file);
+    await storagePut(STORES.libraryEntries, id, entry);
+    await pruneLibrary(kind, id);
+    return entry;
+}
+
+async function pruneLibrary(kind, keepId) {
+    const entries = (await listLibrary()).filter((entry) => entry.kind === kind);
+    const stale = entries.filter((entry) => entry.id !== keepId && !entry.tags?.length).slice(Math.max(0, MAX_RECENT[kind] - 1));
+    for (const entry of stale) await deleteLibraryEntry(entry.id);
+}
+
+/**
+ * Changes an entry's name, tags or thumbnail.
+ * @param {string} id
+ * @param {{name?: string, tags?: string[], thumbnail?: string}} changes
+ * @returns {Promise<object|null>} The updated entry, or null if it is gone.
+ */
+export async function updateLibraryEntry(id, changes) {
+    const entry = await storageGet(STORES.libraryEntries, id);
+    if (!entry) return null;
+    const updated = { ...entry, ...changes };
+    await storagePut(STORES.libraryEntries, id, updated);
+    return updated;
+}
+
+/**
+ * The stored file of an entry, named like the original.
+ * @param {string} id
+ * @returns {Promise<File>}
+ */
+export async function getLibraryFile(id) {
+    const [entry, blob] = await Promise.all([storageGet(STORES.libraryEntries, id), storageGet(STORES.libraryFiles, id)]);
+    if (!entry || !blob) throw new Error('This library entry is no longer stored.');
+    return new File([blob], entry.fileName, { lastModified: blob.lastModified ?? entry.added });
+}
+
+export async function deleteLibraryEntry(id) {
+    await storageDelete(STORES.libraryFiles, id);
+    await storageDelete(STORES.libraryEntries, id);
+}
+
+/**
+ * @param {{structureId?: string|null, packs?: Array<{fileId: string, root: string, enabled: boolean}>, view?: object}} session -
+ *   Library ids of what was open (the resource pack stack top first, see ResourcePackStack.snapshot) and the
+ *   page's view state (layer range, camera...). Sessions saved before packs stacked have a single packId instead.
+ */
+export async function saveSession(session) {
+    await storagePut(STORES.session, SESSION_KEY, { ...session, saved: Date.now() });
+}
+
+export async function loadSession() {
+    return (await storageGet(STORES.session, SESSION_KEY)) ?? null;
+}
+
+export async function clearSession() {
+    await storageDelete(STORES.session, SESSION_KEY);
+}
+
+export async function loadLibrarySettings() {
+    return { ...DEFAULT_SETTINGS, ...(await storageGet(STORES.session, SETTINGS_KEY)) };
+}
+
+export async function saveLibrarySettings(settings) {
+    await storagePut(STORES.session, SETTINGS_KEY, { ...DEFAULT_SETTINGS, ...settings });
+}
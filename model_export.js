@@ -0,0 +1,321 @@
+// Model Export
+// Writes the 3D view as a binary glTF (.glb, textures embedded) or as Wavefront OBJ + MTL, from a
+// plain "export scene" collected out of the THREE.js scene (see collectExportScene in index.html).
+// No DOM or THREE.js: textures come in already encoded as PNG bytes.
+//
+// Export scene layout:
+//   meshes:    [{ name, positions, normals, uvs, indices, groups: [{ start, count, materialIndex }] }]
+//              (uvs use THREE.js's convention, v pointing up; meshes may share the same typed arrays)
+//   nodes:     [{ name, mesh, matrices: Float32Array[] }] - one column-major 4x4 matrix per instance
+//   materials: [{ name, color: [r, g, b, a], image: index|null, alphaMode: 'OPAQUE'|'MASK'|'BLEND', alphaCutoff }]
+//   images:    [{ name, png: Uint8Array }]
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+const GL_NEAREST = 9728;
+const GL_NEAREST_MIPMAP_LINEAR = 9986;
+const GL_REPEAT = 10497;
+
+function isIdentityRotationScale(m) {
+    return m[1] === 0 && m[2] === 0 && m[4] === 0 && m[6] === 0 && m[8] === 0 && m[9] === 0 && m[3] === 0 && m[7] === 0 && m[11] === 0 && m[15] === 1;
+}
+
+// glTF node transform for a matrix: translation/scale when there is no rotation, else the matrix itself
+function nodeTransform(m) {
+    if (!isIdentityRotationScale(m)) return { matrix: Array.from(m) };
+    const transform = {};
+    if (m[12] || m[13] || m[14]) transform.translation = [m[12], m[13], m[14]];
+    if (m[0] !== 1 || m[5] !== 1 || m[10] !== 1) transform.scale = [m[0], m[5], m[10]];
+    return transform;
+}
+
+/**
+ * Merges every node's instances into a single mesh each (vertices moved by the instance matrices),
+ * for formats and tools without instancing.
+ * @param {object} scene - Export scene (see the header).
+ * @returns {object} A new export scene whose nodes all have one identity matrix.
+ */
+export function bakeInstances(scene) {
+    const identity = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    const meshes = [];
+    const nodes = [];
+    scene.nodes.forEach((node) => {
+        const source = scene.meshes[node.mesh];
+        const { matrices } = node;
+        if (matrices.length === 0) return;
+        const vertexCount = source.positions.length / 3;
+        const positions = new Float32Array(vertexCount * 3 * matrices.length);
+        const normals = new Float32Array(positions.length);
+        const uvs = new Float32Array(vertexCount * 2 * matrices.length);
+        matrices.forEach((m, instance) => {
+            const base = instance * vertexCount;
+            for (let v = 0; v < vertexCount; v++) {
+                const [x, y, z] = [source.positions[v * 3], source.positions[v * 3 + 1], source.positions[v * 3 + 2]];
+                const [nx, ny, nz] = [source.normals[v * 3], source.normals[v * 3 + 1], source.normals[v * 3 + 2]];
+                const o = (base + v) * 3;
+                positions[o] = m[0] * x + m[4] * y + m[8] * z + m[12];
+                positions[o + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+                positions[o + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+                // Instance matrices only translate, scale uniformly or rotate, so renormalizing is enough
+                const tx = m[0] * nx + m[4] * ny + m[8] * nz;
+                const ty = m[1] * nx + m[5] * ny + m[9] * nz;
+                const tz = m[2] * nx + m[6] * ny + m[10] * nz;
+                const length = Math.hypot(tx, ty, tz) || 1;
+                normals[o] = tx / length;
+                normals[o + 1] = ty / length;
+                normals[o + 2] = tz / length;
+            }
+            uvs.set(source.uvs, base * 2);
+        });
+        // One group per material: its faces of every instance, one after the other
+        const indices = new Uint32Array(source.groups.reduce((sum, group) => sum + group.count, 0) * matrices.length);
+        const byMaterial = new Map();
+        source.groups.forEach((group) => {
+            if (!byMaterial.has(group.materialIndex)) byMaterial.set(group.materialIndex, []);
+            byMaterial.get(group.materialIndex).push(group);
+        });
+        const groups = [];
+        let offset = 0;
+        byMaterial.forEach((materialGroups, materialIndex) => {
+            const start = offset;
+            materialGroups.forEach((group) => {
+                matrices.forEach((m, instance) => {
+                    const base = instance * vertexCount;
+                    for (let i = 0; i < group.count; i++) indices[offset++] = source.indices[group.start + i] + base;
+                });
+            });
+            groups.push({ start, count: offset - start, materialIndex });
+        });
+        meshes.push({ name: node.name, positions, normals, uvs, indices, groups });
+        nodes.push({ name: node.name, mesh: meshes.length - 1, matrices: [identity] });
+    });
+    return { meshes, nodes, materials: scene.materials, images: scene.images };
+}
+
+/**
+ * Writes an export scene as a binary glTF 2.0 file with its textures embedded. Instances become
+ * child nodes sharing one mesh (bake the scene first for a single mesh per node).
+ * @param {object} scene - Export scene (see the header).
+ * @param {object} [options]
+ * @param {string} [options.name='structure'] - Name of the root node.
+ * @returns {Uint8Array}
+ */
+export function writeGLB(scene, { name = 'structure' } = {}) {
+    const parts = [];
+    let byteLength = 0;
+    const json = {
+        asset: { version: '2.0', generator: 'Minecraft Structure Analyzer' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ name, children: [] }],
+        meshes: [],
+        materials: [],
+        textures: [],
+        images: [],
+        samplers: [{ magFilter: GL_NEAREST, minFilter: GL_NEAREST_MIPMAP_LINEAR, wrapS: GL_REPEAT, wrapT: GL_REPEAT }],
+        accessors: [],
+        bufferViews: [],
+        buffers: [],
+    };
+
+    const addBufferView = (bytes, target) => {
+        const padding = (4 - (byteLength % 4)) % 4;
+        if (padding) {
+            parts.push(new Uint8Array(padding));
+            byteLength += padding;
+        }
+        const view = { buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength };
+        if (target) view.target = target;
+        parts.push(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+        byteLength += bytes.byteLength;
+        json.bufferViews.push(view);
+        return json.bufferViews.length - 1;
+    };
+    const addAccessor = (accessor) => {
+        json.accessors.push(accessor);
+        return json.accessors.length - 1;
+    };
+
+    // Meshes may share vertex arrays (one block model, many palette entries); write each array once
+    const attributeAccessors = new Map();
+    const attributeAccessor = (array, build) => {
+        if (!attributeAccessors.has(array)) attributeAccessors.set(array, build());
+        return attributeAccessors.get(array);
+    };
+    const positionAccessor = (positions) => attributeAccessor(positions, () => {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+        const bufferView = addBufferView(positions, GL_ARRAY_BUFFER);
+        return addAccessor({ bufferView, componentType: GL_FLOAT, count: positions.length / 3, type: 'VEC3', min, max });
+    });
+    const normalAccessor = (normals) => attributeAccessor(normals, () =>
+        addAccessor({ bufferView: addBufferView(normals, GL_ARRAY_BUFFER), componentType: GL_FLOAT, count: normals.length / 3, type: 'VEC3' }));
+    // glTF puts v = 0 at the top of the image, THREE.js at the bottom
+    const uvAccessor = (uvs) => attributeAccessor(uvs, () => {
+        const flipped = Float32Array.from(uvs, (value, i) => (i % 2 ? 1 - value : value));
+        return addAccessor({ bufferView: addBufferView(flipped, GL_ARRAY_BUFFER), componentType: GL_FLOAT, count: uvs.length / 2, type: 'VEC2' });
+    });
+    const indexViews = new Map();
+
+    scene.images.forEach((image) => {
+        json.images.push({ name: image.name, mimeType: 'image/png', bufferView: addBufferView(image.png) });
+        json.textures.push({ source: json.images.length - 1, sampler: 0 });
+    });
+    scene.materials.forEach((material) => {
+        const [r, g, b, a] = material.color;
+        const entry = {
+            name: material.name,
+            pbrMetallicRoughness: { baseColorFactor: [r, g, b, a], metallicFactor: 0, roughnessFactor: 1 },
+            doubleSided: true,
+        };
+        if (material.image !== null && material.image !== undefined) {
+            entry.pbrMetallicRoughness.baseColorTexture = { index: material.image };
+        }
+        if (material.alphaMode !== 'OPAQUE') entry.alphaMode = material.alphaMode;
+        if (material.alphaMode === 'MASK') entry.alphaCutoff = material.alphaCutoff;
+        json.materials.push(entry);
+    });
+    scene.meshes.forEach((mesh) => {
+        const attributes = {
+            POSITION: positionAccessor(mesh.positions),
+            NORMAL: normalAccessor(mesh.normals),
+            TEXCOORD_0: uvAccessor(mesh.uvs),
+        };
+        if (!indexViews.has(mesh.indices)) indexViews.set(mesh.indices, addBufferView(Uint32Array.from(mesh.indices), GL_ELEMENT_ARRAY_BUFFER));
+        const bufferView = indexViews.get(mesh.indices);
+        const primitives = mesh.groups.filter((group) => group.count > 0).map(({ start, count, materialIndex }) => ({
+            attributes,
+            indices: addAccessor({ bufferView, byteOffset: start * 4, componentType: GL_UNSIGNED_INT, count, type: 'SCALAR' }),
+            material: materialIndex,
+        }));
+        json.meshes.push({ name: mesh.name, primitives });
+    });
+    scene.nodes.forEach((node) => {
+        if (node.matrices.length === 0 || json.meshes[node.mesh].primitives.length === 0) return;
+        if (node.matrices.length === 1) {
+            json.nodes.push({ name: node.name, mesh: node.mesh, ...nodeTransform(node.matrices[0]) });
+        } else {
+            const children = node.matrices.map((matrix) => {
+                json.nodes.push({ mesh: node.mesh, ...nodeTransform(matrix) });
+                return json.nodes.length - 1;
+            });
+            json.nodes.push({ name: node.name, children });
+        }
+        json.nodes[0].children.push(json.nodes.length - 1);
+    });
+    json.buffers.push({ byteLength });
+    ['meshes', 'materials', 'textures', 'images', 'accessors', 'bufferViews'].forEach((key) => {
+        if (json[key].length === 0) delete json[key];
+    });
+    if (!json.textures) delete json.samplers;
+    if (json.nodes[0].children.length === 0) delete json.nodes[0].children;
+
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonPadding = (4 - (jsonBytes.length % 4)) % 4;
+    const binPadding = (4 - (byteLength % 4)) % 4;
+    const total = 12 + 8 + jsonBytes.length + jsonPadding + (byteLength ? 8 + byteLength + binPadding : 0);
+    const out = new Uint8Array(total);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonBytes.length + jsonPadding, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    out.set(jsonBytes, 20);
+    // The JSON chunk is padded with spaces
+    out.fill(0x20, 20 + jsonBytes.length, 20 + jsonBytes.length + jsonPadding);
+    if (byteLength) {
+        let offset = 20 + view.getUint32(12, true);
+        view.setUint32(offset, byteLength + binPadding, true);
+        view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+        offset += 8;
+        parts.forEach((part) => {
+            out.set(part, offset);
+            offset += part.byteLength;
+        });
+    }
+    return out;
+}
+
+// Short decimal text for OBJ coordinates
+function formatNumber(value) {
+    return String(Math.round(value * 1e5) / 1e5);
+}
+
+// File-system-safe, unique names for the MTL materials and texture files
+function uniqueNames(names) {
+    const used = new Set();
+    return names.map((name) => {
+        const base = String(name || 'unnamed').replace(/^minecraft:/, '').replace(/[^A-Za-z0-9_.-]+/g, '_') || 'unnamed';
+        let unique = base;
+        for (let i = 2; used.has(unique.toLowerCase()); i++) unique = `${base}_${i}`;
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+/**
+ * Writes an export scene as Wavefront OBJ with an MTL material library. OBJ has no instancing,
+ * so every instance is baked into its node's object.
+ * @param {object} scene - Export scene (see the header).
+ * @param {object} [options]
+ * @param {string} [options.name='structure'] - Base name of the .obj/.mtl files.
+ * @returns {{obj: string, mtl: string, textures: Array<{fileName: string, png: Uint8Array}>}}
+ */
+export function writeOBJ(scene, { name = 'structure' } = {}) {
+    const baked = bakeInstances(scene);
+    const textureNames = uniqueNames(scene.images.map((image) => image.name)).map((base) => `${base}.png`);
+    const materialNames = uniqueNames(scene.materials.map((material) => material.name));
+
+    const mtl = ['# Minecraft Structure Analyzer'];
+    scene.materials.forEach((material, i) => {
+        const [r, g, b, a] = material.color;
+        mtl.push('', `newmtl ${materialNames[i]}`, `Kd ${formatNumber(r)} ${formatNumber(g)} ${formatNumber(b)}`, 'Ks 0 0 0', 'illum 1');
+        if (a < 1) mtl.push(`d ${formatNumber(a)}`);
+        if (material.image !== null && material.image !== undefined) {
+            mtl.push(`map_Kd ${textureNames[material.image]}`);
+            // Cut-out and translucent textures carry their transparency in the alpha channel
+            if (material.alphaMode !== 'OPAQUE') mtl.push(`map_d ${textureNames[material.image]}`);
+        }
+    });
+
+    const chunks = ['# Minecraft Structure Analyzer', `mtllib ${name}.mtl`];
+    let vertexBase = 1;
+    baked.nodes.forEach((node) => {
+        const mesh = baked.meshes[node.mesh];
+        const vertexCount = mesh.positions.length / 3;
+        const lines = [`o ${uniqueNames([node.name])[0]}`];
+        for (let v = 0; v < vertexCount; v++) {
+            lines.push(`v ${formatNumber(mesh.positions[v * 3])} ${formatNumber(mesh.positions[v * 3 + 1])} ${formatNumber(mesh.positions[v * 3 + 2])}`);
+        }
+        for (let v = 0; v < vertexCount; v++) lines.push(`vt ${formatNumber(mesh.uvs[v * 2])} ${formatNumber(mesh.uvs[v * 2 + 1])}`);
+        for (let v = 0; v < vertexCount; v++) {
+            lines.push(`vn ${formatNumber(mesh.normals[v * 3])} ${formatNumber(mesh.normals[v * 3 + 1])} ${formatNumber(mesh.normals[v * 3 + 2])}`);
+        }
+        mesh.groups.forEach(({ start, count, materialIndex }) => {
+            if (count === 0) return;
+            lines.push(`usemtl ${materialNames[materialIndex]}`);
+            for (let i = start; i < start + count; i += 3) {
+                const [a, b, c] = [mesh.indices[i] + vertexBase, mesh.indices[i + 1] + vertexBase, mesh.indices[i + 2] + vertexBase];
+                lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+            }
+        });
+        chunks.push(lines.join('\n'));
+        vertexBase += vertexCount;
+    });
+
+    return {
+        obj: `${chunks.join('\n')}\n`,
+        mtl: `${mtl.join('\n')}\n`,
+        textures: scene.images.map((image, i) => ({ fileName: textureNames[i], png: image.png })),
+    };
+}
@@ -13,6 +13,75 @@ const TAG_COMPOUND = 10;
 const TAG_INT_ARRAY = 11;
 const TAG_LONG_ARRAY = 12;
 
+const TAG = {
+    END: TAG_END,
+    BYTE: TAG_BYTE,
+    SHORT: TAG_SHORT,
+    INT: TAG_INT,
+    LONG: TAG_LONG,
+    FLOAT: TAG_FLOAT,
+    DOUBLE: TAG_DOUBLE,
+    BYTE_ARRAY: TAG_BYTE_ARRAY,
+    STRING: TAG_STRING,
+    LIST: TAG_LIST,
+    COMPOUND: TAG_COMPOUND,
+    INT_ARRAY: TAG_INT_ARRAY,
+    LONG_ARRAY: TAG_LONG_ARRAY,
+};
+
+// Parsed values are plain JS values, so the original tag types are kept as hidden
+// metadata: compounds carry a Map of key -> tag type (in file order, which also
+// preserves the order of integer-like keys), lists carry their element type and
+// the root compound carries its name. NBT.write uses these for a faithful round trip.
+const NBT_TAG_TYPES = Symbol("nbt.tagTypes");
+const NBT_LIST_TYPE = Symbol("nbt.listType");
+const NBT_ROOT_NAME = Symbol("nbt.rootName");
+
+function defineHidden(target, key, value) {
+    Object.defineProperty(target, key, { value, writable: true, configurable: true, enumerable: false });
+}
+
+function getTagTypes(compound) {
+    if (!compound || typeof compound !== "object") return null;
+    if (!compound[NBT_TAG_TYPES]) {
+        defineHidden(compound, NBT_TAG_TYPES, new Map());
+    }
+    return compound[NBT_TAG_TYPES];
+}
+
+function getTagType(compound, key) {
+    return compound?.[NBT_TAG_TYPES]?.get(key);
+}
+
+function setTagType(compound, key, tagType) {
+    getTagTypes(compound).set(key, tagType);
+}
+
+// Keys of a compound in file order, then keys added after parsing in insertion order
+// (plain Object.keys would put integer-like keys such as block_position_data indices first)
+function getCompoundKeys(compound) {
+    const types = compound?.[NBT_TAG_TYPES];
+    const keys = types ? [...types.keys()].filter((key) => Object.prototype.hasOwnProperty.call(compound, key)) : [];
+    const known = new Set(keys);
+    Object.keys(compound ?? {}).forEach((key) => {
+        if (!known.has(key)) keys.push(key);
+    });
+    return keys;
+}
+
+function getListType(list) {
+    return list?.[NBT_LIST_TYPE];
+}
+
+function setListType(list, tagType) {
+    defineHidden(list, NBT_LIST_TYPE, tagType);
+    return list;
+}
+
+function getRootName(root) {
+    return root?.[NBT_ROOT_NAME] ?? "";
+}
+
 class LittleEndianNBTReader {
     constructor(input) {
         if (input instanceof ArrayBuffer) {
@@ -30,6 +99,11 @@ class LittleEndianNBTReader {
         this.offset = 0;
         this.littleEndian = true;
         this.textDecoder = new TextDecoder("utf-8");
+        this.path = [];
+    }
+
+    describePath() {
+        return this.path.join(".") || "<root>";
     }
 
     readUint8() {
@@ -74,6 +148,14 @@ class LittleEndianNBTReader {
         return value;
     }
 
+    // Guards list/array lengths so a corrupt (or wrong-endian) length can't allocate huge arrays
+    checkLength(length, elementSize) {
+        if (length < 0 || length * elementSize > this.byteLength - this.offset) {
+            throw new Error(`NBT length ${length} exceeds the remaining data`);
+        }
+        return length;
+    }
+
     readBytes(length) {
         const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
         this.offset += length;
@@ -103,34 +185,44 @@ class LittleEndianNBTReader {
             case TAG_DOUBLE:
                 return this.readFloat64();
             case TAG_BYTE_ARRAY: {
-                const length = this.readInt32();
-                const bytes = this.readBytes(length);
-                return Array.from(bytes, (b) => (b << 24) >> 24); // convert to signed
+                const length = this.checkLength(this.readInt32(), 1);
+                // Copy out of the file buffer as signed bytes
+                return new Int8Array(this.readBytes(length));
             }
             case TAG_STRING:
                 return this.readString();
             case TAG_LIST: {
                 const childType = this.readUint8();
-                const length = this.readInt32();
+                const length = this.checkLength(this.readInt32(), 1);
+                if (childType === TAG_INT) {
+                    // Int lists (block_indices, positions) are decoded straight into typed arrays
+                    const ints = new Int32Array(this.checkLength(length, 4));
+                    for (let i = 0; i < length; i++) {
+                        ints[i] = this.readInt32();
+                    }
+                    return setListType(ints, childType);
+                }
                 const list = new Array(length);
                 for (let i = 0; i < length; i++) {
+                    this.path.push(`[${i}]`);
                     list[i] = this.readTagPayload(childType);
+                    this.path.pop();
                 }
-                return list;
+                return setListType(list, childType);
             }
             case TAG_COMPOUND:
                 return this.readCompound();
             case TAG_INT_ARRAY: {
-                const length = this.readInt32();
-                const arr = new Array(length);
+                const length = this.checkLength(this.readInt32(), 4);
+                const arr = new Int32Array(length);
                 for (let i = 0; i < length; i++) {
                     arr[i] = this.readInt32();
                 }
                 return arr;
             }
             case TAG_LONG_ARRAY: {
-                const length = this.readInt32();
-                const arr = new Array(length);
+                const length = this.checkLength(this.readInt32(), 8);
+                const arr = new BigInt64Array(length);
                 for (let i = 0; i < length; i++) {
                     arr[i] = this.readBigInt64();
                 }
@@ -143,37 +235,329 @@ class LittleEndianNBTReader {
 
     readCompound() {
         const result = {};
+        const types = getTagTypes(result);
         while (true) {
             const tagType = this.readUint8();
             if (tagType === TAG_END) {
                 break;
             }
             const name = this.readString();
+            types.set(name, tagType);
+            this.path.push(name);
             result[name] = this.readTagPayload(tagType);
+            this.path.pop();
         }
         return result;
     }
 }
 
-function parseNBT(buffer) {
-    console.log("NBT.js: Starting full NBT parsing...");
-    const reader = new LittleEndianNBTReader(buffer);
-    const rootType = reader.readUint8();
-    if (rootType !== TAG_COMPOUND) {
-        throw new Error("Root tag of NBT data must be a Compound.");
+// Java Edition NBT: same layout, big-endian numbers.
+class BigEndianNBTReader extends LittleEndianNBTReader {
+    constructor(input) {
+        super(input);
+        this.littleEndian = false;
+    }
+}
+
+// A parse failure with where it happened: the byte offset into the uncompressed data and the
+// tag path being read (e.g. "structure.palette.default.block_palette.[12].states").
+class NBTParseError extends Error {
+    constructor(message, { offset = null, path = "<root>" } = {}) {
+        super(message);
+        this.name = "NBTParseError";
+        this.offset = offset;
+        this.path = path;
     }
-    const rootName = reader.readString(); // Bedrock files usually have an empty root name.
-    const data = reader.readCompound();
-    console.log(`NBT.js: Parsed Compound root '${rootName}' with keys: ${Object.keys(data).join(', ')}`);
+}
+
+/**
+ * Parses an uncompressed NBT buffer with a compound root.
+ * @param {ArrayBuffer|ArrayBufferView} buffer
+ * @param {object} [options]
+ * @param {boolean} [options.littleEndian=true] - Bedrock is little-endian; pass false for Java Edition files.
+ * @returns {object} The root compound.
+ * @throws {NBTParseError} With the byte offset and tag path of the failure.
+ */
+function parseNBT(buffer, { littleEndian = true } = {}) {
+    const reader = littleEndian ? new LittleEndianNBTReader(buffer) : new BigEndianNBTReader(buffer);
+    let rootName;
+    let data;
+    try {
+        const rootType = reader.readUint8();
+        if (rootType !== TAG_COMPOUND) {
+            throw new Error("Root tag of NBT data must be a Compound.");
+        }
+        rootName = reader.readString(); // Bedrock files usually have an empty root name.
+        data = reader.readCompound();
+    } catch (error) {
+        // DataView reads past the end throw a bare RangeError; say where it happened
+        const message = error instanceof RangeError ? `Unexpected end of data (${error.message})` : error.message.replace(/\.$/, "");
+        throw new NBTParseError(`${message} at byte ${reader.offset}, tag '${reader.describePath()}'.`, {
+            offset: reader.offset,
+            path: reader.describePath(),
+        });
+    }
+    defineHidden(data, NBT_ROOT_NAME, rootName);
     return data;
 }
 
-const NBT = { parse: parseNBT };
+class LittleEndianNBTWriter {
+    constructor(initialCapacity = 64 * 1024) {
+        this.bytes = new Uint8Array(initialCapacity);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+        this.littleEndian = true;
+        this.textEncoder = new TextEncoder();
+        this.path = [];
+    }
+
+    ensureCapacity(extra) {
+        const required = this.offset + extra;
+        if (required <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < required) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.offset));
+        this.bytes = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    writeUint8(value) {
+        this.ensureCapacity(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    writeInt8(value) {
+        this.ensureCapacity(1);
+        this.view.setInt8(this.offset, value);
+        this.offset += 1;
+    }
+
+    writeInt16(value) {
+        this.ensureCapacity(2);
+        this.view.setInt16(this.offset, value, this.littleEndian);
+        this.offset += 2;
+    }
+
+    writeInt32(value) {
+        this.ensureCapacity(4);
+        this.view.setInt32(this.offset, value, this.littleEndian);
+        this.offset += 4;
+    }
+
+    writeFloat32(value) {
+        this.ensureCapacity(4);
+        this.view.setFloat32(this.offset, value, this.littleEndian);
+        this.offset += 4;
+    }
+
+    writeFloat64(value) {
+        this.ensureCapacity(8);
+        this.view.setFloat64(this.offset, value, this.littleEndian);
+        this.offset += 8;
+    }
+
+    writeBigInt64(value) {
+        this.ensureCapacity(8);
+        this.view.setBigInt64(this.offset, BigInt.asIntN(64, BigInt(value)), this.littleEndian);
+        this.offset += 8;
+    }
+
+    writeBytes(bytes) {
+        this.ensureCapacity(bytes.length);
+        this.bytes.set(bytes, this.offset);
+        this.offset += bytes.length;
+    }
+
+    writeString(value) {
+        const bytes = this.textEncoder.encode(String(value ?? ""));
+        if (bytes.length > 0xffff) {
+            throw new Error(`NBT string at '${this.describePath()}' is too long (${bytes.length} bytes).`);
+        }
+        this.ensureCapacity(2);
+        this.view.setUint16(this.offset, bytes.length, this.littleEndian);
+        this.offset += 2;
+        this.writeBytes(bytes);
+    }
+
+    describePath() {
+        return this.path.join(".") || "<root>";
+    }
+
+    toInteger(value, tagType) {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+            throw new Error(`NBT tag '${this.describePath()}' (type ${tagType}) expects an integer, got ${String(value)}.`);
+        }
+        return number;
+    }
+
+    writeTagPayload(tagType, value) {
+        switch (tagType) {
+            case TAG_BYTE:
+                return this.writeInt8(this.toInteger(value, tagType));
+            case TAG_SHORT:
+                return this.writeInt16(this.toInteger(value, tagType));
+            case TAG_INT:
+                return this.writeInt32(this.toInteger(value, tagType));
+            case TAG_LONG:
+                return this.writeBigInt64(typeof value === "bigint" ? value : this.toInteger(value, tagType));
+            case TAG_FLOAT:
+                return this.writeFloat32(Number(value));
+            case TAG_DOUBLE:
+                return this.writeFloat64(Number(value));
+            case TAG_BYTE_ARRAY: {
+                this.writeInt32(value.length);
+                this.ensureCapacity(value.length);
+                for (let i = 0; i < value.length; i++) {
+                    this.view.setInt8(this.offset + i, this.toInteger(value[i], TAG_BYTE));
+                }
+                this.offset += value.length;
+                return;
+            }
+            case TAG_STRING:
+                return this.writeString(value);
+            case TAG_LIST: {
+                if (!Array.isArray(value) && !ArrayBuffer.isView(value)) {
+                    throw new Error(`NBT tag '${this.describePath()}' expects a list.`);
+                }
+                const childType = getListType(value) ?? inferListType(value);
+                this.writeUint8(childType);
+                this.writeInt32(value.length);
+                for (let i = 0; i < value.length; i++) {
+                    this.path.push(`[${i}]`);
+                    this.writeTagPayload(childType, value[i]);
+                    this.path.pop();
+                }
+                return;
+            }
+            case TAG_COMPOUND:
+                return this.writeCompound(value);
+            case TAG_INT_ARRAY: {
+                this.writeInt32(value.length);
+                for (let i = 0; i < value.length; i++) {
+                    this.writeInt32(this.toInteger(value[i], TAG_INT));
+                }
+                return;
+            }
+            case TAG_LONG_ARRAY: {
+                this.writeInt32(value.length);
+                for (let i = 0; i < value.length; i++) {
+                    this.writeBigInt64(value[i]);
+                }
+                return;
+            }
+            default:
+                throw new Error(`Unsupported NBT tag type ${tagType} at '${this.describePath()}'.`);
+        }
+    }
+
+    writeCompound(compound) {
+        if (!compound || typeof compound !== "object" || Array.isArray(compound)) {
+            throw new Error(`NBT tag '${this.describePath()}' expects a compound.`);
+        }
+        const types = compound[NBT_TAG_TYPES];
+        // Keys keep their original file order; keys added after parsing follow in insertion order.
+        for (const key of getCompoundKeys(compound)) {
+            const value = compound[key];
+            if (value === undefined) continue;
+            const tagType = types?.get(key) ?? inferTagType(value);
+            this.path.push(key);
+            this.writeUint8(tagType);
+            this.writeString(key);
+            this.writeTagPayload(tagType, value);
+            this.path.pop();
+        }
+        this.writeUint8(TAG_END);
+    }
+
+    getBytes() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+function inferTagType(value) {
+    if (typeof value === "boolean") return TAG_BYTE;
+    if (typeof value === "bigint") return TAG_LONG;
+    if (typeof value === "number") return Number.isInteger(value) ? TAG_INT : TAG_DOUBLE;
+    if (typeof value === "string") return TAG_STRING;
+    // Int lists are read into Int32Arrays too; their list type tells them apart from int arrays
+    if (ArrayBuffer.isView(value) && getListType(value) !== undefined) return TAG_LIST;
+    if (value instanceof Int8Array || value instanceof Uint8Array) return TAG_BYTE_ARRAY;
+    if (value instanceof Int32Array) return TAG_INT_ARRAY;
+    if (value instanceof BigInt64Array) return TAG_LONG_ARRAY;
+    if (Array.isArray(value)) return TAG_LIST;
+    if (value && typeof value === "object") return TAG_COMPOUND;
+    throw new Error(`Cannot infer an NBT tag type for value: ${String(value)}`);
+}
+
+function inferListType(list) {
+    // Empty lists are written as TAG_END lists, which is what Bedrock itself emits.
+    return list.length > 0 ? inferTagType(list[0]) : TAG_END;
+}
+
+/**
+ * Serializes a compound (as returned by NBT.parse) to little-endian Bedrock NBT (or big-endian Java NBT).
+ * @param {object} data - Root compound.
+ * @param {object} [options]
+ * @param {string} [options.rootName] - Root tag name; defaults to the name the compound was parsed with.
+ * @param {boolean} [options.littleEndian=true] - Pass false to write Java Edition (big-endian) NBT.
+ * @returns {Uint8Array}
+ */
+function writeNBT(data, options = {}) {
+    const writer = new LittleEndianNBTWriter();
+    writer.littleEndian = options.littleEndian ?? true;
+    writer.writeUint8(TAG_COMPOUND);
+    writer.writeString(options.rootName ?? data?.[NBT_ROOT_NAME] ?? "");
+    writer.writeCompound(data);
+    return writer.getBytes();
+}
+
+/**
+ * Deep-copies a parsed NBT value, keeping the hidden tag and list types so the copy writes back the same way.
+ * @param {*} value - A compound, list, typed array or primitive from NBT.parse.
+ * @returns {*}
+ */
+function cloneNBT(value) {
+    if (ArrayBuffer.isView(value)) {
+        const copy = value.slice();
+        if (getListType(value) !== undefined) setListType(copy, getListType(value));
+        return copy;
+    }
+    if (Array.isArray(value)) {
+        const copy = value.map(cloneNBT);
+        if (getListType(value) !== undefined) setListType(copy, getListType(value));
+        return copy;
+    }
+    if (!value || typeof value !== "object") return value;
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+        copy[key] = cloneNBT(value[key]);
+    });
+    if (value[NBT_TAG_TYPES]) defineHidden(copy, NBT_TAG_TYPES, new Map(value[NBT_TAG_TYPES]));
+    if (value[NBT_ROOT_NAME] !== undefined) defineHidden(copy, NBT_ROOT_NAME, value[NBT_ROOT_NAME]);
+    return copy;
+}
+
+const NBT = {
+    parse: parseNBT,
+    write: writeNBT,
+    clone: cloneNBT,
+    TAG,
+    getTagType,
+    setTagType,
+    getListType,
+    setListType,
+    getRootName,
+    getCompoundKeys,
+    inferTagType,
+};
 
 if (typeof window !== "undefined") {
     window.NBT = NBT;
 }
 
-export { NBT };
+export { NBT, TAG, NBTParseError, LittleEndianNBTReader, BigEndianNBTReader, LittleEndianNBTWriter };
 export default NBT;
 
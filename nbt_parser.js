@@ -1,7 +1,11 @@
 // NBT Parsing Logic Module
-// Dependencies: pako (via CDN in index.html), NBT module (via nbt.min.js)
+// Dependencies: pako (via CDN in index.html) or a codec passed to setGzipCodec, NBT module (via nbt.min.js)
 
 import { NBT } from './nbt.min.js';
+import { StructureVolume, flatIndex, unflattenIndex } from './structure_volume.js';
+import { validateMCStructure, diagnoseLoadError, hasErrors, StructureValidationError } from './structure_validator.js';
+
+export { flatIndex, unflattenIndex, isAirBlockName } from './structure_volume.js';
 
 /**
  * Core function to handle binary structure parsing (Gzip decompression and NBT parsing).
@@ -10,6 +14,37 @@ import { NBT } from './nbt.min.js';
  */
 const GZIP_MAGIC_BYTES = [0x1f, 0x8b];
 
+// Set by setGzipCodec; otherwise the page's pako global is used
+let gzipCodec = null;
+
+/**
+ * Sets the gzip implementation used to read and write compressed structures where there is no
+ * pako global, e.g. under Node: { inflate: zlib.gunzipSync, gzip: zlib.gzipSync } (see core.js).
+ * @param {{inflate: (bytes: Uint8Array) => Uint8Array, gzip: (bytes: Uint8Array) => Uint8Array}|null} codec
+ */
+export function setGzipCodec(codec) {
+    gzipCodec = codec;
+}
+
+function getPako() {
+    if (gzipCodec) return gzipCodec;
+    // prefer globalThis to be robust in module contexts
+    return (typeof globalThis !== 'undefined' ? globalThis.pako : (typeof window !== 'undefined' ? window.pako : null));
+}
+
+/**
+ * Gzips bytes with the configured codec (pako in the browser).
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function gzipBytes(bytes) {
+    const pakoGlobal = getPako();
+    if (!pakoGlobal || typeof pakoGlobal.gzip !== 'function') {
+        throw new Error("A Gzip compressor is required to write compressed structures: load pako on the page or call setGzipCodec.");
+    }
+    return new Uint8Array(pakoGlobal.gzip(bytes));
+}
+
 function isGzipCompressed(buffer) {
     // guard for very small/invalid buffers
     if (!buffer || (typeof buffer.byteLength === 'number' && buffer.byteLength < 2)) return false;
@@ -17,81 +52,60 @@ function isGzipCompressed(buffer) {
     return bytes[0] === GZIP_MAGIC_BYTES[0] && bytes[1] === GZIP_MAGIC_BYTES[1];
 }
 
-export async function parseMCStructureBinary(buffer) {
-    console.log("--- NBT Parser: Starting File Integrity Check ---");
-    let decompressedData;
-    let parsedStructureData;
-
-    const looksGzipped = isGzipCompressed(buffer);
+/**
+ * Step 1 of loading any structure file: inflate it if it carries a Gzip signature.
+ * Bedrock .mcstructure files are usually uncompressed; Java formats are always gzipped.
+ * @param {ArrayBuffer|Uint8Array} buffer - The raw file content.
+ * @returns {Uint8Array} The uncompressed NBT bytes.
+ */
+export function decompressStructureData(buffer) {
+    if (!isGzipCompressed(buffer)) {
+        return new Uint8Array(buffer);
+    }
 
-    if (looksGzipped) {
-        // prefer globalThis to be robust in module contexts
-        const pakoGlobal = (typeof globalThis !== 'undefined' ? globalThis.pako : (typeof window !== 'undefined' ? window.pako : null));
-        if (!pakoGlobal || typeof pakoGlobal.inflate !== 'function') {
-            throw new Error("Pako library (Gzip decompressor) is required but not loaded. Ensure pako is included (e.g. pako.min.js) and available on the page as global 'pako'.");
-        }
+    const pakoGlobal = getPako();
+    if (!pakoGlobal || typeof pakoGlobal.inflate !== 'function') {
+        throw new Error("Pako library (Gzip decompressor) is required but not loaded. Ensure pako is included (e.g. pako.min.js) and available on the page as global 'pako', or call setGzipCodec.");
+    }
 
-        console.log("Step 1: Gzip signature detected. Attempting decompression...");
-        try {
-            const compressedData = new Uint8Array(buffer);
-            decompressedData = pakoGlobal.inflate(compressedData);
-            console.log(`NBT Parser: Gzip Decompression Success. Decompressed size: ${decompressedData.length} bytes.`);
-        } catch (e) {
-            console.error("NBT Parser: Gzip Decompression Failed.", e);
-            throw new Error(`Gzip Decompression Error: Cannot decompress file. It may be corrupted or not a valid Gzip structure. (${e.message})`);
-        }
-    } else {
-        console.log("Step 1: No Gzip signature detected. Treating file as already-decompressed Bedrock structure.");
-        decompressedData = new Uint8Array(buffer);
+    try {
+        const decompressedData = new Uint8Array(pakoGlobal.inflate(new Uint8Array(buffer)));
+        return decompressedData;
+    } catch (e) {
+        console.error("NBT Parser: Gzip Decompression Failed.", e);
+        throw new Error(`Gzip Decompression Error: Cannot decompress file. It may be corrupted or not a valid Gzip structure. (${e.message})`);
     }
+}
 
-    console.log("Step 2: Attempting NBT Binary Parsing (Including Header Check)...");
+/**
+ * Parses uncompressed or gzipped Bedrock .mcstructure data and validates it (see structure_validator.js).
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {object} [options]
+ * @param {(stage: string) => void} [options.onProgress]
+ * @param {boolean} [options.strict=false] - Refuse files with validation errors instead of loading what can be read.
+ * @returns {Promise<object>} The structure model, with the validation report in `diagnostics`.
+ * @throws {Error} With a `diagnostics` report when the NBT can't be read or strict validation fails.
+ */
+export async function parseMCStructureBinary(buffer, { onProgress, strict = false } = {}) {
+    const decompressedData = decompressStructureData(buffer);
+
+    let parsedStructureData;
     try {
-        // NBT.parse may be sync or return a Promise depending on the implementation.
-        let maybe = NBT.parse(decompressedData);
-        if (maybe && typeof maybe.then === 'function') {
-            parsedStructureData = await maybe;
-        } else {
-            parsedStructureData = maybe;
-        }
+        parsedStructureData = NBT.parse(decompressedData);
     } catch (e) {
-        // Try a tolerant fallback (some parsers expect an ArrayBuffer or a different typed view)
-        try {
-            let altInput = decompressedData instanceof Uint8Array ? decompressedData.buffer : decompressedData;
-            let maybeAlt = NBT.parse(altInput);
-            if (maybeAlt && typeof maybeAlt.then === 'function') {
-                parsedStructureData = await maybeAlt;
-            } else {
-                parsedStructureData = maybeAlt;
-            }
-        } catch (e2) {
-            console.error("NBT Parser: NBT Parsing Failed.", e, e2);
-            throw new Error(`NBT Parsing Error: Failed to read Minecraft NBT structure data. The file format seems invalid after integrity checks. (${e.message || e2.message})`);
-        }
+        const error = new Error(`NBT Parsing Error: Failed to read Minecraft NBT structure data. (${e.message})`, { cause: e });
+        error.diagnostics = diagnoseLoadError(e, 'mcstructure');
+        throw error;
     }
 
-    console.log("--- NBT Parser: All Integrity Checks Passed! ---");
-    // Debug: print top-level keys and structure
-    if (parsedStructureData && typeof parsedStructureData === 'object') {
-        console.log('[DEBUG] Top-level keys:', Object.keys(parsedStructureData));
-        if (parsedStructureData.structure) {
-            console.log('[DEBUG] structure keys:', Object.keys(parsedStructureData.structure));
-            if (parsedStructureData.structure.block_indices) {
-                const bi = parsedStructureData.structure.block_indices;
-                console.log('[DEBUG] block_indices type:', typeof bi, 'keys:', Object.keys(bi), 'length:', bi.length);
-                // Print a sample of the first block_indices entry
-                const firstKey = Object.keys(bi)[0];
-                if (firstKey) {
-                    console.log(`[DEBUG] block_indices[${firstKey}] sample:`, Array.isArray(bi[firstKey]) ? bi[firstKey].slice(0, 20) : bi[firstKey]);
-                }
-            }
-        }
+    const diagnostics = validateMCStructure(parsedStructureData);
+    if (strict && hasErrors(diagnostics)) {
+        throw new StructureValidationError(diagnostics);
     }
+
+    onProgress?.('palette');
     const transformed = transformStructure(parsedStructureData);
-    // Debug logging for troubleshooting
-    console.log("[DEBUG] Parsed palette:", transformed.palette);
-    console.log("[DEBUG] Block count:", transformed.blocks.length);
-    console.log("[DEBUG] Material counts:", transformed.materials);
+    transformed.diagnostics = diagnostics;
     return transformed;
 }
 
@@ -109,30 +123,35 @@ function toNumber(value) {
     return Number(value ?? 0);
 }
 
-function buildMaterialCounts(structureSection, palette) {
-    if (!structureSection) {
-        return {};
-    }
-
-    const paletteNames = palette.map((entry) => (entry?.name ?? 'minecraft:unknown').toLowerCase());
+/**
+ * Block counts by block name (air left out).
+ * @param {StructureVolume} volume
+ * @param {Array<object>} palette
+ * @param {object} [options]
+ * @param {Uint8Array} [options.exclude] - Flag per cell (flatIndex order); flagged cells are left out,
+ *   e.g. blocks already placed in a build in progress.
+ * @returns {Object<string, number>}
+ */
+export function buildMaterialCounts(volume, palette, { exclude = null } = {}) {
     const counts = Object.create(null);
-    const blockIndexLayers = structureSection.block_indices ?? [];
-
-    blockIndexLayers.forEach((layer) => {
-        if (!Array.isArray(layer)) return;
-        layer.forEach((rawIndex) => {
-            const index = toNumber(rawIndex);
-            if (!Number.isFinite(index) || index < 0 || index >= paletteNames.length) {
-                return;
-            }
-            const blockName = paletteNames[index];
-            if (!blockName || blockName === 'minecraft:air') {
-                return;
-            }
-            counts[blockName] = (counts[blockName] || 0) + 1;
-        });
+    // Secondary (waterlogging) blocks are counted too: a waterlogged slab needs the slab and the water.
+    const primaryCounts = exclude ? countCells(volume, volume.primary, exclude) : volume.countByPalette();
+    const secondaryCounts = exclude ? countCells(volume, volume.secondary, exclude) : volume.countByPalette({ secondary: true });
+    palette.forEach((entry, index) => {
+        const count = primaryCounts[index] + secondaryCounts[index];
+        if (!count) return;
+        const blockName = (entry?.name ?? 'minecraft:unknown').toLowerCase();
+        counts[blockName] = (counts[blockName] || 0) + count;
     });
+    return counts;
+}
 
+// Like StructureVolume.countByPalette, skipping the flagged cells
+function countCells(volume, cells, exclude) {
+    const counts = new Uint32Array(volume.air.length);
+    cells.forEach((paletteIndex, i) => {
+        if (paletteIndex >= 0 && !exclude[i] && !volume.isAir(paletteIndex)) counts[paletteIndex]++;
+    });
     return counts;
 }
 
@@ -146,48 +165,283 @@ function buildPalette(structureSection) {
     }));
 }
 
-function buildBlocks(structureSection, size, paletteLength) {
-    // block_indices is an array of layers (each layer is a flattened X*Z plane) -- iterate every layer
+function getBlockIndexLayers(structureSection) {
+    // block_indices is a list of layers, each a flattened X*Y*Z volume.
+    // Layer 0 holds the primary blocks; layer 1 holds secondary blocks (mostly water for
+    // waterlogged slabs, fences, kelp...) and uses -1 where a cell has none.
     const blockIndices = structureSection.block_indices ?? [];
-    const blocks = [];
-    // Bedrock: block_indices[0] is a single large flattened array (X*Y*Z)
-    let flat = null;
     if (Array.isArray(blockIndices)) {
-        flat = blockIndices[0];
-    } else if (typeof blockIndices === 'object' && blockIndices !== null) {
-        // Use the first key (usually '0')
-        const keys = Object.keys(blockIndices).sort();
-        flat = blockIndices[keys[0]];
-    }
-    if (Array.isArray(flat)) {
-        const { x: sx, y: sy, z: sz } = size;
-        const total = sx * sy * sz;
-        console.log(`[DEBUG] buildBlocks: block_indices[0] length: ${flat.length}, expected: ${total}`);
-        for (let i = 0; i < Math.min(flat.length, total); i++) {
-            const paletteIndex = toNumber(flat[i]);
-            if (!Number.isFinite(paletteIndex) || paletteIndex < 0 || paletteIndex >= paletteLength) continue;
-            // Convert flat index to (x, y, z)
-            const x = i % sx;
-            const y = Math.floor(i / sx) % sy;
-            const z = Math.floor(i / (sx * sy));
-            blocks.push({ x, y, z, paletteIndex });
+        return blockIndices;
+    }
+    if (typeof blockIndices === 'object' && blockIndices !== null) {
+        return Object.keys(blockIndices).sort().map((key) => blockIndices[key]);
+    }
+    return [];
+}
+
+function decodeItem(item) {
+    // Bedrock items use Name/Count, Java uses id/Count (count since 1.20.5)
+    const name = item?.Name ?? item?.id;
+    if (!item || typeof item !== 'object' || !name) return null;
+    return {
+        slot: item.Slot !== undefined ? toNumber(item.Slot) : null,
+        name: String(name),
+        count: toNumber(item.Count ?? item.count ?? 1),
+        damage: toNumber(item.Damage ?? 0),
+    };
+}
+
+/**
+ * Flattens a Java text component (JSON string or plain text) to its plain text.
+ * Bedrock text is already plain and passes through unchanged.
+ * @param {string} value
+ * @returns {string}
+ */
+export function textComponentToPlain(value) {
+    const text = String(value ?? '');
+    if (!/^\s*[{["]/.test(text)) return text;
+    const flatten = (component) => {
+        if (typeof component === 'string' || typeof component === 'number' || typeof component === 'boolean') return String(component);
+        if (Array.isArray(component)) return component.map(flatten).join('');
+        if (component && typeof component === 'object') {
+            return String(component.text ?? component.translate ?? '') + (component.extra ?? []).map(flatten).join('');
         }
+        return '';
+    };
+    try {
+        return flatten(JSON.parse(text));
+    } catch (e) {
+        return text;
     }
-    return blocks;
 }
 
-function transformStructure(rootCompound) {
-    const size = normalizeSize(rootCompound.size);
-    const structureSection = rootCompound.structure ?? {};
-    const palette = buildPalette(structureSection);
-    const materials = buildMaterialCounts(structureSection, palette);
-    const blocks = buildBlocks(structureSection, size, palette.length);
+function decodeSignText(section) {
+    if (!section) return '';
+    // Java sign sides hold four JSON text lines in `messages`
+    if (Array.isArray(section.messages)) {
+        return section.messages.map(textComponentToPlain).join('\n').replace(/\n+$/, '');
+    }
+    return String(section.Text ?? section.TextOwner ?? '');
+}
+
+/**
+ * Decodes the parts of a block entity compound the inspector knows how to show.
+ * Unknown block entities still get their id and raw data.
+ * @param {object} data - The block_entity_data compound.
+ * @returns {object} Decoded contents ({ id, customName, items, signText, command, patterns, spawnerEntity }).
+ */
+export function decodeBlockEntity(data = {}) {
+    const decoded = {
+        id: String(data.id ?? 'unknown'),
+        customName: data.CustomName ? textComponentToPlain(data.CustomName) : '',
+    };
+
+    if (Array.isArray(data.Items)) {
+        decoded.items = data.Items.map(decodeItem).filter(Boolean);
+    }
+    // Single-item holders: lecterns (book), jukeboxes (RecordItem), item frames (Item)
+    const heldItem = decodeItem(data.Item ?? data.RecordItem ?? data.book);
+    if (heldItem) {
+        decoded.items = [...(decoded.items ?? []), heldItem];
+    }
+
+    if (data.FrontText || data.BackText) {
+        decoded.signText = { front: decodeSignText(data.FrontText), back: decodeSignText(data.BackText) };
+    } else if (data.front_text || data.back_text) {
+        decoded.signText = { front: decodeSignText(data.front_text), back: decodeSignText(data.back_text) };
+    } else if (data.Text !== undefined) {
+        // Pre-1.20 signs only have one side
+        decoded.signText = { front: decodeSignText(data), back: '' };
+    }
+
+    if (data.Command !== undefined) {
+        decoded.command = String(data.Command);
+        if (data.LastOutput) decoded.lastOutput = String(data.LastOutput);
+    }
+
+    const patterns = data.Patterns ?? data.patterns;
+    if (Array.isArray(patterns)) {
+        // Java 1.20.5+ stores colours as names ("red"), older versions and Bedrock as numbers
+        decoded.patterns = patterns.map((pattern) => ({
+            pattern: String(pattern?.Pattern ?? pattern?.pattern ?? ''),
+            color: pattern?.Color ?? pattern?.color ?? 0,
+        }));
+        decoded.baseColor = data.Base ?? 0;
+    }
+
+    const spawnerEntity = data.EntityIdentifier ?? data.SpawnData?.entity?.id ?? data.SpawnData?.id;
+    if (spawnerEntity) {
+        decoded.spawnerEntity = String(spawnerEntity);
+    }
+
+    return decoded;
+}
+
+function buildBlockEntities(structureSection, size) {
+    // block_position_data maps a flat cell index (as a string key) to { block_entity_data, tick_queue_data }
+    const positionData = structureSection.palette?.default?.block_position_data ?? {};
+    const total = size.x * size.y * size.z;
+    const blockEntities = new Map();
+    Object.entries(positionData).forEach(([key, entry]) => {
+        const index = Number(key);
+        const data = entry?.block_entity_data;
+        if (!Number.isInteger(index) || index < 0 || index >= total || !data) return;
+        blockEntities.set(index, {
+            index,
+            ...unflattenIndex(size, index),
+            data,
+            contents: decodeBlockEntity(data),
+        });
+    });
+    return blockEntities;
+}
+
+/**
+ * Looks up the block entity linked to a cell, if any.
+ * @param {object} structure - A parsed structure.
+ * @returns {object|null}
+ */
+export function getBlockEntityAt(structure, x, y, z) {
+    if (!structure?.blockEntities) return null;
+    return structure.blockEntities.get(flatIndex(structure.size, x, y, z)) ?? null;
+}
+
+/**
+ * Totals the items stored in container block entities (chests, barrels, hoppers...).
+ * @param {Map<number, object>} blockEntities - structure.blockEntities
+ * @returns {object} A map of item ID to count.
+ */
+export function buildContainerItemCounts(blockEntities) {
+    const counts = Object.create(null);
+    if (!blockEntities) return counts;
+    blockEntities.forEach(({ contents }) => {
+        (contents.items ?? []).forEach((item) => {
+            const name = item.name.toLowerCase();
+            counts[name] = (counts[name] || 0) + item.count;
+        });
+    });
+    return counts;
+}
+
+function readVector(list, count) {
+    if (!(Array.isArray(list) || ArrayBuffer.isView(list)) || list.length < count) return null;
+    const values = Array.from(list.slice(0, count), toNumber);
+    return values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Parses structure.entities into a typed list. Entity positions are stored in world
+ * coordinates, so they are made relative to structure_world_origin (block units, where
+ * cell (x, y, z) spans x..x+1 etc.).
+ * @param {object} structureSection - The `structure` compound.
+ * @param {object} rootCompound - The root compound (for structure_world_origin).
+ * @returns {Array<object>} Entities ({ identifier, position, worldPosition, rotation, customName, data }).
+ */
+function buildEntities(structureSection, rootCompound) {
+    const rawEntities = Array.isArray(structureSection.entities) ? structureSection.entities : [];
+    const [ox, oy, oz] = readVector(rootCompound.structure_world_origin, 3) ?? [0, 0, 0];
+    return rawEntities
+        .map((data, index) => {
+            const pos = readVector(data?.Pos, 3);
+            if (!data || !pos) return null;
+            const [yaw, pitch] = readVector(data.Rotation, 2) ?? [0, 0];
+            return {
+                index,
+                identifier: String(data.identifier ?? data.id ?? 'minecraft:unknown'),
+                position: { x: pos[0] - ox, y: pos[1] - oy, z: pos[2] - oz },
+                worldPosition: { x: pos[0], y: pos[1], z: pos[2] },
+                rotation: { yaw, pitch },
+                customName: data.CustomName ? textComponentToPlain(data.CustomName) : '',
+                data,
+            };
+        })
+        .filter(Boolean);
+}
 
+/**
+ * Assembles the structure model shared by every importer ({ size, palette, materials, volume, ... }).
+ * @param {object} parts
+ * @param {{x:number,y:number,z:number}} parts.size - Structure size.
+ * @param {Array<object>} parts.palette - Palette entries ({ index, name, states, version }).
+ * @param {Array<ArrayLike<number>>} parts.layers - Flat palette-index layers in flatIndex order; -1 means no block.
+ * @param {Map<number, object>} [parts.blockEntities] - Block entities keyed by flat index.
+ * @param {Array<object>} [parts.entities] - Entities (see buildEntities).
+ * @param {object} parts.raw - The root compound the model was read from.
+ * @param {string} [parts.format='mcstructure'] - Source format id.
+ * @returns {object}
+ */
+export function buildStructureModel({ size, palette, layers, blockEntities = new Map(), entities = [], raw, format = 'mcstructure' }) {
+    const volume = StructureVolume.fromLayers(size, layers, palette);
+    const materials = buildMaterialCounts(volume, palette);
     return {
+        format,
         size,
         palette,
         materials,
-        blocks,
-        raw: rootCompound,
+        volume,
+        blockEntities,
+        entities,
+        raw,
     };
-}
\ No newline at end of file
+}
+
+function transformStructure(rootCompound) {
+    const size = normalizeSize(rootCompound.size);
+    const structureSection = rootCompound.structure ?? {};
+    return buildStructureModel({
+        size,
+        palette: buildPalette(structureSection),
+        layers: getBlockIndexLayers(structureSection),
+        blockEntities: buildBlockEntities(structureSection, size),
+        entities: buildEntities(structureSection, rootCompound),
+        raw: rootCompound,
+    });
+}
+
+/**
+ * Re-reads the parts of a .mcstructure model derived from its raw tree (palette entries, block entities,
+ * entities, material counts) after the tree was edited in place. Cells are not re-read; the volume and
+ * block_indices are kept in step by StructureEditor. The palette, block entity map and material counts
+ * are updated in place so references to them stay valid.
+ * @param {object} structure - A structure returned by parseMCStructureBinary.
+ */
+export function syncStructureFromRaw(structure) {
+    const rootCompound = structure.raw;
+    const structureSection = rootCompound?.structure ?? {};
+    const palette = buildPalette(structureSection);
+    palette.forEach((entry, index) => {
+        structure.palette[index] = Object.assign(structure.palette[index] ?? {}, entry);
+    });
+    structure.palette.length = palette.length;
+    structure.volume.setPalette(structure.palette);
+
+    const blockEntities = buildBlockEntities(structureSection, structure.size);
+    structure.blockEntities.clear();
+    blockEntities.forEach((entity, index) => structure.blockEntities.set(index, entity));
+    structure.entities = buildEntities(structureSection, rootCompound);
+
+    const materials = buildMaterialCounts(structure.volume, structure.palette);
+    Object.keys(structure.materials).forEach((name) => delete structure.materials[name]);
+    Object.assign(structure.materials, materials);
+}
+
+/**
+ * Counterpart to parseMCStructureBinary: writes a parsed structure back to .mcstructure bytes.
+ * The raw root compound keeps its tag types from parsing, so an unmodified structure is
+ * written back byte-for-byte.
+ * @param {object} structure - A structure returned by parseMCStructureBinary (or a raw root compound).
+ * @param {object} [options]
+ * @param {boolean} [options.gzip=false] - Gzip the output (Bedrock itself writes uncompressed files).
+ * @returns {Uint8Array} The encoded file content.
+ */
+export function serializeMCStructure(structure, { gzip = false } = {}) {
+    if (structure?.format && structure.format !== 'mcstructure') {
+        throw new Error(`Structures imported from .${structure.format} files can't be written as .mcstructure yet.`);
+    }
+    const rootCompound = structure?.raw ?? structure;
+    if (!rootCompound || typeof rootCompound !== 'object') {
+        throw new Error('serializeMCStructure expects a parsed structure with a raw root compound.');
+    }
+    const bytes = NBT.write(rootCompound);
+    return gzip ? gzipBytes(bytes) : bytes;
+}
@@ -0,0 +1,221 @@
+// NBT Tree
+// Helpers for browsing and editing a parsed NBT tree (as from NBT.parse) in place: tag types of
+// children, paths like "structure.palette.default.block_palette[12].states", search by key or
+// value, and reading typed values back from text with range checks. No DOM.
+
+import { NBT, TAG } from './nbt.min.js';
+
+export const TAG_NAMES = {
+    [TAG.END]: 'end',
+    [TAG.BYTE]: 'byte',
+    [TAG.SHORT]: 'short',
+    [TAG.INT]: 'int',
+    [TAG.LONG]: 'long',
+    [TAG.FLOAT]: 'float',
+    [TAG.DOUBLE]: 'double',
+    [TAG.BYTE_ARRAY]: 'byte[]',
+    [TAG.STRING]: 'string',
+    [TAG.LIST]: 'list',
+    [TAG.COMPOUND]: 'compound',
+    [TAG.INT_ARRAY]: 'int[]',
+    [TAG.LONG_ARRAY]: 'long[]',
+};
+
+const INTEGER_RANGES = {
+    [TAG.BYTE]: [-128, 127],
+    [TAG.SHORT]: [-32768, 32767],
+    [TAG.INT]: [-2147483648, 2147483647],
+};
+const LONG_RANGE = [-(2n ** 63n), 2n ** 63n - 1n];
+const MAX_STRING_BYTES = 32767;
+
+function withArticle(word) {
+    return `${/^[aeiou]/.test(word) ? 'An' : 'A'} ${word}`;
+}
+
+// Search stops after this many matches
+const DEFAULT_SEARCH_LIMIT = 200;
+
+export function isContainerTag(tagType) {
+    return tagType === TAG.COMPOUND || tagType === TAG.LIST
+        || tagType === TAG.BYTE_ARRAY || tagType === TAG.INT_ARRAY || tagType === TAG.LONG_ARRAY;
+}
+
+/**
+ * Tag type of the value stored under key in a compound, list or array.
+ * @param {object|Array|ArrayBufferView} parent
+ * @param {string|number} key
+ * @param {number} [parentType] - The parent's own tag type; tells int lists from int arrays.
+ * @returns {number} A TAG value.
+ */
+export function childTagType(parent, key, parentType) {
+    if (parentType === TAG.BYTE_ARRAY || parent instanceof Int8Array) return TAG.BYTE;
+    if (parentType === TAG.LONG_ARRAY || parent instanceof BigInt64Array) return TAG.LONG;
+    if (parentType === TAG.INT_ARRAY) return TAG.INT;
+    if (Array.isArray(parent) || ArrayBuffer.isView(parent)) {
+        const listType = NBT.getListType(parent);
+        return listType !== undefined && listType !== TAG.END ? listType : NBT.inferTagType(parent[key]);
+    }
+    return NBT.getTagType(parent, key) ?? NBT.inferTagType(parent[key]);
+}
+
+/**
+ * Number of children of a container value (0 for primitives).
+ */
+export function childCount(value) {
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+}
+
+/**
+ * A page of a container's children, in file order.
+ * @param {*} value - Compound, list or array.
+ * @param {number} tagType - Its tag type.
+ * @param {{start?: number, count?: number}} [range]
+ * @returns {Array<{key: string|number, tagType: number, value: *}>}
+ */
+export function listChildren(value, tagType, { start = 0, count = Infinity } = {}) {
+    if (!isContainerTag(tagType)) return [];
+    const keys = Array.isArray(value) || ArrayBuffer.isView(value)
+        ? Array.from({ length: Math.max(0, Math.min(count, value.length - start)) }, (_, i) => start + i)
+        : NBT.getCompoundKeys(value).slice(start, start + count);
+    return keys.map((key) => ({ key, tagType: childTagType(value, key, tagType), value: value[key] }));
+}
+
+/**
+ * @param {Array<string|number>} segments - Compound keys (strings) and list indices (numbers).
+ * @returns {string} e.g. "structure.block_indices[0][5]"; keys that aren't plain names are quoted.
+ */
+export function formatNBTPath(segments) {
+    return segments.reduce((path, segment) => {
+        if (typeof segment === 'number') return `${path}[${segment}]`;
+        const key = /^[A-Za-z0-9_:+-]+$/.test(segment) ? segment : JSON.stringify(segment);
+        return path ? `${path}.${key}` : key;
+    }, '');
+}
+
+/**
+ * Inverse of formatNBTPath.
+ * @param {string} text
+ * @returns {Array<string|number>}
+ */
+export function parseNBTPath(text) {
+    const segments = [];
+    const pattern = /\s*(?:\[(\d+)\]|"((?:[^"\\]|\\.)*)"|([^.[\]"]+))\s*\.?/gy;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        if (match[1] !== undefined) segments.push(Number(match[1]));
+        else if (match[2] !== undefined) segments.push(JSON.parse(`"${match[2]}"`));
+        else segments.push(match[3].trim());
+    }
+    if (pattern.lastIndex < text.length) throw new Error(`Can't read the path "${text}".`);
+    return segments;
+}
+
+/**
+ * The value at a path, or undefined when the path leads nowhere.
+ */
+export function getNBTValue(root, segments) {
+    return segments.reduce((value, segment) => (value !== null && typeof value === 'object' ? value[segment] : undefined), root);
+}
+
+/**
+ * Short text for a value: the value itself for primitives (with NBT suffixes, e.g. 1b, 5L, 0.5f),
+ * a count for containers.
+ * @param {*} value
+ * @param {number} tagType
+ * @returns {string}
+ */
+export function formatNBTValue(value, tagType) {
+    switch (tagType) {
+        case TAG.BYTE: return `${value}b`;
+        case TAG.SHORT: return `${value}s`;
+        case TAG.INT: return String(value);
+        case TAG.LONG: return `${value}L`;
+        case TAG.FLOAT: return `${value}f`;
+        case TAG.DOUBLE: return `${value}d`;
+        case TAG.STRING: return JSON.stringify(value);
+        case TAG.COMPOUND: {
+            const count = childCount(value);
+            return `${count} entr${count === 1 ? 'y' : 'ies'}`;
+        }
+        default: {
+            const count = childCount(value);
+            return `${count} item${count === 1 ? '' : 's'}`;
+        }
+    }
+}
+
+/**
+ * Reads a value typed as text for a tag type, checking that it fits.
+ * @param {string} text
+ * @param {number} tagType - A primitive TAG value.
+ * @returns {number|bigint|string}
+ * @throws {Error} Saying what the tag type accepts.
+ */
+export function parseNBTValue(text, tagType) {
+    const trimmed = String(text).trim();
+    if (tagType === TAG.STRING) {
+        if (new TextEncoder().encode(text).length > MAX_STRING_BYTES) throw new Error(`A string can be at most ${MAX_STRING_BYTES} bytes.`);
+        return String(text);
+    }
+    if (tagType in INTEGER_RANGES) {
+        const [min, max] = INTEGER_RANGES[tagType];
+        const number = /^[+-]?\d+$/.test(trimmed.replace(/[bsi]$/i, '')) ? Number(trimmed.replace(/[bsi]$/i, '')) : NaN;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`${withArticle(TAG_NAMES[tagType])} must be a whole number from ${min} to ${max}.`);
+        }
+        return number;
+    }
+    if (tagType === TAG.LONG) {
+        const digits = trimmed.replace(/l$/i, '');
+        const [min, max] = LONG_RANGE;
+        const number = /^[+-]?\d+$/.test(digits) ? BigInt(digits) : null;
+        if (number === null || number < min || number > max) throw new Error(`A long must be a whole number from ${min} to ${max}.`);
+        return number;
+    }
+    if (tagType === TAG.FLOAT || tagType === TAG.DOUBLE) {
+        const number = trimmed && /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?[fd]?$/i.test(trimmed) ? Number(trimmed.replace(/[fd]$/i, '')) : NaN;
+        if (!Number.isFinite(number) || (tagType === TAG.FLOAT && !Number.isFinite(Math.fround(number)))) {
+            throw new Error(`${withArticle(TAG_NAMES[tagType])} must be a finite number.`);
+        }
+        return tagType === TAG.FLOAT ? Math.fround(number) : number;
+    }
+    throw new Error(`${TAG_NAMES[tagType] ?? 'This'} tags can't be edited as text.`);
+}
+
+/**
+ * Finds keys and primitive values containing a query (case-insensitive), depth first in file order.
+ * @param {object} root
+ * @param {string} query
+ * @param {{limit?: number}} [options]
+ * @returns {{matches: Array<{path: Array<string|number>, tagType: number, value: *, on: 'key'|'value'}>, truncated: boolean}}
+ */
+export function searchNBT(root, query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const needle = String(query).trim().toLowerCase();
+    const matches = [];
+    if (!needle) return { matches, truncated: false };
+    let truncated = false;
+
+    const visit = (value, tagType, path) => {
+        if (truncated) return;
+        const key = path[path.length - 1];
+        const keyMatch = typeof key === 'string' && key.toLowerCase().includes(needle);
+        const valueMatch = !isContainerTag(tagType) && String(value).toLowerCase().includes(needle);
+        if (keyMatch || valueMatch) {
+            if (matches.length >= limit) {
+                truncated = true;
+                return;
+            }
+            matches.push({ path, tagType, value, on: keyMatch ? 'key' : 'value' });
+        }
+        if (!isContainerTag(tagType)) return;
+        const count = childCount(value);
+        for (let start = 0; start < count && !truncated; start += 1024) {
+            listChildren(value, tagType, { start, count: 1024 }).forEach((child) => visit(child.value, child.tagType, [...path, child.key]));
+        }
+    };
+    listChildren(root, TAG.COMPOUND).forEach((child) => visit(child.value, child.tagType, [child.key]));
+    return { matches, truncated };
+}
@@ -0,0 +1,71 @@
+// PDF Writer
+// Minimal PDF 1.4 output for documents made of full-page raster images (one image per page),
+// e.g. the printable build guide. Pixels are passed in already Flate (zlib) compressed, so the
+// page can pick pako or CompressionStream. No DOM.
+
+const encoder = new TextEncoder();
+
+// Escapes a string for a PDF literal string
+function pdfString(text) {
+    return `(${String(text).replace(/[\\()]/g, (c) => `\\${c}`).replace(/[^\x20-\x7e]/g, '?')})`;
+}
+
+/**
+ * Builds a PDF with one raster image filling each page.
+ * @param {Array<{width: number, height: number, imageWidth: number, imageHeight: number, data: Uint8Array}>} pages -
+ *   Page size in points (1/72 inch) and the page image: 8-bit RGB pixels, row by row from the top, zlib-compressed.
+ * @param {object} [options]
+ * @param {string} [options.title] - Document title shown by PDF viewers.
+ * @returns {Uint8Array}
+ */
+export function createImagePdf(pages, { title = '' } = {}) {
+    if (!pages.length) throw new Error('A PDF needs at least one page.');
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const write = (chunk) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const writeObject = (id, body, stream = null) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // Objects: 1 catalog, 2 page tree, 3 info, then page / contents / image for every page
+    const pageId = (i) => 4 + i * 3;
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pages.map((page, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    writeObject(3, `<< /Title ${pdfString(title)} /Producer (Minecraft Structure Analyzer) >>`);
+    pages.forEach((page, i) => {
+        const id = pageId(i);
+        const width = page.width.toFixed(2);
+        const height = page.height.toFixed(2);
+        const contents = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`);
+        writeObject(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+        writeObject(id + 1, `<< /Length ${contents.length} >>`, contents);
+        writeObject(id + 2, `<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode /Length ${page.data.length} >>`, page.data);
+    });
+
+    const objectCount = 4 + pages.length * 3;
+    const xref = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const out = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach((part) => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
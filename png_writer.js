@@ -0,0 +1,67 @@
+// PNG Writer
+// Minimal PNG output for 8-bit RGBA images (no interlacing, no filtering). The caller passes the
+// zlib deflate to use (zlib.deflateSync under Node, pako.deflate on the page). No DOM.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const COLOR_TYPE_RGBA = 6;
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Length, type, data and a CRC over type + data
+function chunk(type, data) {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes, 4, 8 + data.length));
+    return bytes;
+}
+
+/**
+ * Encodes an RGBA image as a PNG file.
+ * @param {{width: number, height: number, rgba: Uint8Array}} image - Pixels row by row from the top, 4 bytes each.
+ * @param {(bytes: Uint8Array) => Uint8Array} deflate - zlib (not raw, not gzip) compressor.
+ * @returns {Uint8Array}
+ */
+export function createPng({ width, height, rgba }, deflate) {
+    if (!(width > 0 && height > 0)) throw new Error('A PNG needs at least one pixel.');
+    if (rgba.length !== width * height * 4) throw new Error(`Expected ${width * height * 4} bytes of RGBA pixels, got ${rgba.length}.`);
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = COLOR_TYPE_RGBA;
+
+    // Each scanline starts with its filter type (0, none)
+    const rowLength = width * 4;
+    const scanlines = new Uint8Array((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        scanlines.set(rgba.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+    }
+
+    const parts = [Uint8Array.from(PNG_SIGNATURE), chunk('IHDR', header), chunk('IDAT', new Uint8Array(deflate(scanlines))), chunk('IEND', new Uint8Array(0))];
+    const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+        png.set(part, offset);
+        offset += part.length;
+    });
+    return png;
+}
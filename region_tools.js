@@ -0,0 +1,192 @@
+// Region Tools
+// Box selections and the region clipboard used by the editor's fill / replace / copy / paste /
+// rotate / mirror tools, plus the orientation state fixups that keep stairs, logs, observers and
+// the like facing the right way after a rotation or mirror. No DOM or THREE.js.
+
+import { NBT } from './nbt.min.js';
+import { StructureVolume } from './structure_volume.js';
+import { getDirectionStateValues } from './block_models.js';
+
+// Horizontal directions clockwise as seen from above (north is -Z, east is +X)
+const CLOCKWISE = ['north', 'east', 'south', 'west'];
+
+const CARDINAL_DIRECTION_STATE = 'minecraft:cardinal_direction';
+const PILLAR_AXIS_STATE = 'pillar_axis';
+
+const MIRRORED_DIRECTIONS = {
+    x: { east: 'west', west: 'east' },
+    z: { north: 'south', south: 'north' },
+};
+
+/**
+ * Normalizes a rotation to 0-3 clockwise quarter turns.
+ * @param {number} turns - Quarter turns (negative turns rotate counter-clockwise).
+ * @returns {number}
+ */
+export function normalizeTurns(turns = 0) {
+    return ((Math.round(turns) % 4) + 4) % 4;
+}
+
+// Mirror first, then rotate (the same order transformPoint uses)
+function transformDirection(direction, turns, mirror) {
+    const mirrored = mirror ? (MIRRORED_DIRECTIONS[mirror][direction] ?? direction) : direction;
+    const i = CLOCKWISE.indexOf(mirrored);
+    return i < 0 ? mirrored : CLOCKWISE[(i + turns) % 4];
+}
+
+/**
+ * Rotates and/or mirrors a block's orientation states (facing_direction, weirdo_direction, direction,
+ * minecraft:cardinal_direction and pillar_axis). Other states are copied unchanged.
+ * @param {object} states - Block states (NBT tag types are kept).
+ * @param {object} transform
+ * @param {number} [transform.turns=0] - Clockwise quarter turns around Y.
+ * @param {'x'|'z'|null} [transform.mirror=null] - Axis to flip, applied before the rotation.
+ * @param {string} [name] - Block identifier; doors and trapdoors number `direction` their own way.
+ * @returns {object} The same object when nothing changed, otherwise a copy.
+ */
+export function transformBlockStates(states = {}, { turns = 0, mirror = null } = {}, name = '') {
+    turns = normalizeTurns(turns);
+    if (!turns && !mirror) return states;
+    let copy = null;
+    const set = (key, value) => {
+        if (!copy) copy = NBT.clone(states);
+        copy[key] = value;
+    };
+
+    Object.entries(getDirectionStateValues(name)).forEach(([key, directions]) => {
+        if (states[key] === undefined) return;
+        const value = Number(states[key]);
+        const direction = directions[value];
+        if (!direction) return;
+        const next = directions.indexOf(transformDirection(direction, turns, mirror));
+        if (next !== value) set(key, typeof states[key] === 'string' ? String(next) : next);
+    });
+
+    const cardinal = states[CARDINAL_DIRECTION_STATE];
+    if (typeof cardinal === 'string') {
+        const next = transformDirection(cardinal, turns, mirror);
+        if (next !== cardinal) set(CARDINAL_DIRECTION_STATE, next);
+    }
+
+    const axis = states[PILLAR_AXIS_STATE];
+    if (turns % 2 === 1 && (axis === 'x' || axis === 'z')) {
+        set(PILLAR_AXIS_STATE, axis === 'x' ? 'z' : 'x');
+    }
+    return copy ?? states;
+}
+
+/**
+ * The box between two corners (in any order).
+ * @param {{x:number,y:number,z:number}} a
+ * @param {{x:number,y:number,z:number}} b
+ * @returns {{min: {x:number,y:number,z:number}, max: {x:number,y:number,z:number}}}
+ */
+export function normalizeSelection(a, b = a) {
+    return {
+        min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+        max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) },
+    };
+}
+
+/**
+ * Clips a selection to a structure's bounds.
+ * @returns {{min: object, max: object}|null} Null when the selection lies entirely outside.
+ */
+export function clampSelection(selection, size) {
+    if (!selection) return null;
+    const { min, max } = normalizeSelection(selection.min, selection.max);
+    const clamped = {
+        min: { x: Math.max(min.x, 0), y: Math.max(min.y, 0), z: Math.max(min.z, 0) },
+        max: { x: Math.min(max.x, size.x - 1), y: Math.min(max.y, size.y - 1), z: Math.min(max.z, size.z - 1) },
+    };
+    return ['x', 'y', 'z'].every((axis) => clamped.min[axis] <= clamped.max[axis]) ? clamped : null;
+}
+
+/**
+ * @returns {{x:number,y:number,z:number}} Width, height and depth of a selection in blocks.
+ */
+export function selectionSize({ min, max }) {
+    return { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+}
+
+/**
+ * Calls back for every cell of a selection, in flatIndex order.
+ * @param {{min: object, max: object}} selection
+ * @param {(x:number, y:number, z:number) => void} callback
+ */
+export function forEachSelectedCell({ min, max }, callback) {
+    for (let x = min.x; x <= max.x; x++) {
+        for (let y = min.y; y <= max.y; y++) {
+            for (let z = min.z; z <= max.z; z++) callback(x, y, z);
+        }
+    }
+}
+
+/**
+ * Maps a cell of a box of the given size through a mirror and clockwise quarter turns,
+ * keeping the result inside the transformed box (origin at its min corner).
+ * @param {{x:number,y:number,z:number}} size
+ * @param {{turns?: number, mirror?: 'x'|'z'|null}} transform
+ * @returns {{size: {x:number,y:number,z:number}, map: (x:number, y:number, z:number) => {x:number,y:number,z:number}}}
+ */
+export function transformPoint(size, { turns = 0, mirror = null } = {}) {
+    turns = normalizeTurns(turns);
+    const rotatedSize = turns % 2 === 1 ? { x: size.z, y: size.y, z: size.x } : { ...size };
+    const map = (x, y, z) => {
+        if (mirror === 'x') x = size.x - 1 - x;
+        if (mirror === 'z') z = size.z - 1 - z;
+        let sx = size.x;
+        let sz = size.z;
+        for (let i = 0; i < turns; i++) {
+            // A clockwise quarter turn sends east (+X) to south (+Z)
+            [x, z] = [sz - 1 - z, x];
+            [sx, sz] = [sz, sx];
+        }
+        return { x, y, z };
+    };
+    return { size: rotatedSize, map };
+}
+
+/**
+ * A copied region: its own palette and cells (origin at the copied box's min corner) and the
+ * block entities inside it, so it can be pasted into any structure.
+ */
+export class RegionClipboard {
+    /**
+     * @param {StructureVolume} volume - Cells in clipboard coordinates, indexing `palette`.
+     * @param {Array<{name: string, states: object}>} palette
+     * @param {Map<number, {entity: object, rawEntry: object|undefined}>} [blockEntities] - By clipboard cell index;
+     *   entity.x/y/z still hold the position the block entity was copied from.
+     */
+    constructor(volume, palette, blockEntities = new Map()) {
+        this.volume = volume;
+        this.palette = palette;
+        this.blockEntities = blockEntities;
+    }
+
+    get size() {
+        return this.volume.size;
+    }
+
+    /**
+     * A mirrored and/or rotated copy, with the orientation states of its palette fixed up.
+     * @param {{turns?: number, mirror?: 'x'|'z'|null}} transform - See transformBlockStates.
+     * @returns {RegionClipboard}
+     */
+    transformed(transform) {
+        const { size, map } = transformPoint(this.size, transform);
+        const palette = this.palette.map(({ name, states }) => ({ name, states: transformBlockStates(states, transform, name) }));
+        const volume = new StructureVolume(size, palette);
+        const blockEntities = new Map();
+        const { primary, secondary } = this.volume;
+        forEachSelectedCell({ min: { x: 0, y: 0, z: 0 }, max: { x: this.size.x - 1, y: this.size.y - 1, z: this.size.z - 1 } }, (x, y, z) => {
+            const from = this.volume.index(x, y, z);
+            const target = map(x, y, z);
+            const to = volume.index(target.x, target.y, target.z);
+            volume.primary[to] = primary[from];
+            volume.secondary[to] = secondary[from];
+            if (this.blockEntities.has(from)) blockEntities.set(to, this.blockEntities.get(from));
+        });
+        return new RegionClipboard(volume, palette, blockEntities);
+    }
+}
@@ -0,0 +1,399 @@
+// Resource Packs
+// The ordered stack textures come from: packs opened from .zip / .mcpack / .mcaddon files, highest
+// priority first, over the vanilla folder served with the app. Reads manifest.json (name, version,
+// icon), merges blocks.json and terrain_texture.json by priority and keeps each pack's files
+// findable by path. Archives are JSZip instances (anything with the same `files` / `async` API). No DOM.
+
+export const VANILLA_PACK_ID = 'vanilla';
+
+const NESTED_ARCHIVE_PATTERN = /\.(zip|mcpack)$/i;
+const MANIFEST_PATTERN = /(^|\/)manifest\.json$/i;
+// Files that mark an archive without a manifest as a resource pack
+const PACK_CONTENT_PATTERN = /(^|\/)(blocks\.json|textures\/)/i;
+const LANG_FILE = 'texts/en_US.lang';
+
+export function stripJsonComments(input = '') {
+    let output = '';
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        const next = input[i + 1];
+
+        if (inString) {
+            output += char;
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+            output += char;
+            continue;
+        }
+
+        if (char === '/' && next === '/') {
+            while (i < input.length && input[i] !== '\n') {
+                i++;
+            }
+            output += '\n';
+            continue;
+        }
+
+        if (char === '/' && next === '*') {
+            i += 2;
+            while (i < input.length && !(input[i] === '*' && input[i + 1] === '/')) {
+                i++;
+            }
+            i++;
+            continue;
+        }
+
+        output += char;
+    }
+
+    return output;
+}
+
+/**
+ * The parts of a pack manifest.json shown to the user.
+ * @param {object} json - Parsed manifest.
+ * @returns {{name: string, description: string, version: string, uuid: string|null, types: string[]}}
+ *   version as "1.2.0"; types from the modules ('resources', 'data' for behaviour packs...).
+ */
+export function parsePackManifest(json) {
+    const header = json?.header ?? {};
+    const version = Array.isArray(header.version) ? header.version.join('.') : String(header.version ?? '');
+    return {
+        name: String(header.name ?? '').trim(),
+        description: String(header.description ?? '').trim(),
+        version,
+        uuid: header.uuid ? String(header.uuid) : null,
+        types: (Array.isArray(json?.modules) ? json.modules : []).map((module) => String(module?.type ?? '')).filter(Boolean),
+    };
+}
+
+// Behaviour packs, skin packs and world templates in an .mcaddon have no textures for blocks
+function isResourcePackManifest(manifest) {
+    return manifest.types.length === 0 || manifest.types.includes('resources');
+}
+
+// "pack.name=My Pack" lines of a .lang file
+function parseLangFile(text) {
+    const strings = {};
+    String(text).split(/\r?\n/).forEach((line) => {
+        const match = /^([^#=\s][^=]*)=(.*)$/.exec(line.replace(/\s*##.*$/, ''));
+        if (match) strings[match[1].trim()] = match[2].trim();
+    });
+    return strings;
+}
+
+/**
+ * Files of one pack inside an archive. Paths are relative to the pack root and matched without case;
+ * archives without a manifest may nest the pack in a folder, so a path also matches at the end of a longer one.
+ */
+export class ZipPackSource {
+    constructor(zip, root = '') {
+        this.kind = 'zip';
+        this.zip = zip;
+        this.root = root;
+        this.paths = new Map();
+        const prefix = root.toLowerCase();
+        Object.keys(zip.files).forEach((key) => {
+            const lower = key.toLowerCase();
+            if (!zip.files[key].dir && lower.startsWith(prefix)) this.paths.set(lower.slice(prefix.length), key);
+        });
+        this.lookupCache = new Map();
+    }
+
+    findKey(path) {
+        const normalized = String(path).replace(/^\.?\//, '').toLowerCase();
+        if (!this.lookupCache.has(normalized)) {
+            let key = this.paths.get(normalized) ?? null;
+            if (!key && !this.root) {
+                const match = [...this.paths.keys()].find((candidate) => candidate.endsWith(`/${normalized}`));
+                key = match ? this.paths.get(match) : null;
+            }
+            this.lookupCache.set(normalized, key);
+        }
+        return this.lookupCache.get(normalized);
+    }
+
+    has(path) {
+        return Boolean(this.findKey(path));
+    }
+
+    async readText(path) {
+        const key = this.findKey(path);
+        return key ? this.zip.files[key].async('text') : null;
+    }
+
+    async readBytes(path) {
+        const key = this.findKey(path);
+        return key ? this.zip.files[key].async('arraybuffer') : null;
+    }
+
+    /**
+     * Pack-relative paths of the files matching a pattern.
+     * @param {RegExp} pattern
+     * @returns {string[]}
+     */
+    list(pattern) {
+        return [...this.paths.keys()].filter((path) => pattern.test(path));
+    }
+}
+
+/**
+ * A pack served as a folder next to the app (the vanilla fallback). Folders can't be listed,
+ * so files are fetched and missing ones only show up as failed requests.
+ */
+export class FolderPackSource {
+    constructor(basePath, { fetchFile = (url) => fetch(url) } = {}) {
+        this.kind = 'folder';
+        this.basePath = basePath.replace(/\/$/, '');
+        this.fetchFile = fetchFile;
+    }
+
+    url(path) {
+        return `${this.basePath}/${String(path).replace(/^\.?\//, '')}`;
+    }
+
+    async readText(path) {
+        try {
+            const response = await this.fetchFile(this.url(path));
+            return response.ok ? response.text() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    list() {
+        return [];
+    }
+}
+
+async function readPackInfo(source, manifestText) {
+    const manifest = manifestText ? parsePackManifest(JSON.parse(stripJsonComments(manifestText))) : null;
+    if (manifest && (/^pack\.(name|description)$/.test(manifest.name) || /^pack\.description$/.test(manifest.description))) {
+        // Names given as language keys are looked up in the pack's own English strings
+        const strings = parseLangFile(await source.readText(LANG_FILE) ?? '');
+        manifest.name = strings[manifest.name] ?? manifest.name;
+        manifest.description = strings[manifest.description] ?? manifest.description;
+    }
+    return manifest;
+}
+
+/**
+ * Finds the resource packs in an archive: one per manifest.json (an .mcpack, or every resource pack
+ * of an .mcaddon, including ones bundled as nested .mcpack files), or the whole archive when it
+ * has no manifest. Behaviour packs are left out.
+ * @param {object} zip - A JSZip instance.
+ * @param {object} [options]
+ * @param {(data: ArrayBuffer) => Promise<object>} [options.loadZip] - Opens nested archives (JSZip.loadAsync).
+ * @returns {Promise<Array<{root: string, manifest: object|null, source: ZipPackSource}>>} In archive order.
+ */
+export async function findPacksInArchive(zip, { loadZip = null } = {}) {
+    const keys = Object.keys(zip.files).filter((key) => !zip.files[key].dir).sort();
+    const packs = [];
+    for (const key of keys.filter((candidate) => MANIFEST_PATTERN.test(candidate))) {
+        const root = key.slice(0, key.length - 'manifest.json'.length);
+        const source = new ZipPackSource(zip, root);
+        try {
+            const manifest = await readPackInfo(source, await zip.files[key].async('text'));
+            if (isResourcePackManifest(manifest)) packs.push({ root, manifest, source });
+        } catch (error) {
+            console.warn(`Skipping the pack at ${key}: its manifest can't be read.`, error);
+        }
+    }
+
+    if (loadZip) {
+        for (const key of keys.filter((candidate) => NESTED_ARCHIVE_PATTERN.test(candidate))) {
+            try {
+                const nested = await findPacksInArchive(await loadZip(await zip.files[key].async('arraybuffer')));
+                nested.forEach((pack) => packs.push({ ...pack, root: `${key}/${pack.root}` }));
+            } catch (error) {
+                console.warn(`Skipping ${key}: it can't be opened as a pack.`, error);
+            }
+        }
+    }
+
+    if (!packs.length && keys.some((key) => PACK_CONTENT_PATTERN.test(key))) {
+        packs.push({ root: '', manifest: null, source: new ZipPackSource(zip, '') });
+    }
+    return packs;
+}
+
+/**
+ * Merges per-key entries from several packs: a pack's entry replaces the same key from packs below it.
+ * @param {Array<{packId: string, entries: object}>} layers - Highest priority first.
+ * @returns {{entries: object, sources: Object<string, string>}} The merged entries and the pack id each came from.
+ */
+export function mergeByPriority(layers) {
+    const entries = {};
+    const sources = {};
+    [...layers].reverse().forEach(({ packId, entries: packEntries }) => {
+        Object.entries(packEntries ?? {}).forEach(([key, value]) => {
+            entries[key] = value;
+            sources[key] = packId;
+        });
+    });
+    return { entries, sources };
+}
+
+function packDisplayName(manifest, root, fileName) {
+    if (manifest?.name) return manifest.name;
+    const folder = root.replace(/\/$/, '').split('/').pop();
+    return folder || String(fileName ?? 'Resource pack').replace(/\.[^.]+$/, '');
+}
+
+/**
+ * A stack entry for a pack found by findPacksInArchive.
+ * @param {{root: string, manifest: object|null, source: object}} pack
+ * @param {{fileId: string, fileName: string}} file - Library id and name of the archive it came from.
+ * @returns {object}
+ */
+export function createPackEntry({ root, manifest, source }, { fileId, fileName }) {
+    return {
+        id: `${fileId}#${root}`,
+        fileId,
+        fileName,
+        root,
+        name: packDisplayName(manifest, root, fileName),
+        description: manifest?.description ?? '',
+        version: manifest?.version ?? '',
+        uuid: manifest?.uuid ?? null,
+        enabled: true,
+        builtin: false,
+        source,
+    };
+}
+
+/**
+ * The ordered list of packs, highest priority first; the vanilla folder (if any) always stays last.
+ */
+export class ResourcePackStack {
+    /**
+     * @param {object|null} [vanillaSource] - FolderPackSource for the app's own resource_pack folder.
+     */
+    constructor(vanillaSource = null) {
+        this.packs = vanillaSource ? [{
+            id: VANILLA_PACK_ID,
+            fileId: null,
+            fileName: null,
+            root: '',
+            name: 'Vanilla',
+            description: 'The resource_pack folder served with the app',
+            version: '',
+            uuid: null,
+            enabled: true,
+            builtin: true,
+            source: vanillaSource,
+        }] : [];
+    }
+
+    get enabledPacks() {
+        return this.packs.filter((pack) => pack.enabled);
+    }
+
+    get userPacks() {
+        return this.packs.filter((pack) => !pack.builtin);
+    }
+
+    find(id) {
+        return this.packs.find((pack) => pack.id === id) ?? null;
+    }
+
+    /**
+     * Puts packs on top of the stack; a pack that is already in it is replaced where it is.
+     * @param {object[]} entries - From createPackEntry, in the order they should stack (first on top).
+     */
+    add(entries) {
+        const fresh = [];
+        entries.forEach((entry) => {
+            const index = this.packs.findIndex((pack) => pack.id === entry.id);
+            if (index >= 0) this.packs[index] = { ...entry, enabled: this.packs[index].enabled };
+            else fresh.push(entry);
+        });
+        this.packs.unshift(...fresh);
+    }
+
+    remove(id) {
+        const pack = this.find(id);
+        if (!pack || pack.builtin) return false;
+        this.packs = this.packs.filter((candidate) => candidate !== pack);
+        return true;
+    }
+
+    /**
+     * Moves a pack up (negative offset, higher priority) or down, never below the vanilla folder.
+     * @returns {boolean} Whether it moved.
+     */
+    move(id, offset) {
+        const from = this.packs.findIndex((pack) => pack.id === id);
+        if (from < 0 || this.packs[from].builtin) return false;
+        const limit = this.userPacks.length - 1;
+        const to = Math.max(0, Math.min(limit, from + offset));
+        if (to === from) return false;
+        const [pack] = this.packs.splice(from, 1);
+        this.packs.splice(to, 0, pack);
+        return true;
+    }
+
+    setEnabled(id, enabled) {
+        const pack = this.find(id);
+        if (!pack || pack.enabled === Boolean(enabled)) return false;
+        pack.enabled = Boolean(enabled);
+        return true;
+    }
+
+    /**
+     * The order and switches of the user's packs, for saving with the session.
+     * @returns {Array<{fileId: string, root: string, enabled: boolean}>}
+     */
+    snapshot() {
+        return this.packs.map(({ fileId, root, enabled, builtin }) => (builtin ? { fileId: VANILLA_PACK_ID, root, enabled } : { fileId, root, enabled }));
+    }
+
+    /**
+     * Reorders and switches packs to match a snapshot; packs it doesn't mention keep their place on top.
+     * @param {Array<{fileId: string, root: string, enabled: boolean}>} snapshot
+     */
+    restore(snapshot) {
+        const rank = new Map(snapshot.map(({ fileId, root }, index) => [fileId === VANILLA_PACK_ID ? VANILLA_PACK_ID : `${fileId}#${root}`, index]));
+        snapshot.forEach(({ fileId, root, enabled }) => {
+            const pack = this.find(fileId === VANILLA_PACK_ID ? VANILLA_PACK_ID : `${fileId}#${root}`);
+            if (pack) pack.enabled = enabled !== false;
+        });
+        const rankOf = (pack) => (pack.builtin ? Infinity : (rank.get(pack.id) ?? -1));
+        this.packs = this.packs.map((pack, index) => ({ pack, index }))
+            .sort((a, b) => rankOf(a.pack) - rankOf(b.pack) || a.index - b.index)
+            .map(({ pack }) => pack);
+    }
+
+    /**
+     * Reads a JSON file from every enabled pack that has it and merges the entries by priority.
+     * @param {string} path - Pack-relative, e.g. 'blocks.json'.
+     * @param {(json: object) => object} pickEntries - The per-key part of the file.
+     * @returns {Promise<{entries: object, sources: Object<string, string>}>}
+     */
+    async loadMergedJSON(path, pickEntries) {
+        const layers = [];
+        for (const pack of this.enabledPacks) {
+            const text = await pack.source.readText(path).catch(() => null);
+            if (text === null || text === undefined) continue;
+            try {
+                layers.push({ packId: pack.id, entries: pickEntries(JSON.parse(stripJsonComments(text))) });
+            } catch (error) {
+                console.warn(`Ignoring ${path} in ${pack.name}: it can't be read.`, error);
+            }
+        }
+        return mergeByPriority(layers);
+    }
+}
@@ -0,0 +1,253 @@
+// Shopping List
+// Turns the blocks of a structure (or of a region / layer range of it) into the items needed to
+// build it: block -> item conversion (doors count once, double slabs are two slabs, wall banners
+// are banners...), real stack sizes and a shulker box / stack / item breakdown, plus CSV, JSON and
+// Markdown output. No DOM.
+
+import { isAirBlockName } from './structure_volume.js';
+import { getBlockKind } from './block_models.js';
+
+export const SHULKER_BOX_SLOTS = 27;
+
+// Blocks that have no item of their own (placed by other blocks or only by commands)
+const NO_ITEM = new Set([
+    'fire', 'soul_fire', 'portal', 'end_portal', 'end_gateway', 'piston_arm_collision', 'sticky_piston_arm_collision',
+    'moving_block', 'bubble_column', 'frosted_ice',
+]);
+
+// Block name -> item name, for blocks whose item is called something else
+const ITEM_NAMES = {
+    redstone_wire: 'redstone',
+    unlit_redstone_torch: 'redstone_torch',
+    redstone_wall_torch: 'redstone_torch',
+    wall_torch: 'torch',
+    soul_wall_torch: 'soul_torch',
+    lit_redstone_lamp: 'redstone_lamp',
+    lit_furnace: 'furnace',
+    lit_blast_furnace: 'blast_furnace',
+    lit_smoker: 'smoker',
+    lit_redstone_ore: 'redstone_ore',
+    lit_deepslate_redstone_ore: 'deepslate_redstone_ore',
+    powered_repeater: 'repeater',
+    unpowered_repeater: 'repeater',
+    powered_comparator: 'comparator',
+    unpowered_comparator: 'comparator',
+    daylight_detector_inverted: 'daylight_detector',
+    wall_banner: 'banner',
+    standing_banner: 'banner',
+    standing_sign: 'oak_sign',
+    wall_sign: 'oak_sign',
+    tripwire: 'string',
+    trip_wire: 'string',
+    reeds: 'sugar_cane',
+    cocoa: 'cocoa_beans',
+    wheat: 'wheat_seeds',
+    carrots: 'carrot',
+    potatoes: 'potato',
+    beetroot: 'beetroot_seeds',
+    melon_stem: 'melon_seeds',
+    pumpkin_stem: 'pumpkin_seeds',
+    sweet_berry_bush: 'sweet_berries',
+    cave_vines: 'glow_berries',
+    cave_vines_body_with_berries: 'glow_berries',
+    cave_vines_head_with_berries: 'glow_berries',
+    water: 'water_bucket',
+    flowing_water: 'water_bucket',
+    lava: 'lava_bucket',
+    flowing_lava: 'lava_bucket',
+    powder_snow: 'powder_snow_bucket',
+};
+
+// Items that don't stack to 64
+const STACK_16 = /^(bucket|egg|snowball|ender_pearl|honey_bottle|armor_stand|written_book)$|(^|_)(sign|banner)$/;
+const STACK_1 = /(_bucket|(^|_)(sword|pickaxe|axe|shovel|hoe|helmet|chestplate|leggings|boots|boat|chest_boat|minecart|potion|shulker_box|bed|saddle|elytra|trident|bow|crossbow|shield|fishing_rod|shears|flint_and_steel|horse_armor|cake|writable_book|spyglass|brush|goat_horn|bundle|totem_of_undying|enchanted_book|mace|carrot_on_a_stick|warped_fungus_on_a_stick|music_disc_.+))$/;
+
+function stripNamespace(name) {
+    return String(name ?? '').toLowerCase().replace(/^minecraft:/, '');
+}
+
+function isTrue(value) {
+    return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+/**
+ * Items a stack of the given item holds: 1, 16 or 64.
+ * @param {string} item - Item identifier.
+ * @returns {number}
+ */
+export function getStackSize(item) {
+    const id = stripNamespace(item);
+    if (STACK_1.test(id)) return 1;
+    if (STACK_16.test(id)) return 16;
+    return 64;
+}
+
+/**
+ * The items one placed block costs, from its name and states.
+ * @param {{name: string, states?: object}} entry - Palette entry.
+ * @returns {Array<{item: string, count: number}>} Empty for air, upper door/plant halves, bed heads...
+ */
+export function blockToItems(entry) {
+    const name = String(entry?.name ?? '').toLowerCase();
+    const states = entry?.states ?? {};
+    const id = stripNamespace(name);
+    if (!id || isAirBlockName(name) || NO_ITEM.has(id)) return [];
+    // Two-block-tall blocks (doors, tall plants) and beds are one item for both halves
+    if (isTrue(states.upper_block_bit) || states.half === 'upper' || isTrue(states.head_piece_bit) || states.part === 'head') return [];
+
+    const namespace = name.includes(':') ? name.slice(0, name.indexOf(':') + 1) : 'minecraft:';
+    const item = (itemId, count = 1) => [{ item: `${namespace}${itemId}`, count }];
+    if (ITEM_NAMES[id]) return item(ITEM_NAMES[id]);
+
+    const kind = getBlockKind(name);
+    if (kind === 'double_slab') return item(id.replace(/^double_/, '').replace(/_double_slab$/, '_slab'), 2);
+    if (kind === 'slab' && states.type === 'double') return item(id, 2);
+
+    const signMatch = id.match(/^(.+?)_(?:standing|wall)_sign$/) || id.match(/^(.+?)_wall_hanging_sign$/);
+    if (signMatch) {
+        const wood = signMatch[1] === 'darkoak' ? 'dark_oak' : signMatch[1];
+        return item(id.includes('hanging') ? `${wood}_hanging_sign` : `${wood}_sign`);
+    }
+    // Java names wall-mounted variants after the item: red_wall_banner, skeleton_wall_skull, copper_wall_torch...
+    if (/_wall_fan$/.test(id)) return item(id.replace(/_wall_fan$/, '_fan'));
+    if (/_wall_banner$/.test(id)) return item(id.replace(/_wall_banner$/, '_banner'));
+    if (/_wall_(skull|head)$/.test(id)) return item(id.replace(/_wall_(skull|head)$/, '_$1'));
+    if (/_wall_torch$/.test(id)) return item(id.replace(/_wall_torch$/, '_torch'));
+    if (id === 'candle_cake' || /_candle_cake$/.test(id)) return [...item('cake'), ...item(id.replace(/_cake$/, ''))];
+
+    // Blocks that stack several items in one cell
+    if (id === 'snow_layer') return item(id, (Number(states.height) || 0) + 1);
+    if (id === 'sea_pickle') return item(id, (Number(states.cluster_count) || 0) + 1);
+    if (id === 'candle' || /_candle$/.test(id)) return item(id, (Number(states.candles) || 0) + 1);
+    if (id === 'turtle_egg') {
+        const eggs = ['one_egg', 'two_egg', 'three_egg', 'four_egg'].indexOf(states.turtle_egg_count);
+        return item(id, eggs >= 0 ? eggs + 1 : 1);
+    }
+    return item(id);
+}
+
+/**
+ * Splits a count into full shulker boxes, leftover stacks and leftover items.
+ * @param {number} count
+ * @param {number} stackSize
+ * @returns {{shulkers: number, stacks: number, items: number}}
+ */
+export function splitIntoContainers(count, stackSize) {
+    const perShulker = stackSize * SHULKER_BOX_SLOTS;
+    const shulkers = Math.floor(count / perShulker);
+    const rest = count - shulkers * perShulker;
+    return { shulkers, stacks: Math.floor(rest / stackSize), items: rest % stackSize };
+}
+
+/**
+ * Human-readable breakdown, e.g. "1 shulker + 3 stacks + 12".
+ * @param {{shulkers: number, stacks: number, items: number}} breakdown
+ * @returns {string}
+ */
+export function formatBreakdown({ shulkers, stacks, items }) {
+    const parts = [];
+    if (shulkers) parts.push(`${shulkers} shulker${shulkers === 1 ? '' : 's'}`);
+    if (stacks) parts.push(`${stacks} stack${stacks === 1 ? '' : 's'}`);
+    if (items || parts.length === 0) parts.push(String(items));
+    return parts.join(' + ');
+}
+
+/**
+ * Number of primary and secondary cells per palette index, inside an optional box.
+ * @param {StructureVolume} volume
+ * @param {{min: object, max: object}|null} [bounds] - Only count cells in this box (inclusive).
+ * @returns {{primary: Uint32Array, secondary: Uint32Array}}
+ */
+export function countPaletteCells(volume, bounds = null) {
+    if (!bounds) return { primary: volume.countByPalette(), secondary: volume.countByPalette({ secondary: true }) };
+    const primary = new Uint32Array(volume.air.length);
+    const secondary = new Uint32Array(volume.air.length);
+    const { size } = volume;
+    const min = { x: Math.max(0, bounds.min.x), y: Math.max(0, bounds.min.y), z: Math.max(0, bounds.min.z) };
+    const max = { x: Math.min(size.x - 1, bounds.max.x), y: Math.min(size.y - 1, bounds.max.y), z: Math.min(size.z - 1, bounds.max.z) };
+    for (let x = min.x; x <= max.x; x++) {
+        for (let y = min.y; y <= max.y; y++) {
+            for (let i = volume.index(x, y, min.z), end = volume.index(x, y, max.z); i <= end; i++) {
+                if (volume.primary[i] >= 0) primary[volume.primary[i]]++;
+                if (volume.secondary[i] >= 0) secondary[volume.secondary[i]]++;
+            }
+        }
+    }
+    return { primary, secondary };
+}
+
+/**
+ * The items needed to build a structure, or the part of it inside `bounds`.
+ * @param {{volume: StructureVolume, palette: object[]}} structure
+ * @param {object} [options]
+ * @param {{min: object, max: object}|null} [options.bounds] - Region or layer range (inclusive).
+ * @param {object} [options.storedItems] - Item identifier -> count to add (e.g. container contents).
+ * @returns {Array<{item: string, count: number, stackSize: number, shulkers: number, stacks: number, items: number, blocks: string[], stored: number}>}
+ *   Sorted by count, largest first. `blocks` lists the block names the item was counted from.
+ */
+export function buildShoppingList({ volume, palette }, { bounds = null, storedItems = null } = {}) {
+    const totals = new Map();
+    const add = (item, count, block = null) => {
+        if (!totals.has(item)) totals.set(item, { item, count: 0, blocks: new Set(), stored: 0 });
+        const total = totals.get(item);
+        total.count += count;
+        if (block) total.blocks.add(block);
+        else total.stored += count;
+    };
+    const { primary, secondary } = countPaletteCells(volume, bounds);
+    palette.forEach((entry, index) => {
+        // Secondary (waterlogging) blocks count too: a waterlogged slab needs the slab and the water
+        const cells = primary[index] + secondary[index];
+        if (!cells) return;
+        const blockName = String(entry?.name ?? 'minecraft:unknown').toLowerCase();
+        blockToItems(entry).forEach(({ item, count }) => add(item, count * cells, blockName));
+    });
+    Object.entries(storedItems ?? {}).forEach(([item, count]) => add(item.toLowerCase(), count));
+
+    return [...totals.values()]
+        .map(({ item, count, blocks, stored }) => {
+            const stackSize = getStackSize(item);
+            return { item, count, stackSize, ...splitIntoContainers(count, stackSize), blocks: [...blocks], stored };
+        })
+        .sort((a, b) => b.count - a.count || a.item.localeCompare(b.item));
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object[]} list - From buildShoppingList.
+ * @returns {string} CSV with a header row.
+ */
+export function shoppingListToCSV(list) {
+    const rows = [['item', 'count', 'stack_size', 'shulker_boxes', 'stacks', 'items', 'stored', 'blocks']];
+    list.forEach((entry) => rows.push([
+        entry.item, entry.count, entry.stackSize, entry.shulkers, entry.stacks, entry.items, entry.stored, entry.blocks.join(' '),
+    ]));
+    return `${rows.map((row) => row.map(csvField).join(',')).join('\n')}\n`;
+}
+
+/**
+ * @param {object[]} list - From buildShoppingList.
+ * @param {object} [meta] - Extra fields for the top level (structure name, scope...).
+ * @returns {string}
+ */
+export function shoppingListToJSON(list, meta = {}) {
+    return `${JSON.stringify({ ...meta, shulkerBoxSlots: SHULKER_BOX_SLOTS, items: list }, null, 2)}\n`;
+}
+
+/**
+ * @param {object[]} list - From buildShoppingList.
+ * @param {string} [title] - Heading above the table.
+ * @returns {string} A Markdown table.
+ */
+export function shoppingListToMarkdown(list, title = 'Materials') {
+    const escape = (text) => String(text).replace(/\|/g, '\\|');
+    const lines = [`## ${escape(title)}`, '', '| Item | Count | Stack | Shulkers + stacks + items |', '| --- | ---: | ---: | --- |'];
+    list.forEach((entry) => {
+        lines.push(`| ${escape(stripNamespace(entry.item))} | ${entry.count} | ${entry.stackSize} | ${formatBreakdown(entry)} |`);
+    });
+    return `${lines.join('\n')}\n`;
+}
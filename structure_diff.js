@@ -0,0 +1,186 @@
+// Structure Diff
+// Compares two versions of a structure cell by cell: the loaded one ("current") and an earlier
+// revision ("previous"), aligned by their world origins or a manual offset. Each cell is unchanged,
+// added, removed, a different block or the same block with different states. Also works out how
+// many more or fewer of each block the current version needs. No DOM or THREE.js.
+
+import { buildMaterialCounts } from './nbt_parser.js';
+
+export const DIFF_UNCHANGED = 0;
+export const DIFF_ADDED = 1;
+export const DIFF_REMOVED = 2;
+export const DIFF_BLOCK_CHANGED = 3;
+export const DIFF_STATES_CHANGED = 4;
+
+// Labels by diff kind
+export const DIFF_KIND_NAMES = ['unchanged', 'added', 'removed', 'block changed', 'states changed'];
+
+// Same block identity whatever the NBT tag types (a byte 1 and an int 1 compare equal)
+function stateKey(states = {}) {
+    return JSON.stringify(Object.keys(states).sort().map((key) => [key, String(states[key])]));
+}
+
+// Per palette index: a name id shared across both palettes (-1 for air) and the name + states key
+function describePalette(volume, palette, names) {
+    return palette.map((entry, index) => {
+        if (volume.air[index]) return { name: -1, key: null };
+        const name = String(entry?.name ?? '').toLowerCase();
+        if (!names.has(name)) names.set(name, names.size);
+        return { name: names.get(name), key: `${name}${stateKey(entry?.states)}` };
+    });
+}
+
+/**
+ * Offset that lines the previous version up with the current one in world space, from the
+ * structure_world_origin both .mcstructure files carry. Zero when either has none.
+ * @returns {{x: number, y: number, z: number}} Where the previous version's cell (0, 0, 0) lands in the current one.
+ */
+export function originOffset(current, previous) {
+    const a = readOrigin(current);
+    const b = readOrigin(previous);
+    if (!a || !b) return { x: 0, y: 0, z: 0 };
+    return { x: b[0] - a[0], y: b[1] - a[1], z: b[2] - a[2] };
+}
+
+function readOrigin(structure) {
+    const origin = structure?.raw?.structure_world_origin;
+    if (!(Array.isArray(origin) || ArrayBuffer.isView(origin)) || origin.length < 3) return null;
+    const values = Array.from(origin.slice(0, 3), Number);
+    return values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * The result of diffStructures: a diff kind for every cell of the box covering both versions,
+ * in the current structure's coordinates (cells of the previous version can lie outside it).
+ */
+export class StructureDiff {
+    constructor({ current, previous, offset, bounds, kinds, counts, materialDelta }) {
+        this.current = current;
+        this.previous = previous;
+        this.offset = offset;
+        this.bounds = bounds;
+        this.kinds = kinds;
+        this.counts = counts;
+        this.materialDelta = materialDelta;
+    }
+
+    get size() {
+        const { min, max } = this.bounds;
+        return { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+    }
+
+    get changedCount() {
+        return this.counts.added + this.counts.removed + this.counts.block + this.counts.states;
+    }
+
+    /**
+     * @returns {number} The DIFF_* kind of a cell (current structure coordinates); unchanged outside the box.
+     */
+    kindAt(x, y, z) {
+        const { min, max } = this.bounds;
+        if (x < min.x || y < min.y || z < min.z || x > max.x || y > max.y || z > max.z) return DIFF_UNCHANGED;
+        const size = this.size;
+        return this.kinds[((x - min.x) * size.y + (y - min.y)) * size.z + (z - min.z)];
+    }
+
+    /**
+     * The palette entries of a cell before and after (null for empty or outside a version).
+     * @returns {{before: object|null, after: object|null}}
+     */
+    blocksAt(x, y, z) {
+        const { current, previous, offset } = this;
+        const entry = (structure, px, py, pz) => {
+            const index = structure.volume.get(px, py, pz);
+            return index >= 0 && !structure.volume.isAir(index) ? structure.palette[index] : null;
+        };
+        return {
+            before: entry(previous, x - offset.x, y - offset.y, z - offset.z),
+            after: entry(current, x, y, z),
+        };
+    }
+
+    /**
+     * Calls back for every changed cell, in current structure coordinates.
+     * @param {(x: number, y: number, z: number, kind: number) => void} callback
+     */
+    forEachChange(callback) {
+        const { min } = this.bounds;
+        const size = this.size;
+        let i = 0;
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let z = 0; z < size.z; z++, i++) {
+                    if (this.kinds[i] !== DIFF_UNCHANGED) callback(x + min.x, y + min.y, z + min.z, this.kinds[i]);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Compares the primary blocks of two structure models (as from loadStructureFile).
+ * @param {object} current - The loaded (newer) structure.
+ * @param {object} previous - The earlier revision.
+ * @param {{x: number, y: number, z: number}} [offset] - Where the previous version's cell (0, 0, 0)
+ *   sits in the current structure; see originOffset.
+ * @returns {StructureDiff}
+ */
+export function diffStructures(current, previous, offset = { x: 0, y: 0, z: 0 }) {
+    const names = new Map();
+    const currentBlocks = describePalette(current.volume, current.palette, names);
+    const previousBlocks = describePalette(previous.volume, previous.palette, names);
+    const bounds = {
+        min: {
+            x: Math.min(0, offset.x),
+            y: Math.min(0, offset.y),
+            z: Math.min(0, offset.z),
+        },
+        max: {
+            x: Math.max(current.size.x, offset.x + previous.size.x) - 1,
+            y: Math.max(current.size.y, offset.y + previous.size.y) - 1,
+            z: Math.max(current.size.z, offset.z + previous.size.z) - 1,
+        },
+    };
+    const size = { x: bounds.max.x - bounds.min.x + 1, y: bounds.max.y - bounds.min.y + 1, z: bounds.max.z - bounds.min.z + 1 };
+    const kinds = new Uint8Array(size.x * size.y * size.z);
+    const counts = { added: 0, removed: 0, block: 0, states: 0 };
+    const empty = { name: -1, key: null };
+
+    let i = 0;
+    for (let x = bounds.min.x; x <= bounds.max.x; x++) {
+        for (let y = bounds.min.y; y <= bounds.max.y; y++) {
+            for (let z = bounds.min.z; z <= bounds.max.z; z++, i++) {
+                const after = currentBlocks[current.volume.get(x, y, z)] ?? empty;
+                const before = previousBlocks[previous.volume.get(x - offset.x, y - offset.y, z - offset.z)] ?? empty;
+                if (after.key === before.key) continue;
+                if (before.name < 0) {
+                    kinds[i] = DIFF_ADDED;
+                    counts.added++;
+                } else if (after.name < 0) {
+                    kinds[i] = DIFF_REMOVED;
+                    counts.removed++;
+                } else if (after.name !== before.name) {
+                    kinds[i] = DIFF_BLOCK_CHANGED;
+                    counts.block++;
+                } else {
+                    kinds[i] = DIFF_STATES_CHANGED;
+                    counts.states++;
+                }
+            }
+        }
+    }
+
+    // Blocks in each version as a whole, whatever the alignment
+    const totals = new Map();
+    Object.entries(buildMaterialCounts(previous.volume, previous.palette)).forEach(([block, count]) => totals.set(block, { block, before: count, after: 0 }));
+    Object.entries(buildMaterialCounts(current.volume, current.palette)).forEach(([block, count]) => {
+        if (!totals.has(block)) totals.set(block, { block, before: 0, after: 0 });
+        totals.get(block).after = count;
+    });
+    const materialDelta = [...totals.values()]
+        .map((entry) => ({ ...entry, delta: entry.after - entry.before }))
+        .filter(({ delta }) => delta !== 0)
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.block.localeCompare(b.block));
+
+    return new StructureDiff({ current, previous, offset: { ...offset }, bounds, kinds, counts, materialDelta });
+}
@@ -0,0 +1,567 @@
+// Structure Editor
+// Block edits on a loaded structure as undoable commands. Keeps the volume, palette, material counts,
+// block entities and (for .mcstructure files) the raw NBT tree in step, and tells listeners which
+// cells changed so the views can update just those. No DOM or THREE.js.
+
+import { NBT } from './nbt.min.js';
+import { StructureVolume, flatIndex, unflattenIndex } from './structure_volume.js';
+import { syncStructureFromRaw } from './nbt_parser.js';
+import { RegionClipboard, clampSelection, forEachSelectedCell, selectionSize } from './region_tools.js';
+
+const AIR_BLOCK_NAME = 'minecraft:air';
+const DEFAULT_HISTORY_LIMIT = 200;
+
+function sameStates(a = {}, b = {}) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every((key) => String(a[key]) === String(b[key]));
+}
+
+// A block pattern matches when the names agree and every state the pattern lists has the same value
+function matchesBlock(entry, { name, states = {} }) {
+    const normalize = (value) => {
+        const id = String(value ?? '').toLowerCase();
+        return id.includes(':') ? id : `minecraft:${id}`;
+    };
+    if (!entry || normalize(entry.name) !== normalize(name)) return false;
+    return Object.entries(states).every(([key, value]) => String(entry.states?.[key]) === String(value));
+}
+
+// A copy of a block entity for another cell; its own x/y/z fields move by the same offset
+function moveBlockEntity({ entity, rawEntry }, size, to) {
+    const rawCopy = rawEntry ? NBT.clone(rawEntry) : undefined;
+    const data = rawCopy?.block_entity_data ?? NBT.clone(entity.data);
+    ['x', 'y', 'z'].forEach((axis) => {
+        if (typeof data?.[axis] === 'number') data[axis] += to[axis] - entity[axis];
+    });
+    return { entity: { ...entity, index: flatIndex(size, to.x, to.y, to.z), ...to, data }, rawEntry: rawCopy };
+}
+
+/**
+ * Undo/redo stacks with a "saved" marker for the dirty indicator.
+ */
+export class EditHistory {
+    constructor(limit = DEFAULT_HISTORY_LIMIT) {
+        this.limit = limit;
+        this.commands = [];
+        this.position = 0; // commands[0..position) are applied
+        this.savedPosition = 0; // -1 once the saved state has been dropped or branched away from
+    }
+
+    get canUndo() {
+        return this.position > 0;
+    }
+
+    get canRedo() {
+        return this.position < this.commands.length;
+    }
+
+    get isDirty() {
+        return this.position !== this.savedPosition;
+    }
+
+    push(command) {
+        if (this.savedPosition > this.position) this.savedPosition = -1;
+        this.commands.length = this.position;
+        this.commands.push(command);
+        if (this.commands.length > this.limit) {
+            this.commands.shift();
+            this.savedPosition = this.savedPosition > 0 ? this.savedPosition - 1 : -1;
+        }
+        this.position = this.commands.length;
+    }
+
+    takeUndo() {
+        return this.canUndo ? this.commands[--this.position] : null;
+    }
+
+    takeRedo() {
+        return this.canRedo ? this.commands[this.position++] : null;
+    }
+
+    markSaved() {
+        this.savedPosition = this.position;
+    }
+}
+
+/**
+ * One edit: the cells it touched with their palette indices before and after, plus the block
+ * entities it removed and added (swapped back on undo).
+ */
+export class BlockChangeCommand {
+    /**
+     * @param {string} label - Shown in the undo/redo tooltips.
+     * @param {object} change
+     * @param {Int32Array} change.cells - Flat cell indices.
+     * @param {{primary: Int32Array, secondary: Int32Array}} change.before
+     * @param {{primary: Int32Array, secondary: Int32Array}} change.after
+     * @param {Map<number, {entity: object, rawEntry: object|undefined}>} change.removedBlockEntities
+     * @param {Map<number, {entity: object, rawEntry: object|undefined}>} [change.addedBlockEntities]
+     */
+    constructor(label, { cells, before, after, removedBlockEntities, addedBlockEntities = new Map() }) {
+        this.label = label;
+        this.cells = cells;
+        this.before = before;
+        this.after = after;
+        this.removedBlockEntities = removedBlockEntities;
+        this.addedBlockEntities = addedBlockEntities;
+    }
+}
+
+/**
+ * One value changed in the raw NBT tree (see StructureEditor.setRawValue); the model parts derived
+ * from the tree are re-read on apply.
+ */
+export class RawValueCommand {
+    /**
+     * @param {string} label
+     * @param {object} change
+     * @param {Array<string|number>} change.path - Keys and list indices from the root compound.
+     * @param {*} change.before
+     * @param {*} change.after
+     * @param {Int32Array} change.cells - Cells whose block changed with it (those using an edited palette entry).
+     * @param {number[]} change.paletteChanged - Palette indices whose entry was edited.
+     */
+    constructor(label, { path, before, after, cells, paletteChanged }) {
+        this.label = label;
+        this.path = path;
+        this.before = before;
+        this.after = after;
+        this.cells = cells;
+        this.paletteChanged = paletteChanged;
+    }
+}
+
+export class StructureEditor {
+    /**
+     * @param {object} structure - A structure model (see buildStructureModel).
+     * @param {object} [options]
+     * @param {number} [options.historyLimit=200] - Number of undo steps kept.
+     */
+    constructor(structure, { historyLimit = DEFAULT_HISTORY_LIMIT } = {}) {
+        this.structure = structure;
+        this.history = new EditHistory(historyLimit);
+        this.listeners = new Set();
+    }
+
+    /**
+     * @param {(event: {cells: Int32Array, paletteAdded: number[], command: BlockChangeCommand|RawValueCommand|null, action: string}) => void} listener
+     *   action is 'edit', 'undo', 'redo' or 'save'.
+     * @returns {() => void} Unsubscribes the listener.
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach((listener) => listener(event));
+    }
+
+    get isDirty() {
+        return this.history.isDirty;
+    }
+
+    // The raw tree is only kept in step for Bedrock files; it is what serializeMCStructure writes
+    get rawStructureSection() {
+        return this.structure.format === 'mcstructure' ? this.structure.raw?.structure ?? null : null;
+    }
+
+    findPaletteEntry(name, states = {}) {
+        const target = String(name).toLowerCase();
+        return this.structure.palette.findIndex((entry) => String(entry?.name).toLowerCase() === target && sameStates(entry.states, states));
+    }
+
+    /**
+     * Returns the palette index for a block state, appending a new palette entry when there isn't one.
+     * Palette entries are never removed, so indices stay valid for the undo history.
+     * @param {string} name - Block identifier (namespaced).
+     * @param {object} [states] - Block states.
+     * @returns {{index: number, added: boolean}}
+     */
+    ensurePaletteEntry(name, states = {}) {
+        const existing = this.findPaletteEntry(name, states);
+        if (existing >= 0) return { index: existing, added: false };
+        const { palette, volume } = this.structure;
+        const index = palette.length;
+        const version = palette.find((entry) => entry?.version)?.version ?? 0;
+        // Cloned with their tag types, so e.g. byte states copied from another entry stay bytes
+        const entryStates = NBT.clone(states);
+        palette.push({ index, name, states: entryStates, version });
+        volume.setPalette(palette);
+        const rawPalette = this.rawStructureSection?.palette?.default?.block_palette;
+        if (Array.isArray(rawPalette)) {
+            rawPalette.push({ name, states: entryStates, version });
+        }
+        return { index, added: true };
+    }
+
+    /**
+     * Applies a batch of cell changes as one undoable command.
+     * @param {Array<{x:number, y:number, z:number, paletteIndex:number, secondaryPaletteIndex?:number, blockEntity?:object}>} edits
+     *   secondaryPaletteIndex defaults to clearing the secondary layer. blockEntity ({ entity, rawEntry },
+     *   positioned at the cell) replaces whatever block entity the cell had. Later edits of a cell win.
+     * @param {string} [label]
+     * @param {number[]} [paletteAdded] - Palette indices added for this edit (passed on to listeners).
+     * @returns {BlockChangeCommand|null} Null when nothing changed.
+     */
+    setBlocks(edits, label = 'Edit blocks', paletteAdded = []) {
+        const { volume } = this.structure;
+        const byCell = new Map();
+        edits.forEach((edit) => {
+            if (volume.contains(edit.x, edit.y, edit.z)) byCell.set(volume.index(edit.x, edit.y, edit.z), edit);
+        });
+
+        const changed = [...byCell.entries()].filter(([cell, { paletteIndex, secondaryPaletteIndex = -1, blockEntity }]) =>
+            volume.primary[cell] !== paletteIndex || volume.secondary[cell] !== secondaryPaletteIndex || blockEntity);
+        if (changed.length === 0) return null;
+
+        const cells = Int32Array.from(changed, ([cell]) => cell);
+        const before = {
+            primary: Int32Array.from(cells, (cell) => volume.primary[cell]),
+            secondary: Int32Array.from(cells, (cell) => volume.secondary[cell]),
+        };
+        const after = {
+            primary: Int32Array.from(changed, ([, edit]) => edit.paletteIndex),
+            secondary: Int32Array.from(changed, ([, edit]) => edit.secondaryPaletteIndex ?? -1),
+        };
+        // A block entity belongs to the block it was placed with; replacing the block drops it
+        const removedBlockEntities = new Map();
+        const addedBlockEntities = new Map();
+        const rawPositions = this.rawStructureSection?.palette?.default?.block_position_data;
+        changed.forEach(([cell, edit]) => {
+            const entity = this.structure.blockEntities?.get(cell);
+            if (entity && (volume.primary[cell] !== edit.paletteIndex || edit.blockEntity)) {
+                removedBlockEntities.set(cell, { entity, rawEntry: rawPositions?.[String(cell)] });
+            }
+            if (edit.blockEntity) addedBlockEntities.set(cell, edit.blockEntity);
+        });
+
+        const command = new BlockChangeCommand(label, { cells, before, after, removedBlockEntities, addedBlockEntities });
+        this.applyCells(command, 'after');
+        this.history.push(command);
+        this.emit({ cells, paletteAdded, command, action: 'edit' });
+        return command;
+    }
+
+    /**
+     * Places (or replaces) one block.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {string} name - Block identifier.
+     * @param {object} [states]
+     * @returns {BlockChangeCommand|null}
+     */
+    placeBlock(x, y, z, name, states = {}) {
+        const { index, added } = this.ensurePaletteEntry(name, states);
+        return this.setBlocks([{ x, y, z, paletteIndex: index }], `Place ${name.replace('minecraft:', '')}`, added ? [index] : []);
+    }
+
+    /**
+     * Replaces a block with air (which clears the cell when the structure is placed in the world).
+     * @returns {BlockChangeCommand|null}
+     */
+    deleteBlock(x, y, z) {
+        const { index, added } = this.ensurePaletteEntry(AIR_BLOCK_NAME);
+        return this.setBlocks([{ x, y, z, paletteIndex: index }], 'Delete block', added ? [index] : []);
+    }
+
+    /**
+     * Sets every cell of a selection to one block.
+     * @param {{min: object, max: object}} selection - Clipped to the structure.
+     * @param {string} name
+     * @param {object} [states]
+     * @returns {BlockChangeCommand|null}
+     */
+    fillRegion(selection, name, states = {}) {
+        const box = clampSelection(selection, this.structure.size);
+        if (!box) return null;
+        const { index, added } = this.ensurePaletteEntry(name, states);
+        const edits = [];
+        forEachSelectedCell(box, (x, y, z) => edits.push({ x, y, z, paletteIndex: index }));
+        return this.setBlocks(edits, `Fill with ${name.replace('minecraft:', '')}`, added ? [index] : []);
+    }
+
+    /**
+     * Replaces the blocks in a selection that match a pattern.
+     * @param {{min: object, max: object}} selection
+     * @param {{name: string, states?: object}} from - Matches on the name and the states it lists.
+     * @param {{name: string, states?: object}} to
+     * @returns {BlockChangeCommand|null}
+     */
+    replaceInRegion(selection, from, to) {
+        const box = clampSelection(selection, this.structure.size);
+        if (!box) return null;
+        const { palette, volume } = this.structure;
+        const matching = new Set(palette.map((entry, i) => (matchesBlock(entry, from) ? i : -1)).filter((i) => i >= 0));
+        if (matching.size === 0) return null;
+        const edits = [];
+        forEachSelectedCell(box, (x, y, z) => {
+            if (matching.has(volume.primary[volume.index(x, y, z)])) edits.push({ x, y, z });
+        });
+        if (edits.length === 0) return null;
+        const { index, added } = this.ensurePaletteEntry(to.name, to.states);
+        edits.forEach((edit) => { edit.paletteIndex = index; });
+        const label = `Replace ${from.name.replace('minecraft:', '')} with ${to.name.replace('minecraft:', '')}`;
+        return this.setBlocks(edits, label, added ? [index] : []);
+    }
+
+    /**
+     * Copies a selection (blocks, waterlogging and block entities) to a clipboard. Not an edit.
+     * @param {{min: object, max: object}} selection
+     * @returns {RegionClipboard|null}
+     */
+    copyRegion(selection) {
+        const box = clampSelection(selection, this.structure.size);
+        if (!box) return null;
+        const { volume, palette, blockEntities } = this.structure;
+        const rawPositions = this.rawStructureSection?.palette?.default?.block_position_data;
+        const clipPalette = [];
+        const lookup = new Map();
+        const toClipboard = (paletteIndex) => {
+            if (paletteIndex < 0) return -1;
+            if (!lookup.has(paletteIndex)) {
+                lookup.set(paletteIndex, clipPalette.length);
+                clipPalette.push({ name: palette[paletteIndex].name, states: palette[paletteIndex].states });
+            }
+            return lookup.get(paletteIndex);
+        };
+        const clip = new StructureVolume(selectionSize(box));
+        const clipEntities = new Map();
+        forEachSelectedCell(box, (x, y, z) => {
+            const cell = volume.index(x, y, z);
+            const local = clip.index(x - box.min.x, y - box.min.y, z - box.min.z);
+            clip.primary[local] = toClipboard(volume.primary[cell]);
+            clip.secondary[local] = toClipboard(volume.secondary[cell]);
+            const entity = blockEntities?.get(cell);
+            if (entity) clipEntities.set(local, { entity, rawEntry: rawPositions?.[String(cell)] });
+        });
+        clip.setPalette(clipPalette);
+        return new RegionClipboard(clip, clipPalette, clipEntities);
+    }
+
+    /**
+     * Pastes a clipboard with its min corner at origin. Cells falling outside the structure are dropped.
+     * @param {RegionClipboard} clipboard
+     * @param {{x:number, y:number, z:number}} origin
+     * @param {object} [options]
+     * @param {boolean} [options.skipAir=false] - Leave the target cells under copied air unchanged.
+     * @returns {BlockChangeCommand|null}
+     */
+    pasteRegion(clipboard, origin, { skipAir = false } = {}) {
+        const { edits, paletteAdded } = this.clipboardEdits(clipboard, origin, { skipAir });
+        return this.setBlocks(edits, 'Paste', paletteAdded);
+    }
+
+    /**
+     * Rotates and/or mirrors a selection in place, keeping its min corner; the cells it vacates become air.
+     * @param {{min: object, max: object}} selection
+     * @param {{turns?: number, mirror?: 'x'|'z'|null}} transform - Clockwise quarter turns around Y, and the
+     *   axis to flip (before rotating).
+     * @returns {{command: BlockChangeCommand|null, selection: {min: object, max: object}}|null}
+     *   selection is the box the region occupies afterwards.
+     * @throws {RangeError} When the rotated region doesn't fit inside the structure.
+     */
+    transformRegion(selection, transform) {
+        const box = clampSelection(selection, this.structure.size);
+        if (!box) return null;
+        const clipboard = this.copyRegion(box).transformed(transform);
+        const { size } = clipboard;
+        const target = {
+            min: { ...box.min },
+            max: { x: box.min.x + size.x - 1, y: box.min.y + size.y - 1, z: box.min.z + size.z - 1 },
+        };
+        if (!this.structure.volume.contains(target.max.x, target.max.y, target.max.z)) {
+            throw new RangeError(`The rotated selection (${size.x}×${size.y}×${size.z}) doesn't fit inside the structure at ${box.min.x}, ${box.min.y}, ${box.min.z}.`);
+        }
+
+        const air = this.ensurePaletteEntry(AIR_BLOCK_NAME);
+        const edits = [];
+        forEachSelectedCell(box, (x, y, z) => edits.push({ x, y, z, paletteIndex: air.index }));
+        const pasted = this.clipboardEdits(clipboard, target.min, { keepVoid: true });
+        pasted.edits.forEach((edit) => edits.push(edit));
+        const paletteAdded = [...new Set([...(air.added ? [air.index] : []), ...pasted.paletteAdded])];
+        const label = transform.mirror ? `Mirror on ${transform.mirror.toUpperCase()}` : `Rotate ${(transform.turns ?? 0) * 90}°`;
+        return { command: this.setBlocks(edits, label, paletteAdded), selection: target };
+    }
+
+    // Cell edits that write a clipboard at origin (see pasteRegion); keepVoid also writes its empty cells
+    clipboardEdits(clipboard, origin, { skipAir = false, keepVoid = false } = {}) {
+        const { volume: clip } = clipboard;
+        const paletteAdded = [];
+        const lookup = new Map();
+        const toStructure = (clipIndex) => {
+            if (clipIndex < 0) return -1;
+            if (!lookup.has(clipIndex)) {
+                const { name, states } = clipboard.palette[clipIndex];
+                const { index, added } = this.ensurePaletteEntry(name, states);
+                if (added) paletteAdded.push(index);
+                lookup.set(clipIndex, index);
+            }
+            return lookup.get(clipIndex);
+        };
+        const edits = [];
+        const { size } = this.structure;
+        forEachSelectedCell({ min: { x: 0, y: 0, z: 0 }, max: { x: clip.size.x - 1, y: clip.size.y - 1, z: clip.size.z - 1 } }, (x, y, z) => {
+            const local = clip.index(x, y, z);
+            const primary = clip.primary[local];
+            if ((primary < 0 && !keepVoid) || (skipAir && clip.isAir(primary))) return;
+            const tx = origin.x + x;
+            const ty = origin.y + y;
+            const tz = origin.z + z;
+            if (!this.structure.volume.contains(tx, ty, tz)) return;
+            const entity = clipboard.blockEntities.get(local);
+            edits.push({
+                x: tx,
+                y: ty,
+                z: tz,
+                paletteIndex: toStructure(primary),
+                secondaryPaletteIndex: toStructure(clip.secondary[local]),
+                blockEntity: entity ? moveBlockEntity(entity, size, { x: tx, y: ty, z: tz }) : null,
+            });
+        });
+        return { edits, paletteAdded };
+    }
+
+    /**
+     * Sets one primitive value in the raw NBT tree as an undoable command. Cells of block_indices are
+     * applied as block edits; other values update the palette, block entities and entities read from
+     * the tree. The tag type is kept, so the value must already fit it (see parseNBTValue in nbt_tree.js).
+     * @param {Array<string|number>} path - Keys and list indices from the root compound.
+     * @param {number|bigint|string} value
+     * @returns {BlockChangeCommand|RawValueCommand|null} Null when the value is unchanged.
+     * @throws {Error} When the value can't be edited in place.
+     */
+    setRawValue(path, value) {
+        const { raw, format, size, palette, volume } = this.structure;
+        if (format !== 'mcstructure' || !raw) {
+            throw new Error('Only .mcstructure files can be edited; Java files are converted to Bedrock blocks on import and are not written back.');
+        }
+        if (path[0] === 'size') {
+            throw new Error("size can't be edited here: the block arrays would no longer match it.");
+        }
+        const parent = path.slice(0, -1).reduce((node, key) => node?.[key], raw);
+        const key = path[path.length - 1];
+        if (!parent || typeof parent !== 'object' || !(key in parent)) throw new Error('That value is no longer in the tree.');
+        const before = parent[key];
+        if (before !== null && typeof before === 'object') throw new Error('Only single values can be edited.');
+        if (before === value) return null;
+
+        const [section, field, layer, cell] = path;
+        if (section === 'structure' && field === 'block_indices' && (layer === 0 || layer === 1) && path.length === 4) {
+            if (!Number.isInteger(value) || value < -1 || value >= palette.length) {
+                throw new Error(`A block index must be -1 (no block) or a palette index from 0 to ${palette.length - 1}.`);
+            }
+            const position = unflattenIndex(size, cell);
+            const edit = layer === 0
+                ? { ...position, paletteIndex: value, secondaryPaletteIndex: volume.secondary[cell] }
+                : { ...position, paletteIndex: volume.primary[cell], secondaryPaletteIndex: value };
+            return this.setBlocks([edit], 'Edit block_indices');
+        }
+
+        // Edits inside a palette entry change every block using it
+        const paletteChanged = [];
+        let cells = new Int32Array(0);
+        const entryPath = ['structure', 'palette', 'default', 'block_palette'];
+        if (entryPath.every((segment, i) => path[i] === segment) && Number.isInteger(path[4])) {
+            const paletteIndex = path[4];
+            paletteChanged.push(paletteIndex);
+            const used = [];
+            for (let i = 0; i < volume.primary.length; i++) {
+                if (volume.primary[i] === paletteIndex || volume.secondary[i] === paletteIndex) used.push(i);
+            }
+            cells = Int32Array.from(used);
+        }
+        const command = new RawValueCommand(`Edit ${path.filter((segment) => typeof segment === 'string').pop() ?? 'value'}`,
+            { path, before, after: value, cells, paletteChanged });
+        this.applyRawValue(command, 'after');
+        this.history.push(command);
+        this.emit({ cells, paletteAdded: [], command, action: 'edit' });
+        return command;
+    }
+
+    applyRawValue(command, side) {
+        const parent = command.path.slice(0, -1).reduce((node, key) => node[key], this.structure.raw);
+        parent[command.path[command.path.length - 1]] = command[side];
+        syncStructureFromRaw(this.structure);
+    }
+
+    applyCommand(command, side) {
+        if (command instanceof RawValueCommand) this.applyRawValue(command, side);
+        else this.applyCells(command, side);
+    }
+
+    undo() {
+        const command = this.history.takeUndo();
+        if (!command) return null;
+        this.applyCommand(command, 'before');
+        this.emit({ cells: command.cells, paletteAdded: [], command, action: 'undo' });
+        return command;
+    }
+
+    redo() {
+        const command = this.history.takeRedo();
+        if (!command) return null;
+        this.applyCommand(command, 'after');
+        this.emit({ cells: command.cells, paletteAdded: [], command, action: 'redo' });
+        return command;
+    }
+
+    /**
+     * Marks the current state as saved (e.g. after a download), clearing the dirty flag.
+     */
+    markSaved() {
+        this.history.markSaved();
+        this.emit({ cells: new Int32Array(0), paletteAdded: [], command: null, action: 'save' });
+    }
+
+    // Writes one side of a command into the volume, material counts, block entities and raw tree
+    applyCells(command, side) {
+        const { volume, palette, materials, blockEntities } = this.structure;
+        const from = side === 'after' ? command.before : command.after;
+        const to = command[side];
+        const rawSection = this.rawStructureSection;
+        const rawLayers = rawSection?.block_indices;
+        const rawPositions = rawSection?.palette?.default?.block_position_data;
+
+        const countBlock = (paletteIndex, delta) => {
+            if (volume.isAir(paletteIndex)) return;
+            const name = String(palette[paletteIndex]?.name ?? 'minecraft:unknown').toLowerCase();
+            materials[name] = (materials[name] || 0) + delta;
+            if (materials[name] <= 0) delete materials[name];
+        };
+
+        command.cells.forEach((cell, i) => {
+            countBlock(from.primary[i], -1);
+            countBlock(from.secondary[i], -1);
+            countBlock(to.primary[i], 1);
+            countBlock(to.secondary[i], 1);
+            volume.primary[cell] = to.primary[i];
+            volume.secondary[cell] = to.secondary[i];
+            if (rawLayers?.[0]) rawLayers[0][cell] = to.primary[i];
+            if (rawLayers?.[1]) rawLayers[1][cell] = to.secondary[i];
+        });
+
+        const [removed, added] = side === 'after'
+            ? [command.removedBlockEntities, command.addedBlockEntities]
+            : [command.addedBlockEntities, command.removedBlockEntities];
+        removed.forEach((_, cell) => {
+            blockEntities?.delete(cell);
+            if (rawPositions) delete rawPositions[String(cell)];
+        });
+        added.forEach(({ entity, rawEntry }, cell) => {
+            blockEntities?.set(cell, entity);
+            if (rawPositions && rawEntry !== undefined) rawPositions[String(cell)] = rawEntry;
+        });
+    }
+
+    /**
+     * Coordinates of the cells a command touched.
+     * @param {Int32Array} cells
+     * @returns {Array<{x:number, y:number, z:number}>}
+     */
+    cellPositions(cells) {
+        return Array.from(cells, (cell) => unflattenIndex(this.structure.size, cell));
+    }
+}
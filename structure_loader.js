@@ -0,0 +1,103 @@
+// Structure File Loader
+// Detects the structure format from the file content (not the extension) and
+// dispatches to the Bedrock parser or the matching Java Edition importer.
+
+import { NBT } from './nbt.min.js';
+import { decompressStructureData, parseMCStructureBinary } from './nbt_parser.js';
+import { detectJavaFormat, importJavaStructure } from './java_importers.js';
+import { getDefaultBlockTranslator } from './block_translation.js';
+import { createDiagnostics, addIssue, diagnoseLoadError } from './structure_validator.js';
+
+const NBT_NAME_PATTERN = /^[A-Za-z0-9_.:\- ]*$/;
+
+function readUint16(bytes, offset, littleEndian) {
+    return littleEndian ? bytes[offset] | (bytes[offset + 1] << 8) : (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function isPlausibleName(bytes, offset, length) {
+    if (offset + length > bytes.length) return false;
+    let text = '';
+    for (let i = 0; i < length; i++) text += String.fromCharCode(bytes[offset + i]);
+    return NBT_NAME_PATTERN.test(text);
+}
+
+/**
+ * Guesses the NBT byte order by checking which reading gives a sane root name and first child name.
+ * Both editions usually use an empty root name, so the first child's name length decides.
+ * @param {Uint8Array} bytes - Uncompressed NBT data.
+ * @returns {'little'|'big'|null}
+ */
+export function sniffNBTEndianness(bytes) {
+    if (!bytes || bytes.length < 3 || bytes[0] !== NBT.TAG.COMPOUND) return null;
+    const candidates = [true, false].filter((littleEndian) => {
+        const rootNameLength = readUint16(bytes, 1, littleEndian);
+        if (!isPlausibleName(bytes, 3, rootNameLength)) return false;
+        const childOffset = 3 + rootNameLength;
+        if (childOffset >= bytes.length) return false;
+        if (bytes[childOffset] === NBT.TAG.END) return true;
+        if (childOffset + 3 > bytes.length) return false;
+        const childNameLength = readUint16(bytes, childOffset + 1, littleEndian);
+        return childNameLength > 0 && isPlausibleName(bytes, childOffset + 3, childNameLength);
+    });
+    if (candidates.length === 0) return null;
+    return candidates[0] ? 'little' : 'big';
+}
+
+/**
+ * Loads any supported structure file: Bedrock .mcstructure or Java .nbt / .schem / .litematic.
+ * @param {ArrayBuffer|Uint8Array} buffer - The raw file content.
+ * @param {object} [options]
+ * @param {(stage: 'decompress'|'parse'|'palette') => void} [options.onProgress] - Called as each stage starts.
+ * @param {boolean} [options.strict=false] - Refuse .mcstructure files that fail validation.
+ * @returns {Promise<object>} The structure model ({ format, size, palette, materials, blocks, diagnostics, ... }).
+ * @throws {Error} With a `diagnostics` report (see structure_validator.js) saying what was wrong.
+ */
+export async function loadStructureFile(buffer, { onProgress, strict = false } = {}) {
+    try {
+        return await readStructureFile(buffer, { onProgress, strict });
+    } catch (error) {
+        if (!error.diagnostics) error.diagnostics = diagnoseLoadError(error);
+        throw error;
+    }
+}
+
+async function readStructureFile(buffer, { onProgress, strict }) {
+    onProgress?.('decompress');
+    const bytes = decompressStructureData(buffer);
+    onProgress?.('parse');
+    const endianness = sniffNBTEndianness(bytes);
+    if (!endianness) {
+        throw new Error('Unrecognised file: the content is not an NBT structure (.mcstructure, .nbt, .schem or .litematic).');
+    }
+
+    if (endianness === 'little') {
+        return parseMCStructureBinary(bytes, { onProgress, strict });
+    }
+
+    let root;
+    try {
+        root = NBT.parse(bytes, { littleEndian: false });
+    } catch (e) {
+        throw new Error(`NBT Parsing Error: Failed to read Java Edition NBT data. (${e.message})`, { cause: e });
+    }
+    const format = detectJavaFormat(root, NBT.getRootName(root));
+    if (!format) {
+        throw new Error(`Unrecognised Java NBT file (root keys: ${Object.keys(root).join(', ') || 'none'}).`);
+    }
+    onProgress?.('palette');
+
+    // Java block states are converted to Bedrock ones so textures and orientation resolve correctly
+    let translator = null;
+    try {
+        translator = await getDefaultBlockTranslator();
+    } catch (e) {
+        console.warn(`Structure Loader: block mappings unavailable, keeping Java block states. (${e.message})`);
+    }
+    const structure = importJavaStructure(root, format, { translator });
+    structure.diagnostics = createDiagnostics(format);
+    (structure.translationIssues ?? []).forEach((issue) => {
+        addIssue(structure.diagnostics, 'warning', 'untranslated-state',
+            `${issue.blockState} could not be fully translated to Bedrock (${issue.unmapped.join(', ')}).`);
+    });
+    return structure;
+}
@@ -0,0 +1,227 @@
+// Structure Validator
+// Checks a parsed .mcstructure tree against what Bedrock writes (format_version, size vs. the
+// block_indices lengths, palette index bounds, structure_world_origin, block_position_data keys)
+// and turns load failures into the same report, with the byte offset and tag path of NBT errors.
+// The loader repairs what it can either way; strict loads refuse files with errors. No DOM.
+
+import { unflattenIndex } from './structure_volume.js';
+
+// Issues of one kind past this many are summed up in a single entry
+const MAX_EXAMPLES = 5;
+
+/**
+ * An empty report. Reports are plain data so they survive postMessage from the structure worker.
+ * @param {string|null} [format] - 'mcstructure', 'nbt', 'schem', 'litematic' or null when unknown.
+ * @returns {{format: string|null, errors: object[], warnings: object[]}}
+ */
+export function createDiagnostics(format = null) {
+    return { format, errors: [], warnings: [] };
+}
+
+/**
+ * Adds an issue to a report.
+ * @param {object} report - From createDiagnostics.
+ * @param {'error'|'warning'} severity - Errors are things the loader had to guess or drop.
+ * @param {string} code - Stable identifier, e.g. 'palette-index-range'.
+ * @param {string} message
+ * @param {{path?: string, offset?: number, count?: number}} [details] - NBT tag path, byte offset in the
+ *   uncompressed data, number of occurrences.
+ */
+export function addIssue(report, severity, code, message, details = {}) {
+    (severity === 'error' ? report.errors : report.warnings).push({ code, message, ...details });
+}
+
+export function hasErrors(report) {
+    return Boolean(report?.errors?.length);
+}
+
+/**
+ * One-line summary, e.g. "2 errors, 1 warning".
+ * @param {object} report
+ * @returns {string}
+ */
+export function summarizeDiagnostics(report) {
+    const errors = report?.errors?.length ?? 0;
+    const warnings = report?.warnings?.length ?? 0;
+    if (!errors && !warnings) return 'No problems found';
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    return [errors && plural(errors, 'error'), warnings && plural(warnings, 'warning')].filter(Boolean).join(', ');
+}
+
+/**
+ * Thrown by strict loads when the report has errors; carries the report.
+ */
+export class StructureValidationError extends Error {
+    constructor(report) {
+        super(`The structure failed strict validation: ${summarizeDiagnostics(report)}. ${report.errors[0]?.message ?? ''}`.trim());
+        this.name = 'StructureValidationError';
+        this.diagnostics = report;
+    }
+}
+
+function isIntegerList(value, length) {
+    return (Array.isArray(value) || ArrayBuffer.isView(value)) && value.length === length
+        && Array.from(value).every((item) => Number.isInteger(Number(item)));
+}
+
+function isCompound(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+}
+
+function describeCell(size, index) {
+    if (!size) return `cell ${index}`;
+    const { x, y, z } = unflattenIndex(size, index);
+    return `cell ${index} (x ${x}, y ${y}, z ${z})`;
+}
+
+/**
+ * Validates the root compound of a Bedrock .mcstructure file.
+ * @param {object} root - As parsed by NBT.parse.
+ * @returns {object} A report (see createDiagnostics).
+ */
+export function validateMCStructure(root) {
+    const report = createDiagnostics('mcstructure');
+    if (!isCompound(root)) {
+        addIssue(report, 'error', 'not-a-structure', 'The file does not contain an NBT compound.', { path: '<root>' });
+        return report;
+    }
+
+    if (root.format_version === undefined) {
+        addIssue(report, 'warning', 'missing-format-version', 'format_version is missing; Bedrock writes 1.', { path: 'format_version' });
+    } else if (Number(root.format_version) !== 1) {
+        addIssue(report, 'warning', 'unknown-format-version', `format_version is ${root.format_version}; only version 1 is known.`, { path: 'format_version' });
+    }
+
+    let size = null;
+    if (!isIntegerList(root.size, 3)) {
+        addIssue(report, 'error', 'bad-size', 'size is missing or not a list of three integers; the structure is read as empty.', { path: 'size' });
+    } else {
+        const [x, y, z] = Array.from(root.size, Number);
+        if (x < 0 || y < 0 || z < 0) {
+            addIssue(report, 'error', 'negative-size', `size ${x}×${y}×${z} has a negative dimension.`, { path: 'size' });
+        } else {
+            size = { x, y, z };
+            if (!x || !y || !z) addIssue(report, 'warning', 'empty-size', `size ${x}×${y}×${z} holds no cells.`, { path: 'size' });
+        }
+    }
+    const total = size ? size.x * size.y * size.z : null;
+
+    if (!isIntegerList(root.structure_world_origin, 3)) {
+        addIssue(report, 'warning', 'missing-world-origin',
+            'structure_world_origin is missing or malformed; comparing versions cannot line them up by origin.', { path: 'structure_world_origin' });
+    }
+
+    const structure = root.structure;
+    if (!isCompound(structure)) {
+        addIssue(report, 'error', 'missing-structure', 'The structure compound is missing; there are no blocks to read.', { path: 'structure' });
+        return report;
+    }
+
+    const palette = structure.palette?.default?.block_palette;
+    const palettePath = 'structure.palette.default.block_palette';
+    if (!Array.isArray(palette)) {
+        addIssue(report, 'error', 'missing-palette', 'The block palette is missing; every cell loads as empty.', { path: palettePath });
+    } else {
+        const unnamed = palette.map((entry, i) => (isCompound(entry) && typeof entry.name === 'string' && entry.name ? -1 : i)).filter((i) => i >= 0);
+        if (unnamed.length) {
+            addIssue(report, 'error', 'palette-entry-name',
+                `${unnamed.length} palette entr${unnamed.length === 1 ? 'y has' : 'ies have'} no block name (first: entry ${unnamed[0]}); they load as minecraft:unknown.`,
+                { path: `${palettePath}.[${unnamed[0]}]`, count: unnamed.length });
+        }
+    }
+    const paletteLength = Array.isArray(palette) ? palette.length : 0;
+
+    let layers = structure.block_indices;
+    if (isCompound(layers)) layers = Object.keys(layers).sort().map((key) => layers[key]);
+    if (!Array.isArray(layers)) {
+        addIssue(report, 'error', 'missing-block-indices', 'block_indices is missing; every cell loads as empty.', { path: 'structure.block_indices' });
+        layers = [];
+    } else if (layers.length !== 2) {
+        addIssue(report, 'warning', 'block-indices-layers', `block_indices has ${layers.length} layer${layers.length === 1 ? '' : 's'}; Bedrock writes 2 (blocks and waterlogging).`,
+            { path: 'structure.block_indices' });
+    }
+
+    layers.forEach((layer, layerIndex) => {
+        const path = `structure.block_indices.[${layerIndex}]`;
+        if (!(Array.isArray(layer) || ArrayBuffer.isView(layer))) {
+            addIssue(report, 'error', 'block-indices-type', `block_indices layer ${layerIndex} is not a list of integers; it loads as empty.`, { path });
+            return;
+        }
+        if (total !== null && layer.length !== total) {
+            const effect = layer.length < total ? `the last ${total - layer.length} cells load as empty` : `the extra ${layer.length - total} are ignored`;
+            addIssue(report, 'error', 'block-indices-length',
+                `block_indices layer ${layerIndex} has ${layer.length} cells but size ${size.x}×${size.y}×${size.z} needs ${total}; ${effect}.`, { path });
+        }
+        let outOfRange = 0;
+        let first = -1;
+        for (let i = 0; i < layer.length; i++) {
+            const value = Number(layer[i]);
+            if (value === -1 || (Number.isInteger(value) && value >= 0 && value < paletteLength)) continue;
+            if (first < 0) first = i;
+            outOfRange++;
+        }
+        if (outOfRange) {
+            addIssue(report, 'error', 'palette-index-range',
+                `${outOfRange} cell${outOfRange === 1 ? '' : 's'} in block_indices layer ${layerIndex} point outside the ${paletteLength}-entry palette `
+                + `(first: ${describeCell(size, first)} = ${layer[first]}); ${outOfRange === 1 ? 'it loads' : 'they load'} as empty.`,
+                { path: `${path}.[${first}]`, count: outOfRange });
+        }
+    });
+
+    const positionData = structure.palette?.default?.block_position_data;
+    if (positionData !== undefined && !isCompound(positionData)) {
+        addIssue(report, 'error', 'block-position-data-type', 'block_position_data is not a compound; block entities are skipped.',
+            { path: 'structure.palette.default.block_position_data' });
+    } else if (positionData) {
+        const primary = layers[0];
+        const badKeys = [];
+        const emptyCells = [];
+        Object.keys(positionData).forEach((key) => {
+            const index = /^\d+$/.test(key) ? Number(key) : NaN;
+            if (!Number.isInteger(index) || (total !== null && index >= total)) {
+                badKeys.push(key);
+                return;
+            }
+            const paletteIndex = primary ? Number(primary[index]) : -1;
+            if (!(paletteIndex >= 0 && paletteIndex < paletteLength)) emptyCells.push(index);
+        });
+        if (badKeys.length) {
+            addIssue(report, 'error', 'block-position-key',
+                `${badKeys.length} block_position_data key${badKeys.length === 1 ? ' is' : 's are'} not a cell of the volume `
+                + `(${badKeys.slice(0, MAX_EXAMPLES).join(', ')}${badKeys.length > MAX_EXAMPLES ? ', …' : ''}); their block entities are dropped.`,
+                { path: `structure.palette.default.block_position_data.${badKeys[0]}`, count: badKeys.length });
+        }
+        if (emptyCells.length) {
+            addIssue(report, 'warning', 'block-position-empty',
+                `${emptyCells.length} block entit${emptyCells.length === 1 ? 'y sits' : 'ies sit'} on an empty cell (first: ${describeCell(size, emptyCells[0])}).`,
+                { path: `structure.palette.default.block_position_data.${emptyCells[0]}`, count: emptyCells.length });
+        }
+    }
+
+    if (structure.entities !== undefined && !Array.isArray(structure.entities)) {
+        addIssue(report, 'warning', 'entities-type', 'structure.entities is not a list; entities are skipped.', { path: 'structure.entities' });
+    }
+    return report;
+}
+
+/**
+ * A report for a file that failed to load, pointing at the NBT byte offset and tag path when the
+ * failure came from the NBT reader (an NBTParseError somewhere in the error's cause chain).
+ * @param {Error} error
+ * @param {string|null} [format]
+ * @returns {object}
+ */
+export function diagnoseLoadError(error, format = null) {
+    if (error?.diagnostics) return error.diagnostics;
+    const report = createDiagnostics(format);
+    let parseError = error;
+    while (parseError && parseError.name !== 'NBTParseError') parseError = parseError.cause;
+    if (parseError) {
+        addIssue(report, 'error', 'nbt-parse', parseError.message, { path: parseError.path, offset: parseError.offset });
+    } else if (/gzip/i.test(error?.message ?? '')) {
+        addIssue(report, 'error', 'gzip', error.message);
+    } else {
+        addIssue(report, 'error', 'load-failed', String(error?.message ?? error));
+    }
+    return report;
+}
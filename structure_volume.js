@@ -0,0 +1,248 @@
+// Structure Volume
+// Cell storage for a structure: one palette index per cell in typed arrays (Bedrock ZYX order),
+// with O(1) lookups, layer slices and iteration over the non-air cells.
+
+/**
+ * Flat index of a cell in block_indices and the key used by block_position_data.
+ * Bedrock stores cells in ZYX order: z varies fastest, then y, then x.
+ * @param {{x:number,y:number,z:number}} size - Structure size.
+ * @returns {number}
+ */
+export function flatIndex(size, x, y, z) {
+    return (x * size.y + y) * size.z + z;
+}
+
+/**
+ * Inverse of flatIndex.
+ * @param {{x:number,y:number,z:number}} size - Structure size.
+ * @param {number} index - Flat cell index.
+ * @returns {{x:number,y:number,z:number}}
+ */
+export function unflattenIndex(size, index) {
+    const z = index % size.z;
+    const y = Math.floor(index / size.z) % size.y;
+    const x = Math.floor(index / (size.z * size.y));
+    return { x, y, z };
+}
+
+/**
+ * True for the block names that mean "nothing here" (Java also has cave_air and void_air).
+ * @param {string} name - Block identifier.
+ * @returns {boolean}
+ */
+export function isAirBlockName(name) {
+    return /(^|:)(cave_|void_)?air$/.test(String(name ?? '').toLowerCase());
+}
+
+function createCells(total) {
+    return new Int32Array(total).fill(-1);
+}
+
+// Copies one block_indices layer, turning indices outside the palette into -1
+function copyLayer(layer, total, paletteLength) {
+    const cells = createCells(total);
+    if (!(Array.isArray(layer) || ArrayBuffer.isView(layer))) return cells;
+    const count = Math.min(layer.length, total);
+    for (let i = 0; i < count; i++) {
+        const paletteIndex = Number(layer[i]);
+        if (Number.isInteger(paletteIndex) && paletteIndex >= 0 && paletteIndex < paletteLength) cells[i] = paletteIndex;
+    }
+    return cells;
+}
+
+export class StructureVolume {
+    /**
+     * @param {{x:number,y:number,z:number}} size - Structure size.
+     * @param {Array<object>} [palette] - Palette entries ({ name, ... }); used to tell air apart.
+     * @param {object} [cells]
+     * @param {Int32Array} [cells.primary] - Palette index per cell in flatIndex order, -1 for empty.
+     * @param {Int32Array} [cells.secondary] - Secondary (waterlogging) layer, -1 where a cell has none.
+     */
+    constructor(size, palette = [], { primary, secondary } = {}) {
+        this.size = { x: size.x, y: size.y, z: size.z };
+        const total = this.size.x * this.size.y * this.size.z;
+        this.primary = primary ?? createCells(total);
+        this.secondary = secondary ?? createCells(total);
+        this.setPalette(palette);
+    }
+
+    /**
+     * Builds a volume from Bedrock-style block_indices layers.
+     * Secondary cells holding air are stored as empty.
+     * @param {{x:number,y:number,z:number}} size
+     * @param {Array<ArrayLike<number>>} layers - Layer 0 is primary, layer 1 secondary.
+     * @param {Array<object>} palette
+     * @returns {StructureVolume}
+     */
+    static fromLayers(size, layers, palette) {
+        const total = size.x * size.y * size.z;
+        const [primaryLayer, secondaryLayer] = layers;
+        const volume = new StructureVolume(size, palette, {
+            primary: copyLayer(primaryLayer, total, palette.length),
+            secondary: copyLayer(secondaryLayer, total, palette.length),
+        });
+        const { secondary, air } = volume;
+        for (let i = 0; i < total; i++) {
+            if (secondary[i] >= 0 && air[secondary[i]]) secondary[i] = -1;
+        }
+        return volume;
+    }
+
+    /**
+     * Rebuilds a volume that went through structured clone (postMessage drops the class).
+     * @param {{size: object, primary: Int32Array, secondary: Int32Array}} data
+     * @param {Array<object>} palette
+     * @returns {StructureVolume}
+     */
+    static revive(data, palette) {
+        if (data instanceof StructureVolume) return data;
+        return new StructureVolume(data.size, palette, { primary: data.primary, secondary: data.secondary });
+    }
+
+    /**
+     * Replaces the palette the cells point into and refreshes the air table.
+     * @param {Array<object>} palette
+     */
+    setPalette(palette) {
+        this.palette = palette;
+        this.air = Uint8Array.from(palette, (entry) => (isAirBlockName(entry?.name) ? 1 : 0));
+    }
+
+    get cellCount() {
+        return this.primary.length;
+    }
+
+    contains(x, y, z) {
+        return x >= 0 && y >= 0 && z >= 0 && x < this.size.x && y < this.size.y && z < this.size.z;
+    }
+
+    index(x, y, z) {
+        return flatIndex(this.size, x, y, z);
+    }
+
+    /**
+     * Palette index of the primary block at a cell; -1 when empty or outside the volume.
+     * @returns {number}
+     */
+    get(x, y, z) {
+        return this.contains(x, y, z) ? this.primary[this.index(x, y, z)] : -1;
+    }
+
+    getSecondary(x, y, z) {
+        return this.contains(x, y, z) ? this.secondary[this.index(x, y, z)] : -1;
+    }
+
+    set(x, y, z, paletteIndex) {
+        if (!this.contains(x, y, z)) throw new RangeError(`Cell ${x}, ${y}, ${z} is outside the structure.`);
+        this.primary[this.index(x, y, z)] = paletteIndex;
+    }
+
+    setSecondary(x, y, z, paletteIndex) {
+        if (!this.contains(x, y, z)) throw new RangeError(`Cell ${x}, ${y}, ${z} is outside the structure.`);
+        this.secondary[this.index(x, y, z)] = paletteIndex;
+    }
+
+    /**
+     * True when a palette index is empty (-1) or an air block.
+     * @param {number} paletteIndex
+     * @returns {boolean}
+     */
+    isAir(paletteIndex) {
+        return paletteIndex < 0 || this.air[paletteIndex] === 1;
+    }
+
+    /**
+     * The block at a cell, or null for empty and air cells.
+     * @returns {{x:number, y:number, z:number, paletteIndex:number, secondaryPaletteIndex:number|null}|null}
+     */
+    getBlock(x, y, z) {
+        if (!this.contains(x, y, z)) return null;
+        const i = this.index(x, y, z);
+        const paletteIndex = this.primary[i];
+        if (this.isAir(paletteIndex)) return null;
+        const secondaryPaletteIndex = this.secondary[i];
+        return { x, y, z, paletteIndex, secondaryPaletteIndex: secondaryPaletteIndex >= 0 ? secondaryPaletteIndex : null };
+    }
+
+    /**
+     * Copies one horizontal layer.
+     * @param {number} y
+     * @param {object} [options]
+     * @param {boolean} [options.secondary=false] - Slice the secondary layer instead.
+     * @returns {Int32Array} Palette indices indexed by x * size.z + z.
+     */
+    getLayer(y, { secondary = false } = {}) {
+        const { x: sx, z: sz } = this.size;
+        const source = secondary ? this.secondary : this.primary;
+        const layer = createCells(sx * sz);
+        if (y < 0 || y >= this.size.y) return layer;
+        for (let x = 0; x < sx; x++) {
+            const start = this.index(x, y, 0);
+            layer.set(source.subarray(start, start + sz), x * sz);
+        }
+        return layer;
+    }
+
+    /**
+     * Calls back for every cell whose primary block isn't air, in flatIndex order.
+     * @param {(x:number, y:number, z:number, paletteIndex:number, index:number) => void} callback
+     * @param {object} [options]
+     * @param {boolean} [options.secondary=false] - Visit the non-empty secondary cells instead.
+     */
+    forEachBlock(callback, { secondary = false } = {}) {
+        const cells = secondary ? this.secondary : this.primary;
+        const { x: sx, y: sy, z: sz } = this.size;
+        let i = 0;
+        for (let x = 0; x < sx; x++) {
+            for (let y = 0; y < sy; y++) {
+                for (let z = 0; z < sz; z++, i++) {
+                    const paletteIndex = cells[i];
+                    if (!this.isAir(paletteIndex)) callback(x, y, z, paletteIndex, i);
+                }
+            }
+        }
+    }
+
+    /**
+     * Number of non-air cells per palette index.
+     * @param {object} [options]
+     * @param {boolean} [options.secondary=false] - Count the secondary layer instead.
+     * @returns {Uint32Array}
+     */
+    countByPalette({ secondary = false } = {}) {
+        const cells = secondary ? this.secondary : this.primary;
+        const counts = new Uint32Array(this.air.length);
+        for (let i = 0; i < cells.length; i++) {
+            const paletteIndex = cells[i];
+            if (paletteIndex >= 0 && paletteIndex < counts.length) counts[paletteIndex]++;
+        }
+        this.air.forEach((isAir, paletteIndex) => {
+            if (isAir) counts[paletteIndex] = 0;
+        });
+        return counts;
+    }
+
+    /**
+     * Number of cells holding a (non-air) primary block.
+     * @returns {number}
+     */
+    countBlocks() {
+        return this.countByPalette().reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Smallest box holding every non-air block (primary or secondary), or null for an empty volume.
+     * @returns {{min: {x:number,y:number,z:number}, max: {x:number,y:number,z:number}}|null}
+     */
+    getBounds() {
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        const include = (x, y, z) => {
+            min.x = Math.min(min.x, x); min.y = Math.min(min.y, y); min.z = Math.min(min.z, z);
+            max.x = Math.max(max.x, x); max.y = Math.max(max.y, y); max.z = Math.max(max.z, z);
+        };
+        this.forEachBlock(include);
+        this.forEachBlock(include, { secondary: true });
+        return min.x === Infinity ? null : { min, max };
+    }
+}
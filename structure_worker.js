@@ -0,0 +1,76 @@
+// Structure Worker
+// Runs decompression, NBT parsing, palette/model building and chunk meshing off the main thread.
+// Driven by StructureLoadTask (structure_worker_client.js); every reply carries the request id.
+
+import { loadStructureFile } from './structure_loader.js';
+import { ChunkMesher } from './chunk_mesher.js';
+
+const GZIP_MAGIC_BYTES = [0x1f, 0x8b];
+
+// Size and primary cells of the structure loaded by the last 'load' request, kept for 'mesh'
+let meshSource = null;
+
+async function gunzip(bytes) {
+    // pako is a page global that workers don't get; DecompressionStream is built in
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function handleLoad(id, { buffer, strict }) {
+    const report = (stage) => self.postMessage({ id, type: 'progress', stage });
+    let bytes = new Uint8Array(buffer);
+    report('decompress');
+    if (bytes[0] === GZIP_MAGIC_BYTES[0] && bytes[1] === GZIP_MAGIC_BYTES[1]) {
+        try {
+            bytes = await gunzip(bytes);
+        } catch (e) {
+            throw new Error(`Gzip Decompression Error: Cannot decompress file. It may be corrupted or not a valid Gzip structure. (${e.message})`);
+        }
+    }
+
+    const structure = await loadStructureFile(bytes, { strict, onProgress: (stage) => stage !== 'decompress' && report(stage) });
+
+    // The raw NBT tree keeps its tag types in symbols, which structured clone drops;
+    // the page re-parses it from the (transferred) uncompressed bytes when it needs it.
+    // The cell layers are transferred too; meshing only needs the primary one, so the worker keeps a copy of that.
+    const { raw, ...model } = structure;
+    const { primary, secondary } = model.volume;
+    meshSource = { size: model.size, cells: primary.slice() };
+    self.postMessage({ id, type: 'result', structure: model, nbtBytes: bytes }, [bytes.buffer, primary.buffer, secondary.buffer]);
+}
+
+function handleMesh(id, { solid, opaque, faceMaterials }) {
+    if (!meshSource) {
+        throw new Error('No structure loaded in the worker.');
+    }
+    const { size, cells } = meshSource;
+    const mesher = new ChunkMesher({ size, cells, solid, opaque, faceMaterials });
+    const dirty = mesher.takeDirtyChunks();
+    const chunks = [];
+    const transfer = [];
+    dirty.forEach(({ cx, cy, cz }, done) => {
+        const chunk = mesher.buildChunk(cx, cy, cz);
+        if (chunk.quadCount > 0) {
+            chunks.push({ ...chunk, cx, cy, cz });
+            transfer.push(chunk.positions.buffer, chunk.normals.buffer, chunk.uvs.buffer, chunk.indices.buffer);
+        }
+        if (done % 8 === 0) self.postMessage({ id, type: 'progress', stage: 'mesh', done, total: dirty.length });
+    });
+    self.postMessage({ id, type: 'result', chunks }, transfer);
+}
+
+self.onmessage = async ({ data: message }) => {
+    const { id, type } = message;
+    try {
+        if (type === 'load') {
+            await handleLoad(id, message);
+        } else if (type === 'mesh') {
+            handleMesh(id, message);
+        } else {
+            throw new Error(`Unknown structure worker request: ${type}`);
+        }
+    } catch (error) {
+        console.error('Structure worker error:', error);
+        self.postMessage({ id, type: 'error', message: error.message, diagnostics: error.diagnostics ?? null });
+    }
+};
@@ -0,0 +1,141 @@
+// Structure Worker Client
+// Page-side handle for structure_worker.js: loads a file and builds chunk meshes in the worker,
+// relays stage-by-stage progress and lets the user cancel. Falls back to the main thread
+// when module workers aren't available (e.g. when the page is opened from file://).
+
+import { NBT } from './nbt.min.js';
+import { loadStructureFile } from './structure_loader.js';
+import { StructureVolume } from './structure_volume.js';
+
+function createCancelError() {
+    const error = new Error('Structure load cancelled.');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Re-parses the NBT tree on first access; see handleLoad in structure_worker.js
+function attachLazyRaw(structure, nbtBytes) {
+    let raw = null;
+    Object.defineProperty(structure, 'raw', {
+        enumerable: true,
+        configurable: true,
+        get() {
+            if (!raw) raw = NBT.parse(nbtBytes, { littleEndian: structure.format === 'mcstructure' });
+            return raw;
+        },
+    });
+    return structure;
+}
+
+export class StructureLoadTask {
+    constructor() {
+        this.worker = null;
+        this.workerFailed = typeof Worker === 'undefined';
+        this.pending = new Map();
+        this.nextId = 1;
+        this.cancelled = false;
+    }
+
+    startWorker() {
+        if (this.worker) return this.worker;
+        this.worker = new Worker(new URL('./structure_worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data: message }) => {
+            const request = this.pending.get(message.id);
+            if (!request) return;
+            request.started = true;
+            if (message.type === 'progress') {
+                request.onProgress?.(message.stage, message);
+                return;
+            }
+            this.pending.delete(message.id);
+            if (message.type === 'error') {
+                // The validation report travels as plain data next to the message
+                const error = new Error(message.message);
+                if (message.diagnostics) error.diagnostics = message.diagnostics;
+                request.reject(error);
+            } else {
+                request.resolve(message);
+            }
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault?.();
+            const error = new Error(event.message || 'The structure worker failed to start.');
+            error.workerStartup = [...this.pending.values()].every((request) => !request.started);
+            this.pending.forEach((request) => request.reject(error));
+            this.pending.clear();
+        };
+        return this.worker;
+    }
+
+    request(type, payload, transfer = [], onProgress = null) {
+        if (this.cancelled) return Promise.reject(createCancelError());
+        const worker = this.startWorker();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress, started: false });
+            worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Decompresses, parses and converts a structure file in the worker.
+     * @param {ArrayBuffer} buffer - The raw file content (not consumed).
+     * @param {object} [options]
+     * @param {(stage: string, detail?: object) => void} [options.onProgress] - 'decompress' | 'parse' | 'palette'.
+     * @param {boolean} [options.strict=false] - Refuse files that fail validation (see loadStructureFile).
+     * @returns {Promise<object>} The structure model, with `raw` parsed lazily.
+     */
+    async load(buffer, { onProgress, strict = false } = {}) {
+        if (!this.workerFailed) {
+            try {
+                const copy = buffer.slice(0);
+                const { structure, nbtBytes } = await this.request('load', { buffer: copy, strict }, [copy], onProgress);
+                structure.volume = StructureVolume.revive(structure.volume, structure.palette);
+                return attachLazyRaw(structure, nbtBytes);
+            } catch (error) {
+                if (!error.workerStartup) throw error;
+                console.warn('Structure worker unavailable, loading on the main thread instead.', error);
+                this.dispose();
+                this.workerFailed = true;
+            }
+        }
+        const structure = await loadStructureFile(buffer, { onProgress, strict });
+        if (this.cancelled) throw createCancelError();
+        return structure;
+    }
+
+    /**
+     * Builds chunk geometry for the structure from the last load() in the worker.
+     * @param {{solid: Uint8Array, opaque: Uint8Array, faceMaterials: Int32Array}} tables - See ChunkMesher.
+     * @param {object} [options]
+     * @param {(stage: string, detail?: object) => void} [options.onProgress] - 'mesh' with { done, total }.
+     * @returns {Promise<object[]|null>} The chunks (as from ChunkMesher.buildChunk), or null if the worker isn't available.
+     */
+    async mesh({ solid, opaque, faceMaterials }, { onProgress } = {}) {
+        if (this.workerFailed || !this.worker) return null;
+        const { chunks } = await this.request('mesh', { solid, opaque, faceMaterials }, [], onProgress);
+        return chunks;
+    }
+
+    /**
+     * Stops the worker; pending load()/mesh() calls reject with an AbortError.
+     */
+    cancel() {
+        this.cancelled = true;
+        const error = createCancelError();
+        this.pending.forEach((request) => request.reject(error));
+        this.pending.clear();
+        this.dispose();
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) throw createCancelError();
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
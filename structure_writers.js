@@ -0,0 +1,316 @@
+// Structure Writers
+// Writes a structure model from any importer as a Bedrock .mcstructure, a Java structure-block .nbt
+// or a Sponge .schem (v2) file, translating block states between the editions with BlockTranslator.
+// Block entity and entity NBT differ between the editions, so it is only carried over when the
+// source file is already in the target edition (see describeDroppedData). Water in the secondary
+// layer becomes waterlogged=true on Java blocks. Litematica files can be read but not written. No DOM.
+
+import { NBT, TAG } from './nbt.min.js';
+import { serializeMCStructure, gzipBytes } from './nbt_parser.js';
+import { formatBlockStateString } from './java_importers.js';
+import { collectTranslationIssues } from './block_translation.js';
+
+export const OUTPUT_FORMATS = ['mcstructure', 'nbt', 'schem'];
+
+// Block state version written into new .mcstructure palettes: 1.20.0, packed as major.minor.patch.revision bytes
+const BEDROCK_BLOCK_VERSION = (1 << 24) | (20 << 16) | (0 << 8);
+// Java 1.20.1, for files converted from Bedrock
+const JAVA_DATA_VERSION = 3465;
+
+const JAVA_SOURCE_FORMATS = new Set(['nbt', 'schem', 'litematic']);
+const WATER_NAMES = new Set(['minecraft:water', 'minecraft:flowing_water']);
+
+function intList(values) {
+    return NBT.setListType(Int32Array.from(values), TAG.INT);
+}
+
+// A compound whose listed keys are written with the given tag types (the rest are inferred)
+function typed(compound, types) {
+    Object.entries(types).forEach(([key, tagType]) => NBT.setTagType(compound, key, tagType));
+    return compound;
+}
+
+function bedrockStates(states = {}) {
+    const result = {};
+    Object.entries(states).forEach(([key, value]) => {
+        result[key] = typeof value === 'boolean' ? value : (typeof value === 'bigint' ? Number(value) : value);
+        if (typeof value === 'boolean') NBT.setTagType(result, key, TAG.BYTE);
+    });
+    return result;
+}
+
+/**
+ * Builds a fresh .mcstructure root compound for a model that has no Bedrock NBT of its own.
+ * @param {object} structure - A structure model.
+ * @returns {object} Root compound for NBT.write.
+ */
+export function buildMCStructureRoot(structure) {
+    const { size, palette, volume } = structure;
+    const blockPalette = NBT.setListType(palette.map((entry) => typed({
+        name: String(entry.name),
+        states: bedrockStates(entry.states),
+        version: JAVA_SOURCE_FORMATS.has(structure.format) || !entry.version ? BEDROCK_BLOCK_VERSION : Number(entry.version),
+    }, { name: TAG.STRING, states: TAG.COMPOUND, version: TAG.INT })), TAG.COMPOUND);
+    return typed({
+        format_version: 1,
+        size: intList([size.x, size.y, size.z]),
+        structure: typed({
+            block_indices: NBT.setListType([intList(volume.primary), intList(volume.secondary)], TAG.LIST),
+            entities: NBT.setListType([], TAG.COMPOUND),
+            palette: {
+                default: typed({ block_palette: blockPalette, block_position_data: {} }, { block_position_data: TAG.COMPOUND }),
+            },
+        }, { entities: TAG.LIST }),
+        structure_world_origin: intList([0, 0, 0]),
+    }, { format_version: TAG.INT });
+}
+
+/**
+ * Java name and properties for a palette entry: the original ones for Java imports, otherwise translated.
+ * @returns {{name: string, states: Object<string, string>}}
+ */
+function javaBlockState(entry, translator) {
+    if (entry.java) return { name: entry.java.name, states: entry.java.states ?? {} };
+    if (!translator) return { name: String(entry.name), states: {} };
+    const { name, states } = translator.bedrockToJava(String(entry.name), entry.states ?? {});
+    return { name, states };
+}
+
+// Whether a cell's secondary layer holds water (a waterlogged block in Bedrock terms)
+function isWaterlogged(structure, index) {
+    const secondary = structure.volume.secondary[index];
+    return secondary >= 0 && WATER_NAMES.has(String(structure.palette[secondary]?.name));
+}
+
+// The Java state of a cell: the secondary layer decides waterlogged, for blocks that aren't water or air themselves
+function javaCellState(entry, translator, waterlogged) {
+    const { name, states } = javaBlockState(entry, translator);
+    if (!waterlogged && !('waterlogged' in states)) return { name, states };
+    if (WATER_NAMES.has(name) || /(^|:)(cave_|void_)?air$/.test(name)) return { name, states };
+    return { name, states: { ...states, waterlogged: String(waterlogged) } };
+}
+
+// A copy of a parsed compound without some keys, keeping the tag types of the rest
+function compoundWithout(compound, keys) {
+    const copy = NBT.clone(compound ?? {});
+    keys.forEach((key) => { delete copy[key]; });
+    return copy;
+}
+
+// Adds the entries of a parsed compound to another one, with their tag types
+function assignCompound(target, source) {
+    NBT.getCompoundKeys(source).forEach((key) => {
+        target[key] = source[key];
+        const tagType = NBT.getTagType(source, key);
+        if (tagType !== undefined) NBT.setTagType(target, key, tagType);
+    });
+    return target;
+}
+
+function doubleList(values) {
+    return NBT.setListType(values.map(Number), TAG.DOUBLE);
+}
+
+// Block entities of a Java source as the NBT Java writes for them: id kept, coordinates left to the file format
+function javaBlockEntities(structure) {
+    if (!JAVA_SOURCE_FORMATS.has(structure.format)) return [];
+    return [...(structure.blockEntities?.values() ?? [])].map(({ index, x, y, z, data }) => ({ index, x, y, z, nbt: compoundWithout(data, ['x', 'y', 'z']) }));
+}
+
+// Entities of a Java source: position and id lifted out, the rest of their NBT as read
+function javaEntities(structure) {
+    if (!JAVA_SOURCE_FORMATS.has(structure.format)) return [];
+    return (structure.entities ?? []).map(({ identifier, position, data }) => {
+        const nbt = compoundWithout(data, ['Pos', 'Id']);
+        nbt.id = identifier;
+        return { id: identifier, position: [position.x, position.y, position.z], nbt };
+    });
+}
+
+/**
+ * What a conversion leaves out: block entity and entity NBT is only written in the source's own edition.
+ * @param {object} structure - From loadStructureFile.
+ * @param {'mcstructure'|'nbt'|'schem'} format - Target format.
+ * @returns {string|null} A sentence for the user, or null when nothing is dropped.
+ */
+export function describeDroppedData(structure, format) {
+    const javaTarget = format !== 'mcstructure';
+    const sameEdition = javaTarget === JAVA_SOURCE_FORMATS.has(structure.format);
+    if (sameEdition) return null;
+    const blockEntities = structure.blockEntities?.size ?? 0;
+    const entities = structure.entities?.length ?? 0;
+    if (!blockEntities && !entities) return null;
+    const parts = [
+        blockEntities ? `${blockEntities} block entit${blockEntities === 1 ? 'y' : 'ies'} (container contents, sign text...)` : null,
+        entities ? `${entities} entit${entities === 1 ? 'y' : 'ies'}` : null,
+    ].filter(Boolean);
+    return `${parts.join(' and ')} can't be converted to ${javaTarget ? 'Java' : 'Bedrock'} Edition and ${blockEntities + entities === 1 ? 'is' : 'are'} left out.`;
+}
+
+/**
+ * The Bedrock block states a conversion to Java can't carry over in full (see collectTranslationIssues);
+ * Java sources keep their own states, so only Bedrock ones are checked.
+ * @param {object} structure - From loadStructureFile.
+ * @param {'mcstructure'|'nbt'|'schem'} format - Target format.
+ * @param {import('./block_translation.js').BlockTranslator} [translator]
+ * @returns {{blockState: string, status: string, unmapped: string[]}[]}
+ */
+export function findUntranslatedStates(structure, format, translator) {
+    if (format === 'mcstructure' || !translator) return [];
+    return collectTranslationIssues(structure.palette
+        .filter((entry) => entry && !entry.java)
+        .map((entry) => ({
+            java: { blockState: formatBlockStateString(String(entry.name), entry.states ?? {}) },
+            translation: translator.bedrockToJava(String(entry.name), entry.states ?? {}),
+        })));
+}
+
+function javaDataVersion(structure) {
+    return JAVA_SOURCE_FORMATS.has(structure.format) ? Number(structure.palette.find((entry) => entry.version)?.version ?? JAVA_DATA_VERSION) : JAVA_DATA_VERSION;
+}
+
+function buildVanillaRoot(structure, translator) {
+    const { size, palette, volume } = structure;
+    const paletteMap = new Map();
+    const javaPalette = [];
+    const stateIndex = (paletteIndex, waterlogged) => {
+        const cacheKey = `${paletteIndex}|${waterlogged}`;
+        if (!paletteMap.has(cacheKey)) {
+            const { name, states } = javaCellState(palette[paletteIndex], translator, waterlogged);
+            const key = formatBlockStateString(name, states);
+            let index = javaPalette.findIndex((entry) => entry.key === key);
+            if (index < 0) {
+                index = javaPalette.length;
+                const properties = {};
+                Object.entries(states).forEach(([property, value]) => { properties[property] = String(value); });
+                javaPalette.push({ key, compound: Object.keys(properties).length ? { Name: name, Properties: properties } : { Name: name } });
+            }
+            paletteMap.set(cacheKey, index);
+        }
+        return paletteMap.get(cacheKey);
+    };
+    const blockEntities = new Map(javaBlockEntities(structure).map((blockEntity) => [blockEntity.index, blockEntity.nbt]));
+
+    // Air is listed too (it clears the space when placed); only cells without a block are left out
+    const blocks = [];
+    let i = 0;
+    for (let x = 0; x < size.x; x++) {
+        for (let y = 0; y < size.y; y++) {
+            for (let z = 0; z < size.z; z++, i++) {
+                const paletteIndex = volume.primary[i];
+                if (paletteIndex < 0) continue;
+                const block = typed({ pos: intList([x, y, z]), state: stateIndex(paletteIndex, isWaterlogged(structure, i)) }, { state: TAG.INT });
+                if (blockEntities.has(i)) block.nbt = blockEntities.get(i);
+                blocks.push(block);
+            }
+        }
+    }
+    return typed({
+        DataVersion: javaDataVersion(structure),
+        size: intList([size.x, size.y, size.z]),
+        palette: NBT.setListType(javaPalette.map((entry) => entry.compound), TAG.COMPOUND),
+        blocks: NBT.setListType(blocks, TAG.COMPOUND),
+        entities: NBT.setListType(javaEntities(structure).map(({ position, nbt }) => ({
+            pos: doubleList(position),
+            blockPos: intList(position.map(Math.floor)),
+            nbt,
+        })), TAG.COMPOUND),
+    }, { DataVersion: TAG.INT });
+}
+
+function writeVarInt(bytes, value) {
+    let remaining = value >>> 0;
+    while (remaining >= 0x80) {
+        bytes.push((remaining & 0x7f) | 0x80);
+        remaining >>>= 7;
+    }
+    bytes.push(remaining);
+}
+
+function buildSpongeRoot(structure, translator) {
+    const { size, palette, volume } = structure;
+    const blockStates = new Map([['minecraft:air', 0]]);
+    const keys = new Map();
+    const stateId = (paletteIndex, waterlogged) => {
+        const cacheKey = `${paletteIndex}|${waterlogged}`;
+        if (!keys.has(cacheKey)) {
+            const { name, states } = javaCellState(palette[paletteIndex], translator, waterlogged);
+            const key = formatBlockStateString(name, states);
+            if (!blockStates.has(key)) blockStates.set(key, blockStates.size);
+            keys.set(cacheKey, blockStates.get(key));
+        }
+        return keys.get(cacheKey);
+    };
+
+    // YZX order, x fastest; cells without a block (structure void) become air
+    const data = [];
+    for (let y = 0; y < size.y; y++) {
+        for (let z = 0; z < size.z; z++) {
+            for (let x = 0; x < size.x; x++) {
+                const index = volume.index(x, y, z);
+                const paletteIndex = volume.primary[index];
+                writeVarInt(data, paletteIndex >= 0 ? stateId(paletteIndex, isWaterlogged(structure, index)) : 0);
+            }
+        }
+    }
+    const spongePalette = {};
+    blockStates.forEach((id, key) => {
+        spongePalette[key] = id;
+        NBT.setTagType(spongePalette, key, TAG.INT);
+    });
+    const root = typed({
+        Version: 2,
+        DataVersion: javaDataVersion(structure),
+        Width: size.x,
+        Height: size.y,
+        Length: size.z,
+        Offset: new Int32Array([0, 0, 0]),
+        PaletteMax: blockStates.size,
+        Palette: spongePalette,
+        BlockData: Int8Array.from(data, (byte) => (byte << 24) >> 24),
+        // Version 2 keeps block entity and entity NBT inline, next to Pos and Id
+        BlockEntities: NBT.setListType(javaBlockEntities(structure).map(({ x, y, z, nbt }) => assignCompound(
+            typed({ Pos: new Int32Array([x, y, z]), Id: String(nbt.id ?? '') }, { Pos: TAG.INT_ARRAY }),
+            compoundWithout(nbt, ['id']),
+        )), TAG.COMPOUND),
+        Entities: NBT.setListType(javaEntities(structure).map(({ id, position, nbt }) => assignCompound(
+            { Pos: doubleList(position), Id: id },
+            compoundWithout(nbt, ['id']),
+        )), TAG.COMPOUND),
+    }, {
+        Version: TAG.INT,
+        DataVersion: TAG.INT,
+        Width: TAG.SHORT,
+        Height: TAG.SHORT,
+        Length: TAG.SHORT,
+        Offset: TAG.INT_ARRAY,
+        PaletteMax: TAG.INT,
+        BlockData: TAG.BYTE_ARRAY,
+    });
+    return root;
+}
+
+/**
+ * Writes a structure model as a file.
+ * @param {object} structure - From loadStructureFile.
+ * @param {'mcstructure'|'nbt'|'schem'} format
+ * @param {object} [options]
+ * @param {import('./block_translation.js').BlockTranslator} [options.translator] - Needed to write Bedrock
+ *   blocks as Java ones; without it Bedrock names are written as they are, without properties.
+ * @returns {Uint8Array} The file content (.nbt and .schem are gzipped, .mcstructure is not, as the games write them).
+ */
+export function writeStructureFile(structure, format, { translator = null } = {}) {
+    switch (format) {
+        case 'mcstructure':
+            // Bedrock sources keep their own tree (block entities, entities, world origin) byte for byte
+            return structure.format === 'mcstructure' && structure.raw
+                ? serializeMCStructure(structure)
+                : NBT.write(buildMCStructureRoot(structure));
+        case 'nbt':
+            return gzipBytes(NBT.write(buildVanillaRoot(structure, translator), { littleEndian: false }));
+        case 'schem':
+            return gzipBytes(NBT.write(buildSpongeRoot(structure, translator), { littleEndian: false, rootName: 'Schematic' }));
+        default:
+            throw new Error(`Can't write .${format} files; supported outputs are ${OUTPUT_FORMATS.map((name) => `.${name}`).join(', ')}.`);
+    }
+}
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { loadStructureFile, getBlockEntityAt, writeStructureFile, NBT, flatIndex, unflattenIndex } from '../core.js';
+import { FIXTURE_SIZE, cellName, cellsInOrder, buildMCStructureFixture, buildSpongeFixture, buildVanillaFixture } from './helpers/fixtures.js';
+
+const CELLS = cellsInOrder(FIXTURE_SIZE, 'xyz');
+
+function nameAt(structure, x, y, z) {
+    return structure.palette[structure.volume.get(x, y, z)]?.name ?? null;
+}
+
+function assertEveryCell(structure, { skip = () => false } = {}) {
+    assert.deepEqual(structure.size, FIXTURE_SIZE);
+    CELLS.forEach(({ x, y, z }) => {
+        if (skip(x, y, z)) return;
+        assert.equal(nameAt(structure, x, y, z), cellName(x, y, z), `cell ${x}, ${y}, ${z}`);
+    });
+}
+
+test('flatIndex is Bedrock ZYX order: z fastest, then y, then x', () => {
+    CELLS.forEach(({ x, y, z }, i) => {
+        assert.equal(flatIndex(FIXTURE_SIZE, x, y, z), i);
+        assert.deepEqual(unflattenIndex(FIXTURE_SIZE, i), { x, y, z });
+    });
+});
+
+test('.mcstructure block_indices are read in ZYX order', async () => {
+    const structure = await loadStructureFile(buildMCStructureFixture());
+    assert.equal(structure.format, 'mcstructure');
+    assertEveryCell(structure);
+});
+
+test('.mcstructure block_position_data keys are flat ZYX indices', async () => {
+    const structure = await loadStructureFile(buildMCStructureFixture());
+    const chest = getBlockEntityAt(structure, 1, 2, 3);
+    assert.equal(chest?.contents.customName, 'Fixture chest');
+    assert.deepEqual({ x: chest.x, y: chest.y, z: chest.z }, { x: 1, y: 2, z: 3 });
+    assert.equal(getBlockEntityAt(structure, 3, 2, 1), null);
+});
+
+test('getLayer and forEachBlock use the same coordinates as get', async () => {
+    const { volume, palette } = await loadStructureFile(buildMCStructureFixture());
+    for (let y = 0; y < FIXTURE_SIZE.y; y++) {
+        const layer = volume.getLayer(y);
+        for (let x = 0; x < FIXTURE_SIZE.x; x++) {
+            for (let z = 0; z < FIXTURE_SIZE.z; z++) assert.equal(palette[layer[x * FIXTURE_SIZE.z + z]].name, cellName(x, y, z));
+        }
+    }
+    let visited = 0;
+    volume.forEachBlock((x, y, z, paletteIndex) => {
+        assert.equal(palette[paletteIndex].name, cellName(x, y, z));
+        visited++;
+    });
+    assert.equal(visited, CELLS.length);
+});
+
+test('Sponge .schem BlockData is read in YZX order (x fastest)', async () => {
+    const structure = await loadStructureFile(buildSpongeFixture());
+    assert.equal(structure.format, 'schem');
+    assertEveryCell(structure);
+});
+
+test('vanilla .nbt blocks are placed by their pos, unlisted cells are void', async () => {
+    const structure = await loadStructureFile(buildVanillaFixture());
+    assert.equal(structure.format, 'nbt');
+    assertEveryCell(structure, { skip: (x, y, z) => !x && !y && !z });
+    assert.equal(structure.volume.get(0, 0, 0), -1);
+});
+
+test('gzipped Java files load the same as uncompressed ones', async () => {
+    const structure = await loadStructureFile(zlib.gzipSync(buildSpongeFixture()));
+    assertEveryCell(structure);
+});
+
+for (const format of ['mcstructure', 'nbt', 'schem']) {
+    test(`cells keep their positions when written as .${format} and read back`, async () => {
+        const source = await loadStructureFile(buildMCStructureFixture());
+        const written = writeStructureFile(source, format);
+        assertEveryCell(await loadStructureFile(written));
+    });
+}
+
+test('the .schem writer stores BlockData in YZX order', async () => {
+    const source = await loadStructureFile(buildMCStructureFixture());
+    const root = NBT.parse(zlib.gunzipSync(writeStructureFile(source, 'schem')), { littleEndian: false });
+    const names = [];
+    Object.entries(root.Palette).forEach(([name, id]) => { names[id] = name; });
+    const written = Array.from(root.BlockData, (id) => names[id]);
+    assert.deepEqual(written, cellsInOrder(FIXTURE_SIZE, 'yzx').map(({ x, y, z }) => cellName(x, y, z)));
+});
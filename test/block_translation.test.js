@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getDefaultBlockTranslator } from '../core.js';
+
+test('glazed terracotta faces with the integer facing_direction, both ways', async () => {
+    const translator = await getDefaultBlockTranslator();
+    ['north', 'south', 'west', 'east'].forEach((facing, i) => {
+        const bedrock = translator.javaToBedrock('minecraft:orange_glazed_terracotta', { facing });
+        assert.deepEqual(bedrock, { name: 'minecraft:orange_glazed_terracotta', states: { facing_direction: i + 2 }, status: 'exact', unmapped: [], waterlogged: false });
+        const java = translator.bedrockToJava(bedrock.name, bedrock.states);
+        assert.deepEqual({ name: java.name, states: java.states }, { name: 'minecraft:orange_glazed_terracotta', states: { facing } });
+    });
+    assert.equal(translator.javaToBedrock('minecraft:light_gray_glazed_terracotta', { facing: 'east' }).name, 'minecraft:silver_glazed_terracotta');
+});
+
+test('waterlogged is reported on its own, never as an unmapped or dropped state', async () => {
+    const translator = await getDefaultBlockTranslator();
+    const stairs = translator.javaToBedrock('minecraft:oak_stairs', { facing: 'east', half: 'bottom', shape: 'straight', waterlogged: 'true' });
+    assert.equal(stairs.status, 'exact');
+    assert.equal(stairs.waterlogged, true);
+    assert.equal('waterlogged' in stairs.states, false);
+    // Blocks without a rule only have waterlogged, which needs none
+    const conduit = translator.javaToBedrock('minecraft:conduit', { waterlogged: 'false' });
+    assert.deepEqual(conduit, { name: 'minecraft:conduit', states: {}, status: 'identity', unmapped: [], waterlogged: false });
+});
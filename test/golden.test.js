@@ -0,0 +1,50 @@
+// Golden summary of BurgerBase.mcstructure: what the loader reads from it, checked against a file
+// kept in test/fixtures. After an intended change, rewrite it with UPDATE_GOLDEN=1 npm test and
+// review the diff.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { loadStructureFile, serializeMCStructure, summarizeDiagnostics, buildShoppingList } from '../core.js';
+
+const STRUCTURE_URL = new URL('../BurgerBase.mcstructure', import.meta.url);
+const GOLDEN_URL = new URL('./fixtures/BurgerBase.golden.json', import.meta.url);
+
+function sha256(typedArray) {
+    return createHash('sha256').update(new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength)).digest('hex');
+}
+
+function summarize(structure) {
+    const { size, volume, palette } = structure;
+    const layers = [];
+    for (let y = 0; y < size.y; y++) layers.push(volume.getLayer(y).filter((paletteIndex) => paletteIndex >= 0 && !volume.isAir(paletteIndex)).length);
+    return {
+        format: structure.format,
+        size,
+        palette: palette.map(({ name, states }) => ({ name, states })),
+        materials: structure.materials,
+        blocksPerLayer: layers,
+        cells: { primary: sha256(volume.primary), secondary: sha256(volume.secondary) },
+        blockEntities: [...structure.blockEntities.values()].map(({ x, y, z, contents }) => ({ x, y, z, id: contents.id })),
+        entities: structure.entities.length,
+        diagnostics: summarizeDiagnostics(structure.diagnostics),
+        shoppingList: buildShoppingList(structure).map(({ item, count }) => ({ item, count })),
+    };
+}
+
+test('BurgerBase.mcstructure matches its golden summary', async () => {
+    const structure = await loadStructureFile(await readFile(STRUCTURE_URL));
+    const actual = JSON.parse(JSON.stringify(summarize(structure)));
+    if (process.env.UPDATE_GOLDEN) {
+        await writeFile(GOLDEN_URL, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+    }
+    assert.deepEqual(actual, JSON.parse(await readFile(GOLDEN_URL, 'utf8')));
+});
+
+test('BurgerBase.mcstructure is written back byte for byte', async () => {
+    const bytes = await readFile(STRUCTURE_URL);
+    const structure = await loadStructureFile(bytes);
+    assert.deepEqual(serializeMCStructure(structure), new Uint8Array(bytes));
+});
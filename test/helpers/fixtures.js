@@ -0,0 +1,97 @@
+// Asymmetric structures for tests: every cell holds a different block named after its own
+// coordinates (test:x1_y2_z0), so a mix-up between axes or orderings shows up as a wrong name.
+
+import { tag, buildNBT } from './nbt_bytes.js';
+
+// Every side a different length, so swapped axes can't line up by accident
+export const FIXTURE_SIZE = { x: 2, y: 3, z: 4 };
+
+export function cellName(x, y, z) {
+    return `test:x${x}_y${y}_z${z}`;
+}
+
+// Cells in the order a loop with the given axes (outermost first) visits them
+export function cellsInOrder(size, order) {
+    const cells = [];
+    const [outer, middle, inner] = order.split('');
+    for (let a = 0; a < size[outer]; a++) {
+        for (let b = 0; b < size[middle]; b++) {
+            for (let c = 0; c < size[inner]; c++) cells.push({ [outer]: a, [middle]: b, [inner]: c });
+        }
+    }
+    return cells;
+}
+
+const intList = (values) => tag('list', values.map((value) => tag('int', value)), 'int');
+
+/**
+ * Bedrock .mcstructure (little-endian): block_indices in ZYX order (z fastest, x slowest), as the game writes.
+ * Palette index n is the nth cell in that order. Adds a chest block entity at (1, 2, 3).
+ */
+export function buildMCStructureFixture(size = FIXTURE_SIZE) {
+    const cells = cellsInOrder(size, 'xyz');
+    const palette = cells.map(({ x, y, z }) => tag('compound', {
+        name: tag('string', cellName(x, y, z)),
+        states: tag('compound', {}),
+        version: tag('int', 17959425),
+    }));
+    const chestIndex = (1 * size.y + 2) * size.z + 3;
+    return buildNBT({
+        format_version: tag('int', 1),
+        size: intList([size.x, size.y, size.z]),
+        structure: tag('compound', {
+            block_indices: tag('list', [intList(cells.map((_, i) => i)), intList(cells.map(() => -1))], 'list'),
+            entities: tag('list', [], 'end'),
+            palette: tag('compound', {
+                default: tag('compound', {
+                    block_palette: tag('list', palette, 'compound'),
+                    block_position_data: tag('compound', {
+                        [String(chestIndex)]: tag('compound', {
+                            block_entity_data: tag('compound', {
+                                id: tag('string', 'Chest'),
+                                CustomName: tag('string', 'Fixture chest'),
+                                x: tag('int', 1), y: tag('int', 2), z: tag('int', 3),
+                            }),
+                        }),
+                    }),
+                }),
+            }),
+        }),
+        structure_world_origin: intList([0, 0, 0]),
+    }, { littleEndian: true });
+}
+
+/**
+ * Sponge .schem v2 (big-endian, uncompressed): BlockData in YZX order (x fastest, y slowest).
+ */
+export function buildSpongeFixture(size = FIXTURE_SIZE) {
+    const cells = cellsInOrder(size, 'yzx');
+    const palette = {};
+    cells.forEach(({ x, y, z }, i) => { palette[cellName(x, y, z)] = tag('int', i); });
+    // Fewer than 128 cells, so every varint is a single byte
+    return buildNBT({
+        Version: tag('int', 2),
+        DataVersion: tag('int', 3465),
+        Width: tag('short', size.x),
+        Height: tag('short', size.y),
+        Length: tag('short', size.z),
+        PaletteMax: tag('int', cells.length),
+        Palette: tag('compound', palette),
+        BlockData: tag('byteArray', cells.map((_, i) => i)),
+    }, { rootName: 'Schematic' });
+}
+
+/**
+ * Vanilla structure-block .nbt (big-endian, uncompressed): explicit positions, listed in a shuffled order.
+ * The cell (0, 0, 0) is left out, so it must load as structure void.
+ */
+export function buildVanillaFixture(size = FIXTURE_SIZE) {
+    const cells = cellsInOrder(size, 'zxy').filter(({ x, y, z }) => x || y || z);
+    return buildNBT({
+        DataVersion: tag('int', 3465),
+        size: intList([size.x, size.y, size.z]),
+        palette: tag('list', cells.map(({ x, y, z }) => tag('compound', { Name: tag('string', cellName(x, y, z)) })), 'compound'),
+        blocks: tag('list', cells.map(({ x, y, z }, i) => tag('compound', { pos: intList([x, y, z]), state: tag('int', i) })).reverse(), 'compound'),
+        entities: tag('list', [], 'end'),
+    });
+}
@@ -0,0 +1,106 @@
+// Hand-built NBT bytes for tests, written field by field without nbt.min.js so the reader
+// and writer are checked against an independent encoding.
+
+export const TAG_IDS = {
+    end: 0, byte: 1, short: 2, int: 3, long: 4, float: 5, double: 6,
+    byteArray: 7, string: 8, list: 9, compound: 10, intArray: 11, longArray: 12,
+};
+
+/**
+ * Typed value for the builder: tag('int', 5), tag('list', [tag('string', 'a')], 'string'),
+ * tag('compound', { name: tag('string', 'x') }).
+ */
+export function tag(type, value, listType) {
+    return { type, value, listType };
+}
+
+export class NBTByteBuilder {
+    constructor({ littleEndian = false } = {}) {
+        this.littleEndian = littleEndian;
+        this.bytes = [];
+    }
+
+    fixed(size, write) {
+        const view = new DataView(new ArrayBuffer(size));
+        write(view);
+        for (let i = 0; i < size; i++) this.bytes.push(view.getUint8(i));
+    }
+
+    u8(value) {
+        this.bytes.push(value & 0xff);
+    }
+
+    i16(value) {
+        this.fixed(2, (view) => view.setInt16(0, value, this.littleEndian));
+    }
+
+    i32(value) {
+        this.fixed(4, (view) => view.setInt32(0, value, this.littleEndian));
+    }
+
+    i64(value) {
+        this.fixed(8, (view) => view.setBigInt64(0, BigInt(value), this.littleEndian));
+    }
+
+    string(text) {
+        const encoded = new TextEncoder().encode(text);
+        this.fixed(2, (view) => view.setUint16(0, encoded.length, this.littleEndian));
+        encoded.forEach((byte) => this.u8(byte));
+    }
+
+    payload({ type, value, listType }) {
+        switch (type) {
+            case 'byte': return this.u8(value);
+            case 'short': return this.i16(value);
+            case 'int': return this.i32(value);
+            case 'long': return this.i64(value);
+            case 'float': return this.fixed(4, (view) => view.setFloat32(0, value, this.littleEndian));
+            case 'double': return this.fixed(8, (view) => view.setFloat64(0, value, this.littleEndian));
+            case 'string': return this.string(value);
+            case 'byteArray':
+                this.i32(value.length);
+                return value.forEach((byte) => this.u8(byte));
+            case 'intArray':
+                this.i32(value.length);
+                return value.forEach((int) => this.i32(int));
+            case 'longArray':
+                this.i32(value.length);
+                return value.forEach((long) => this.i64(long));
+            case 'list':
+                this.u8(TAG_IDS[listType ?? 'end']);
+                this.i32(value.length);
+                return value.forEach((item) => this.payload(item));
+            case 'compound':
+                // An array of [name, tag] pairs keeps integer-like names where they are
+                (Array.isArray(value) ? value : Object.entries(value)).forEach(([name, child]) => {
+                    this.u8(TAG_IDS[child.type]);
+                    this.string(name);
+                    this.payload(child);
+                });
+                return this.u8(TAG_IDS.end);
+            default:
+                throw new Error(`Unknown tag type ${type}`);
+        }
+    }
+
+    /**
+     * A whole file: a named root compound.
+     * @param {object} children - Name -> tag(...).
+     * @param {string} [rootName]
+     * @returns {Uint8Array}
+     */
+    root(children, rootName = '') {
+        this.u8(TAG_IDS.compound);
+        this.string(rootName);
+        this.payload(tag('compound', children));
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+/**
+ * Builds an NBT file from a name -> tag(...) map.
+ * @returns {Uint8Array}
+ */
+export function buildNBT(children, { littleEndian = false, rootName = '' } = {}) {
+    return new NBTByteBuilder({ littleEndian }).root(children, rootName);
+}
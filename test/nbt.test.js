@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NBT, TAG, NBTParseError } from '../nbt.min.js';
+import { tag, buildNBT } from './helpers/nbt_bytes.js';
+
+// One of each tag type, with the edge values of each range
+const EVERY_TAG = {
+    byteMin: tag('byte', -128),
+    byteMax: tag('byte', 127),
+    short: tag('short', -32768),
+    int: tag('int', 2147483647),
+    long: tag('long', -9223372036854775808n),
+    float: tag('float', 0.5),
+    double: tag('double', -1234.5678),
+    byteArray: tag('byteArray', [0, 1, -1, 127, -128]),
+    string: tag('string', 'Grüße, 世界'),
+    emptyString: tag('string', ''),
+    intList: tag('list', [tag('int', 3), tag('int', -4)], 'int'),
+    stringList: tag('list', [tag('string', 'a'), tag('string', 'b')], 'string'),
+    nestedList: tag('list', [tag('list', [tag('byte', 1)], 'byte'), tag('list', [], 'end')], 'list'),
+    emptyList: tag('list', [], 'end'),
+    compound: tag('compound', [['inner', tag('short', 7)], ['10', tag('byte', 1)], ['2', tag('byte', 2)]]),
+    intArray: tag('intArray', [-2147483648, 0, 2147483647]),
+    longArray: tag('longArray', [1n, -1n, 9223372036854775807n]),
+};
+
+for (const littleEndian of [true, false]) {
+    const label = littleEndian ? 'little-endian (Bedrock)' : 'big-endian (Java)';
+
+    test(`reads every tag type, ${label}`, () => {
+        const root = NBT.parse(buildNBT(EVERY_TAG, { littleEndian, rootName: 'Fixture' }), { littleEndian });
+        assert.equal(NBT.getRootName(root), 'Fixture');
+
+        assert.equal(root.byteMin, -128);
+        assert.equal(root.byteMax, 127);
+        assert.equal(root.short, -32768);
+        assert.equal(root.int, 2147483647);
+        assert.equal(root.long, -9223372036854775808n);
+        assert.equal(root.float, 0.5);
+        assert.equal(root.double, -1234.5678);
+        assert.deepEqual(root.byteArray, Int8Array.from([0, 1, -1, 127, -128]));
+        assert.equal(root.string, 'Grüße, 世界');
+        assert.equal(root.emptyString, '');
+        assert.deepEqual(root.intList, Int32Array.from([3, -4]));
+        assert.deepEqual(root.stringList, ['a', 'b']);
+        assert.equal(root.nestedList.length, 2);
+        assert.equal(root.nestedList[0][0], 1);
+        assert.deepEqual(root.emptyList, []);
+        assert.equal(root.compound.inner, 7);
+        assert.deepEqual(root.intArray, Int32Array.from([-2147483648, 0, 2147483647]));
+        assert.deepEqual(root.longArray, BigInt64Array.from([1n, -1n, 9223372036854775807n]));
+
+        const expectedTypes = {
+            byteMin: TAG.BYTE, short: TAG.SHORT, int: TAG.INT, long: TAG.LONG, float: TAG.FLOAT, double: TAG.DOUBLE,
+            byteArray: TAG.BYTE_ARRAY, string: TAG.STRING, intList: TAG.LIST, emptyList: TAG.LIST,
+            compound: TAG.COMPOUND, intArray: TAG.INT_ARRAY, longArray: TAG.LONG_ARRAY,
+        };
+        Object.entries(expectedTypes).forEach(([key, tagType]) => assert.equal(NBT.getTagType(root, key), tagType, key));
+        assert.equal(NBT.getListType(root.intList), TAG.INT);
+        assert.equal(NBT.getListType(root.nestedList), TAG.LIST);
+        assert.equal(NBT.getListType(root.emptyList), TAG.END);
+        // Integer-like keys keep their file order
+        assert.deepEqual(NBT.getCompoundKeys(root.compound), ['inner', '10', '2']);
+    });
+
+    test(`writes a parsed tree back byte for byte, ${label}`, () => {
+        const bytes = buildNBT(EVERY_TAG, { littleEndian, rootName: 'Fixture' });
+        assert.deepEqual(NBT.write(NBT.parse(bytes, { littleEndian }), { littleEndian }), bytes);
+    });
+
+    test(`clone keeps the tag types, ${label}`, () => {
+        const bytes = buildNBT(EVERY_TAG, { littleEndian });
+        const copy = NBT.clone(NBT.parse(bytes, { littleEndian }));
+        assert.deepEqual(NBT.write(copy, { littleEndian }), bytes);
+    });
+}
+
+test('writes typed values set on a new compound', () => {
+    const root = { count: 5, flag: true, name: 'x', list: NBT.setListType(Int32Array.from([1, 2]), TAG.INT) };
+    NBT.setTagType(root, 'count', TAG.SHORT);
+    const expected = buildNBT({
+        count: tag('short', 5),
+        flag: tag('byte', 1),
+        name: tag('string', 'x'),
+        list: tag('list', [tag('int', 1), tag('int', 2)], 'int'),
+    });
+    assert.deepEqual(NBT.write(root, { littleEndian: false }), expected);
+});
+
+test('reports where truncated data ends', () => {
+    const bytes = buildNBT({ outer: tag('compound', { values: tag('intArray', [1, 2, 3, 4]) }) }, { littleEndian: true });
+    assert.throws(() => NBT.parse(bytes.subarray(0, bytes.length - 6), { littleEndian: true }), (error) => {
+        assert.ok(error instanceof NBTParseError);
+        assert.ok(Number.isInteger(error.offset));
+        assert.match(error.path, /outer/);
+        return true;
+    });
+});
@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DIRECTION_STATE_VALUES, readFacing, NEIGHBOR_OFFSETS } from '../block_models.js';
+import { transformBlockStates } from '../region_tools.js';
+import { normalizeTextureMap, applyAxisOrientation, rotateHorizontalFaces } from '../texture_manager.js';
+
+// Distinct id per face, so every move shows
+const FACES = { up: 'U', down: 'D', north: 'N', south: 'S', east: 'E', west: 'W' };
+
+test('facing_direction follows Bedrock numbering: down, up, north, south, west, east', () => {
+    const expected = ['down', 'up', 'north', 'south', 'west', 'east'];
+    expected.forEach((direction, value) => {
+        assert.equal(readFacing({ facing_direction: value }), direction);
+        assert.equal(readFacing({ facing_direction: String(value) }), direction);
+    });
+    assert.equal(readFacing({ facing_direction: 6 }), null);
+});
+
+test('direction (beds, gates) and weirdo_direction (stairs) numbering', () => {
+    ['south', 'west', 'north', 'east'].forEach((direction, value) => assert.equal(readFacing({ direction: value }), direction));
+    ['east', 'west', 'south', 'north'].forEach((direction, value) => assert.equal(readFacing({ weirdo_direction: value }), direction));
+});
+
+test('doors and trapdoors read direction with their own numbering', () => {
+    ['east', 'west', 'south', 'north'].forEach((direction, value) => assert.equal(readFacing({ direction: value }, 'minecraft:spruce_trapdoor'), direction));
+    ['east', 'south', 'west', 'north'].forEach((direction, value) => assert.equal(readFacing({ direction: value }, 'minecraft:wooden_door'), direction));
+    assert.equal(readFacing({ direction: 0 }, 'minecraft:fence_gate'), 'south');
+    assert.equal(readFacing({ 'minecraft:cardinal_direction': 'east', direction: 0 }, 'minecraft:iron_door'), 'east');
+    assert.equal(readFacing({ facing: 'west' }, 'minecraft:oak_trapdoor'), 'west');
+});
+
+test('named states come before numbered ones', () => {
+    assert.equal(readFacing({ 'minecraft:cardinal_direction': 'west', direction: 0 }), 'west');
+    assert.equal(readFacing({ facing: 'up' }), 'up');
+    assert.equal(readFacing({ facing: 'sideways', facing_direction: 2 }), 'north');
+    assert.equal(readFacing({}), null);
+    assert.equal(readFacing(undefined), null);
+});
+
+test('every direction the tables name is a real neighbour direction', () => {
+    Object.values(DIRECTION_STATE_VALUES).flat().forEach((direction) => assert.ok(NEIGHBOR_OFFSETS[direction], direction));
+});
+
+test('a clockwise quarter turn takes each horizontal facing to the next one clockwise', () => {
+    const next = { north: 'east', east: 'south', south: 'west', west: 'north', up: 'up', down: 'down' };
+    for (const key of ['facing_direction', 'weirdo_direction']) {
+        DIRECTION_STATE_VALUES[key].forEach((direction, value) => {
+            const turned = transformBlockStates({ [key]: value }, { turns: 1 });
+            assert.equal(readFacing(turned), next[direction], `${key} ${value}`);
+        });
+    }
+});
+
+test('mirroring across x swaps east and west only', () => {
+    const mirrored = { east: 'west', west: 'east', north: 'north', south: 'south', up: 'up', down: 'down' };
+    DIRECTION_STATE_VALUES.facing_direction.forEach((direction, value) => {
+        assert.equal(readFacing(transformBlockStates({ facing_direction: value }, { mirror: 'x' })), mirrored[direction]);
+    });
+});
+
+test('trapdoors, gates and doors turn and mirror by their own direction numbering', () => {
+    const next = { north: 'east', east: 'south', south: 'west', west: 'north' };
+    const mirrored = { east: 'west', west: 'east', north: 'north', south: 'south' };
+    for (const name of ['minecraft:jungle_trapdoor', 'minecraft:fence_gate', 'minecraft:wooden_door', 'minecraft:bed']) {
+        [0, 1, 2, 3].forEach((value) => {
+            const states = { direction: value, open_bit: 1, upside_down_bit: 1 };
+            const facing = readFacing(states, name);
+            const turned = transformBlockStates(states, { turns: 1 }, name);
+            assert.equal(readFacing(turned, name), next[facing], `${name} ${value}`);
+            assert.equal(turned.open_bit, 1);
+            assert.equal(readFacing(transformBlockStates(states, { mirror: 'x' }, name), name), mirrored[facing], `${name} ${value}`);
+        });
+    }
+    // Trapdoor direction 0 is east: a quarter turn makes it face south (2)
+    assert.equal(transformBlockStates({ direction: 0 }, { turns: 1 }, 'minecraft:jungle_trapdoor').direction, 2);
+    // Gate direction 1 is west: mirrored across x it faces east (3)
+    assert.equal(transformBlockStates({ direction: 1, in_wall_bit: 0 }, { mirror: 'x' }, 'minecraft:fence_gate').direction, 3);
+});
+
+test('normalizeTextureMap fills faces from a single id, default, side and named keys', () => {
+    const all = (id) => ({ up: id, down: id, north: id, south: id, east: id, west: id });
+    assert.deepEqual(normalizeTextureMap('stone'), all('stone'));
+    assert.deepEqual(normalizeTextureMap(undefined, 'dirt'), all('dirt'));
+    assert.deepEqual(normalizeTextureMap(null), all('missing'));
+    assert.deepEqual(normalizeTextureMap({ up: 'grass_top', down: 'dirt', side: 'grass_side' }), {
+        up: 'grass_top', down: 'dirt', north: 'grass_side', south: 'grass_side', east: 'grass_side', west: 'grass_side',
+    });
+    // Named faces win over default; front/back are south/north, top/bottom are up/down
+    assert.deepEqual(normalizeTextureMap({ default: 'side', top: 'top', bottom: 'bottom', front: 'face', back: 'rear' }), {
+        up: 'top', down: 'bottom', north: 'rear', south: 'face', east: 'side', west: 'side',
+    });
+    assert.deepEqual(normalizeTextureMap({ up: 'log_top' }, 'log'), { ...all('log'), up: 'log_top' });
+});
+
+test('applyAxisOrientation turns pillar ends towards the axis', () => {
+    assert.deepEqual(applyAxisOrientation(FACES, 'y'), FACES);
+    assert.deepEqual(applyAxisOrientation(FACES, undefined), FACES);
+    assert.deepEqual(applyAxisOrientation(FACES, 'x'), { up: 'N', down: 'S', north: 'N', south: 'S', east: 'U', west: 'D' });
+    assert.deepEqual(applyAxisOrientation(FACES, 'z'), { up: 'E', down: 'W', north: 'D', south: 'U', east: 'E', west: 'W' });
+    assert.notEqual(applyAxisOrientation(FACES, 'y'), FACES, 'returns a copy');
+});
+
+test('rotateHorizontalFaces turns the south (front) face to the target direction', () => {
+    assert.deepEqual(rotateHorizontalFaces(FACES, 'south'), FACES);
+    assert.deepEqual(rotateHorizontalFaces(FACES, 'north'), { ...FACES, north: 'S', east: 'W', south: 'N', west: 'E' });
+    assert.deepEqual(rotateHorizontalFaces(FACES, 'west'), { ...FACES, west: 'S', north: 'W', east: 'N', south: 'E' });
+    assert.deepEqual(rotateHorizontalFaces(FACES, 'east'), { ...FACES, east: 'S', south: 'W', west: 'N', north: 'E' });
+    // Up, down and unknown directions leave the sides alone
+    ['up', 'down', null, 'sideways'].forEach((direction) => assert.deepEqual(rotateHorizontalFaces(FACES, direction), FACES));
+});
+
+test('a furnace front follows facing_direction, not the 4-way direction table', () => {
+    const faces = normalizeTextureMap({ default: 'furnace_side', front: 'furnace_front' });
+    const frontAt = (states) => Object.entries(rotateHorizontalFaces(faces, readFacing(states))).find(([, id]) => id === 'furnace_front')?.[0];
+    assert.equal(frontAt({ facing_direction: 2 }), 'north');
+    assert.equal(frontAt({ facing_direction: 3 }), 'south');
+    assert.equal(frontAt({ facing_direction: 4 }), 'west');
+    assert.equal(frontAt({ facing_direction: 5 }), 'east');
+    assert.equal(frontAt({ 'minecraft:cardinal_direction': 'east' }), 'east');
+});
@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    VANILLA_PACK_ID, stripJsonComments, parsePackManifest, findPacksInArchive, mergeByPriority,
+    createPackEntry, ResourcePackStack, ZipPackSource,
+} from '../resource_packs.js';
+
+// Enough of the JSZip API for the pack code: files[key].async(type) and nested archives by key
+function fakeZip(files) {
+    const zip = { files: {} };
+    Object.entries(files).forEach(([key, content]) => {
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        zip.files[key] = {
+            dir: false,
+            async: async (type) => (type === 'text' ? text : (content instanceof Object && content.zip) || new TextEncoder().encode(text).buffer),
+        };
+    });
+    return zip;
+}
+
+const manifest = (name, type = 'resources', version = [1, 0, 0]) => ({
+    format_version: 2,
+    header: { name, description: `${name} pack`, uuid: `${name}-uuid`, version },
+    modules: [{ type, version }],
+});
+
+function stackOf(...names) {
+    const stack = new ResourcePackStack({ kind: 'folder', readText: async () => null, url: (path) => path, list: () => [] });
+    stack.add(names.map((name) => createPackEntry({ root: '', manifest: { name }, source: null }, { fileId: name, fileName: `${name}.mcpack` })));
+    return stack;
+}
+
+const order = (stack) => stack.packs.map((pack) => pack.name);
+
+test('stripJsonComments keeps comment-like text inside strings', () => {
+    const text = '{ // note\n "path": "textures//blocks/*stone*/", /* block */ "n": 1 }';
+    assert.deepEqual(JSON.parse(stripJsonComments(text)), { path: 'textures//blocks/*stone*/', n: 1 });
+});
+
+test('parsePackManifest reads name, version and module types', () => {
+    assert.deepEqual(parsePackManifest(manifest('Faithful', 'resources', [1, 21, 3])), {
+        name: 'Faithful', description: 'Faithful pack', version: '1.21.3', uuid: 'Faithful-uuid', types: ['resources'],
+    });
+    assert.equal(parsePackManifest({}).version, '');
+});
+
+test('an .mcaddon yields its resource packs, nested .mcpack files included, and skips behaviour packs', async () => {
+    const nested = fakeZip({ 'manifest.json': manifest('Nested'), 'textures/blocks/dirt.png': 'png' });
+    const addon = fakeZip({
+        'Addon RP/manifest.json': manifest('Addon RP'),
+        'Addon RP/blocks.json': { stone: { textures: 'stone' } },
+        'Addon BP/manifest.json': manifest('Addon BP', 'data'),
+        'extra.mcpack': { zip: nested },
+    });
+    const packs = await findPacksInArchive(addon, { loadZip: async (data) => data });
+    assert.deepEqual(packs.map(({ root, manifest: info }) => [root, info.name]), [['Addon RP/', 'Addon RP'], ['extra.mcpack/', 'Nested']]);
+    assert.equal(await packs[0].source.readText('BLOCKS.json'), JSON.stringify({ stone: { textures: 'stone' } }));
+    assert.equal(packs[0].source.has('manifest.json'), true);
+    assert.equal(packs[1].source.has('textures/blocks/dirt.png'), true);
+});
+
+test('pack names given as language keys come from texts/en_US.lang', async () => {
+    const zip = fakeZip({
+        'manifest.json': { header: { name: 'pack.name', description: 'pack.description', version: [2, 0, 0] }, modules: [{ type: 'resources' }] },
+        'texts/en_US.lang': 'pack.name=Soft Edges ## shown in the menu\npack.description=Rounded textures',
+    });
+    const [pack] = await findPacksInArchive(zip);
+    assert.equal(pack.manifest.name, 'Soft Edges');
+    assert.equal(pack.manifest.description, 'Rounded textures');
+});
+
+test('an archive without a manifest is one pack, even when zipped inside a folder', async () => {
+    const zip = fakeZip({ 'MyPack/blocks.json': '{}', 'MyPack/textures/terrain_texture.json': '{}' });
+    const packs = await findPacksInArchive(zip);
+    assert.equal(packs.length, 1);
+    assert.equal(packs[0].manifest, null);
+    assert.equal(packs[0].source.has('textures/terrain_texture.json'), true);
+    assert.deepEqual(await findPacksInArchive(fakeZip({ 'readme.txt': 'hello' })), []);
+});
+
+test('a path only matches whole folder names', () => {
+    const source = new ZipPackSource(fakeZip({ 'pack/my_blocks.json': '{}' }));
+    assert.equal(source.has('blocks.json'), false);
+});
+
+test('mergeByPriority lets higher packs win per key and records where each came from', () => {
+    const { entries, sources } = mergeByPriority([
+        { packId: 'top', entries: { stone: 'top stone' } },
+        { packId: 'vanilla', entries: { stone: 'vanilla stone', dirt: 'vanilla dirt' } },
+    ]);
+    assert.deepEqual(entries, { stone: 'top stone', dirt: 'vanilla dirt' });
+    assert.deepEqual(sources, { stone: 'top', dirt: 'vanilla' });
+});
+
+test('loadMergedJSON reads every enabled pack and skips disabled ones', async () => {
+    const stack = new ResourcePackStack();
+    const pack = (name, blocks) => createPackEntry(
+        { root: '', manifest: { name }, source: new ZipPackSource(fakeZip({ 'blocks.json': { format_version: [1, 1, 0], ...blocks } })) },
+        { fileId: name, fileName: `${name}.zip` },
+    );
+    stack.add([pack('High', { stone: { textures: 'high_stone' } }), pack('Low', { stone: { textures: 'low_stone' }, dirt: { textures: 'dirt' } })]);
+    const pick = ({ format_version, ...blocks }) => blocks;
+    let merged = await stack.loadMergedJSON('blocks.json', pick);
+    assert.equal(merged.entries.stone.textures, 'high_stone');
+    assert.deepEqual(merged.sources, { stone: 'High#', dirt: 'Low#' });
+    stack.setEnabled('High#', false);
+    merged = await stack.loadMergedJSON('blocks.json', pick);
+    assert.equal(merged.entries.stone.textures, 'low_stone');
+});
+
+test('new packs go on top, moves stay above vanilla and vanilla cannot be removed', () => {
+    const stack = stackOf('B', 'C');
+    stack.add([createPackEntry({ root: '', manifest: { name: 'A' }, source: null }, { fileId: 'A', fileName: 'A.zip' })]);
+    assert.deepEqual(order(stack), ['A', 'B', 'C', 'Vanilla']);
+    assert.equal(stack.move('A#', 5), true);
+    assert.deepEqual(order(stack), ['B', 'C', 'A', 'Vanilla']);
+    assert.equal(stack.move('B#', -1), false);
+    assert.equal(stack.move(VANILLA_PACK_ID, -1), false);
+    assert.equal(stack.remove(VANILLA_PACK_ID), false);
+    assert.equal(stack.remove('C#'), true);
+    assert.deepEqual(order(stack), ['B', 'A', 'Vanilla']);
+});
+
+test('re-adding a pack replaces it in place and keeps its switch', () => {
+    const stack = stackOf('A', 'B');
+    stack.setEnabled('B#', false);
+    stack.add([createPackEntry({ root: '', manifest: { name: 'B', version: '2.0.0' }, source: null }, { fileId: 'B', fileName: 'B.mcpack' })]);
+    assert.deepEqual(order(stack), ['A', 'B', 'Vanilla']);
+    assert.equal(stack.find('B#').enabled, false);
+    assert.equal(stack.find('B#').version, '2.0.0');
+});
+
+test('a snapshot restores order and switches', () => {
+    const saved = stackOf('A', 'B', 'C');
+    saved.move('C#', -2);
+    saved.setEnabled('A#', false);
+    saved.setEnabled(VANILLA_PACK_ID, false);
+    const snapshot = saved.snapshot();
+
+    const restored = stackOf('A', 'B', 'C', 'New');
+    restored.restore(snapshot);
+    assert.deepEqual(order(restored), ['New', 'C', 'A', 'B', 'Vanilla']);
+    assert.deepEqual(restored.packs.map((pack) => pack.enabled), [true, true, false, true, false]);
+});
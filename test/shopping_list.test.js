@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { blockToItems } from '../shopping_list.js';
+
+const itemOf = (name, states) => blockToItems({ name, states }).map(({ item, count }) => `${item} x${count}`);
+
+test('Java wall-mounted blocks cost the item they are placed from', () => {
+    assert.deepEqual(itemOf('minecraft:red_wall_banner'), ['minecraft:red_banner x1']);
+    assert.deepEqual(itemOf('minecraft:skeleton_wall_skull'), ['minecraft:skeleton_skull x1']);
+    assert.deepEqual(itemOf('minecraft:zombie_wall_head'), ['minecraft:zombie_head x1']);
+    assert.deepEqual(itemOf('minecraft:redstone_wall_torch'), ['minecraft:redstone_torch x1']);
+    assert.deepEqual(itemOf('minecraft:copper_wall_torch'), ['minecraft:copper_torch x1']);
+    assert.deepEqual(itemOf('minecraft:spruce_wall_hanging_sign'), ['minecraft:spruce_hanging_sign x1']);
+    assert.deepEqual(itemOf('minecraft:dead_brain_coral_wall_fan'), ['minecraft:dead_brain_coral_fan x1']);
+});
+
+test('Bedrock wall banners and signs keep their own names', () => {
+    assert.deepEqual(itemOf('minecraft:wall_banner'), ['minecraft:banner x1']);
+    assert.deepEqual(itemOf('minecraft:darkoak_wall_sign'), ['minecraft:dark_oak_sign x1']);
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffStructures } from '../structure_diff.js';
+import { StructureVolume } from '../structure_volume.js';
+
+// A 1 x 1 x n structure holding the given blocks in a row
+function row(blocks) {
+    const palette = blocks.map(([name, states = {}]) => ({ name, states }));
+    const size = { x: 1, y: 1, z: blocks.length };
+    const volume = new StructureVolume(size, palette);
+    blocks.forEach((_, z) => { volume.primary[volume.index(0, 0, z)] = z; });
+    return { size, palette, volume };
+}
+
+test('the material delta counts blocks, not the items they are built from', () => {
+    const previous = row([['minecraft:stone_block_slab'], ['minecraft:wall_banner'], ['minecraft:stone']]);
+    const current = row([['minecraft:double_stone_block_slab'], ['minecraft:standing_banner'], ['minecraft:stone']]);
+    const delta = Object.fromEntries(diffStructures(current, previous).materialDelta.map(({ block, before, after, delta }) => [block, [before, after, delta]]));
+    assert.deepEqual(delta, {
+        'minecraft:double_stone_block_slab': [0, 1, 1],
+        'minecraft:standing_banner': [0, 1, 1],
+        'minecraft:stone_block_slab': [1, 0, -1],
+        'minecraft:wall_banner': [1, 0, -1],
+    });
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStructureFile, NBT, StructureValidationError } from '../core.js';
+import { buildMCStructureFixture } from './helpers/fixtures.js';
+
+// The fixture with its tree changed by `edit` before being written out again
+function editedFixture(edit) {
+    const root = NBT.parse(buildMCStructureFixture(), { littleEndian: true });
+    edit(root);
+    return NBT.write(root);
+}
+
+const codes = (issues) => issues.map((issue) => issue.code);
+
+test('a well-formed file has no problems', async () => {
+    const { diagnostics } = await loadStructureFile(buildMCStructureFixture());
+    assert.deepEqual(diagnostics.errors, []);
+    assert.deepEqual(diagnostics.warnings, []);
+});
+
+test('out-of-range palette indices are reported with their path and loaded as void', async () => {
+    const bytes = editedFixture((root) => { root.structure.block_indices[0][5] = 999; });
+    const structure = await loadStructureFile(bytes);
+    const issue = structure.diagnostics.errors.find((error) => error.code === 'palette-index-range');
+    assert.ok(issue, codes(structure.diagnostics.errors).join(', '));
+    assert.match(issue.path, /block_indices/);
+    assert.equal(structure.volume.primary[5], -1);
+});
+
+test('strict loads refuse files with errors', async () => {
+    const bytes = editedFixture((root) => { root.structure.block_indices[0][5] = 999; });
+    await assert.rejects(loadStructureFile(bytes, { strict: true }), (error) => {
+        assert.ok(error instanceof StructureValidationError);
+        assert.ok(error.diagnostics.errors.length > 0);
+        return true;
+    });
+});
+
+test('a missing world origin is only a warning', async () => {
+    const bytes = editedFixture((root) => { delete root.structure_world_origin; });
+    const { diagnostics } = await loadStructureFile(bytes, { strict: true });
+    assert.deepEqual(diagnostics.errors, []);
+    assert.ok(diagnostics.warnings.length > 0);
+});
+
+test('truncated files fail with the byte offset of the damage', async () => {
+    const bytes = buildMCStructureFixture();
+    await assert.rejects(loadStructureFile(bytes.subarray(0, 200)), (error) => {
+        const [issue] = error.diagnostics.errors;
+        assert.equal(issue.code, 'nbt-parse');
+        assert.ok(Number.isInteger(issue.offset) && issue.offset <= 200);
+        return true;
+    });
+});
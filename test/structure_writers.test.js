@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { loadStructureFile, writeStructureFile, describeDroppedData, findUntranslatedStates, getDefaultBlockTranslator, NBT, TAG } from '../core.js';
+import { tag, buildNBT } from './helpers/nbt_bytes.js';
+
+const intList = (values) => tag('list', values.map((value) => tag('int', value)), 'int');
+const doubleList = (values) => tag('list', values.map((value) => tag('double', value)), 'double');
+
+// A 2x1x1 vanilla .nbt: a chest holding five diamonds and a stone block, with an armor stand
+function buildChestRoomFixture() {
+    return buildNBT({
+        DataVersion: tag('int', 3465),
+        size: intList([2, 1, 1]),
+        palette: tag('list', [
+            tag('compound', { Name: tag('string', 'minecraft:chest'), Properties: tag('compound', { facing: tag('string', 'north'), type: tag('string', 'single'), waterlogged: tag('string', 'false') }) }),
+            tag('compound', { Name: tag('string', 'minecraft:stone') }),
+        ], 'compound'),
+        blocks: tag('list', [
+            tag('compound', {
+                pos: intList([0, 0, 0]),
+                state: tag('int', 0),
+                nbt: tag('compound', {
+                    id: tag('string', 'minecraft:chest'),
+                    Items: tag('list', [tag('compound', { Slot: tag('byte', 0), id: tag('string', 'minecraft:diamond'), Count: tag('byte', 5) })], 'compound'),
+                }),
+            }),
+            tag('compound', { pos: intList([1, 0, 0]), state: tag('int', 1) }),
+        ], 'compound'),
+        entities: tag('list', [
+            tag('compound', {
+                pos: doubleList([1.5, 0, 0.5]),
+                blockPos: intList([1, 0, 0]),
+                nbt: tag('compound', { id: tag('string', 'minecraft:armor_stand'), Invisible: tag('byte', 1) }),
+            }),
+        ], 'compound'),
+    });
+}
+
+// A 1x1x1 .mcstructure: oak stairs with water in the secondary layer
+function buildWaterloggedFixture() {
+    const block = (name, states = {}) => tag('compound', { name: tag('string', name), states: tag('compound', states), version: tag('int', 17959425) });
+    return buildNBT({
+        format_version: tag('int', 1),
+        size: intList([1, 1, 1]),
+        structure: tag('compound', {
+            block_indices: tag('list', [intList([0]), intList([1])], 'list'),
+            entities: tag('list', [], 'end'),
+            palette: tag('compound', {
+                default: tag('compound', {
+                    block_palette: tag('list', [
+                        block('minecraft:oak_stairs', { weirdo_direction: tag('int', 0), upside_down_bit: tag('byte', 0) }),
+                        block('minecraft:water', { liquid_depth: tag('int', 0) }),
+                    ], 'compound'),
+                    block_position_data: tag('compound', {}),
+                }),
+            }),
+        }),
+        structure_world_origin: intList([0, 0, 0]),
+    }, { littleEndian: true });
+}
+
+const readJava = (bytes) => NBT.parse(zlib.gunzipSync(bytes), { littleEndian: false });
+
+for (const format of ['nbt', 'schem']) {
+    test(`Java to .${format} keeps container contents and entities with their tag types`, async () => {
+        const source = await loadStructureFile(buildChestRoomFixture());
+        assert.equal(describeDroppedData(source, format), null);
+        const written = writeStructureFile(source, format, { translator: await getDefaultBlockTranslator() });
+        const reloaded = await loadStructureFile(written);
+
+        const [chest] = reloaded.blockEntities.values();
+        assert.deepEqual({ x: chest.x, y: chest.y, z: chest.z }, { x: 0, y: 0, z: 0 });
+        assert.equal(chest.data.id, 'minecraft:chest');
+        assert.equal(chest.data.Items[0].Count, 5);
+        assert.equal(NBT.getTagType(chest.data.Items[0], 'Count'), TAG.BYTE);
+
+        assert.equal(reloaded.entities.length, 1);
+        assert.equal(reloaded.entities[0].identifier, 'minecraft:armor_stand');
+        assert.deepEqual(reloaded.entities[0].position, { x: 1.5, y: 0, z: 0.5 });
+    });
+}
+
+test('Java to .mcstructure says which block entities and entities it leaves out', async () => {
+    const source = await loadStructureFile(buildChestRoomFixture());
+    assert.match(describeDroppedData(source, 'mcstructure'), /1 block entity .* and 1 entity can't be converted to Bedrock Edition/);
+});
+
+test('Bedrock to Java lists the block states it can only write in part', async () => {
+    const translator = await getDefaultBlockTranslator();
+    const source = await loadStructureFile(buildWaterloggedFixture());
+    assert.deepEqual(findUntranslatedStates(source, 'nbt', translator), []);
+    const palette = [
+        { name: 'minecraft:smooth_quartz', states: { pillar_axis: 'y' } },
+        { name: 'minecraft:oak_stairs', states: { weirdo_direction: 0, upside_down_bit: 0 } },
+    ];
+    const [issue, ...rest] = findUntranslatedStates({ format: 'mcstructure', palette }, 'schem', translator);
+    assert.deepEqual(rest, []);
+    assert.deepEqual({ blockState: issue.blockState, unmapped: issue.unmapped }, { blockState: 'minecraft:smooth_quartz[pillar_axis=y]', unmapped: ['pillar_axis'] });
+    assert.deepEqual(findUntranslatedStates({ format: 'mcstructure', palette }, 'mcstructure', translator), []);
+});
+
+for (const format of ['nbt', 'schem']) {
+    test(`water in the secondary layer becomes waterlogged=true in .${format}`, async () => {
+        const source = await loadStructureFile(buildWaterloggedFixture());
+        const root = readJava(writeStructureFile(source, format, { translator: await getDefaultBlockTranslator() }));
+        const states = format === 'nbt'
+            ? root.palette.map(({ Name, Properties }) => `${Name}[waterlogged=${Properties?.waterlogged}]`)
+            : Object.keys(root.Palette);
+        assert.ok(states.some((state) => /oak_stairs\[.*waterlogged=true/.test(state)), states.join(' '));
+    });
+}
+
+test('waterlogged Java blocks load with water in the secondary layer and write back waterlogged', async () => {
+    const bytes = buildNBT({
+        DataVersion: tag('int', 3465),
+        size: intList([2, 1, 1]),
+        palette: tag('list', [
+            tag('compound', { Name: tag('string', 'minecraft:oak_stairs'), Properties: tag('compound', { facing: tag('string', 'east'), half: tag('string', 'bottom'), shape: tag('string', 'straight'), waterlogged: tag('string', 'true') }) }),
+            tag('compound', { Name: tag('string', 'minecraft:oak_stairs'), Properties: tag('compound', { facing: tag('string', 'east'), half: tag('string', 'bottom'), shape: tag('string', 'straight'), waterlogged: tag('string', 'false') }) }),
+        ], 'compound'),
+        blocks: tag('list', [0, 1].map((state) => tag('compound', { pos: intList([state, 0, 0]), state: tag('int', state) })), 'compound'),
+        entities: tag('list', [], 'end'),
+    });
+    const structure = await loadStructureFile(bytes);
+    const { volume, palette } = structure;
+    assert.equal(palette[volume.getSecondary(0, 0, 0)]?.name, 'minecraft:water');
+    assert.equal(volume.getSecondary(1, 0, 0), -1);
+    assert.deepEqual(structure.diagnostics.warnings, []);
+
+    const root = readJava(writeStructureFile(structure, 'nbt'));
+    const waterlogged = root.blocks
+        .sort((a, b) => a.pos[0] - b.pos[0])
+        .map((block) => root.palette[block.state].Properties.waterlogged);
+    assert.deepEqual(waterlogged, ['true', 'false']);
+});
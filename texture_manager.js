@@ -1,60 +1,19 @@
+import { parseGeometryFile, readFacing } from './block_models.js';
+import { ResourcePackStack, FolderPackSource, findPacksInArchive, createPackEntry, stripJsonComments } from './resource_packs.js';
+
 const RESOURCE_PACK_BASE_PATH = './resource_pack';
 const FACE_ORDER = ['east', 'west', 'up', 'down', 'south', 'north'];
 const HORIZONTAL_FACES = ['north', 'east', 'south', 'west'];
 const DIRECTION_INDEX = { north: 0, east: 1, south: 2, west: 3 };
-const FACING_FROM_INDEX = ['south', 'west', 'north', 'east'];
-
-function stripJsonComments(input = '') {
-    let output = '';
-    let inString = false;
-    let escaped = false;
-
-    for (let i = 0; i < input.length; i++) {
-        const char = input[i];
-        const next = input[i + 1];
-
-        if (inString) {
-            output += char;
-            if (escaped) {
-                escaped = false;
-            } else if (char === '\\') {
-                escaped = true;
-            } else if (char === '"') {
-                inString = false;
-            }
-            continue;
-        }
-
-        if (char === '"') {
-            inString = true;
-            output += char;
-            continue;
-        }
-
-        if (char === '/' && next === '/') {
-            while (i < input.length && input[i] !== '\n') {
-                i++;
-            }
-            output += '\n';
-            continue;
-        }
-
-        if (char === '/' && next === '*') {
-            i += 2;
-            while (i < input.length && !(input[i] === '*' && input[i + 1] === '/')) {
-                i++;
-            }
-            i++;
-            continue;
-        }
-
-        output += char;
-    }
-
-    return output;
-}
 
-function normalizeTextureMap(textureEntry, fallbackId) {
+/**
+ * Per-face texture ids from a blocks.json `textures` entry: a single id, or an object with
+ * default / side / up / down / north ... keys (top, bottom, front and back are accepted too).
+ * @param {string|object} textureEntry
+ * @param {string} [fallbackId] - Used for faces the entry doesn't name.
+ * @returns {{up: string, down: string, north: string, south: string, east: string, west: string}}
+ */
+export function normalizeTextureMap(textureEntry, fallbackId) {
     const faces = {
         up: null,
         down: null,
@@ -111,7 +70,14 @@ function normalizeTextureMap(textureEntry, fallbackId) {
     return faces;
 }
 
-function applyAxisOrientation(faces, axis) {
+/**
+ * Turns a pillar's faces for its axis: the up/down (end) textures move to east/west for 'x'
+ * and to south/north for 'z'.
+ * @param {object} faces - From normalizeTextureMap.
+ * @param {'x'|'y'|'z'} [axis]
+ * @returns {object} A new face map.
+ */
+export function applyAxisOrientation(faces, axis) {
     if (!axis || axis === 'y') {
         return { ...faces };
     }
@@ -131,7 +97,14 @@ function applyAxisOrientation(faces, axis) {
     return result;
 }
 
-function rotateHorizontalFaces(faces, targetDirection) {
+/**
+ * Rotates the side faces around Y so the south (front) face ends up facing targetDirection.
+ * Other values ('up', 'down', null) leave the faces as they are.
+ * @param {object} faces - From normalizeTextureMap.
+ * @param {string} [targetDirection]
+ * @returns {object} A new face map.
+ */
+export function rotateHorizontalFaces(faces, targetDirection) {
     if (!targetDirection) {
         return { ...faces };
     }
@@ -153,43 +126,22 @@ function rotateHorizontalFaces(faces, targetDirection) {
     return rotated;
 }
 
-function resolveFacing(states = {}) {
-    if (!states) return null;
-
-    const facing =
-        states.facing ||
-        states['minecraft:facing'] ||
-        states['minecraft:cardinal_direction'] ||
-        states.cardinal_direction;
-    if (typeof facing === 'string') {
-        return facing;
-    }
-
-    const numeric =
-        states.facing_direction ??
-        states['minecraft:facing_direction'] ??
-        states.direction;
-    if (typeof numeric === 'number') {
-        return FACING_FROM_INDEX[Math.abs(numeric) % FACING_FROM_INDEX.length];
-    }
-
-    return null;
-}
-
 export class ResourcePackTextureManager {
     constructor(basePath = RESOURCE_PACK_BASE_PATH) {
         this.basePath = basePath.replace(/\/$/, '');
         this.blocksDataPromise = null;
         this.terrainDataPromise = null;
+        this.geometryPromise = null;
         this.textureCache = new Map();
         this.materialCache = new Map();
         this.previewCache = new Map();
         this.textureLoader = new THREE.TextureLoader();
         this.tgaLoader = this.createTgaLoader();
         this.fallbackVisual = null;
-        this.sourceMode = 'static';
-        this.zip = null;
-        this.zipLookupCache = new Map();
+        // Packs textures are looked up in, highest priority first, over the vanilla folder
+        this.stack = new ResourcePackStack(new FolderPackSource(this.basePath));
+        // Pack each loaded texture came from, by texture id (null when none had it)
+        this.textureOrigins = new Map();
     }
 
     createTgaLoader() {
@@ -203,47 +155,118 @@ export class ResourcePackTextureManager {
     resetCaches(resetTextures = false) {
         this.blocksDataPromise = null;
         this.terrainDataPromise = null;
+        this.geometryPromise = null;
         if (resetTextures) {
             this.textureCache.forEach((tex) => tex?.dispose?.());
             this.textureCache.clear();
+            this.textureOrigins.clear();
             this.materialCache.clear();
             this.previewCache.clear();
         }
     }
 
-    async setZipFile(file) {
+    /**
+     * Opens a .zip, .mcpack or .mcaddon and puts the resource packs in it on top of the stack
+     * (an .mcaddon may hold several; its behaviour packs are skipped).
+     * @param {Blob} file
+     * @param {{fileId: string, fileName?: string}} source - Library id the file is kept under.
+     * @returns {Promise<object[]>} The stack entries added.
+     */
+    async addPackFile(file, { fileId, fileName = file.name }) {
         if (typeof JSZip === 'undefined') {
             throw new Error('JSZip library is required to load resource packs.');
         }
-        this.zip = await JSZip.loadAsync(file);
-        this.sourceMode = 'zip';
-        this.zipLookupCache = new Map();
+        const zip = await JSZip.loadAsync(file);
+        const packs = await findPacksInArchive(zip, { loadZip: (data) => JSZip.loadAsync(data) });
+        if (!packs.length) {
+            throw new Error(`${fileName} doesn't contain a resource pack (no manifest.json, blocks.json or textures folder).`);
+        }
+        const entries = packs.map((pack) => createPackEntry(pack, { fileId, fileName }));
+        this.stack.add(entries);
         this.resetCaches(true);
+        return entries;
     }
 
-    clearZipSource() {
-        this.zip = null;
-        this.sourceMode = 'static';
-        this.zipLookupCache = new Map();
-        this.resetCaches(true);
+    removePack(id) {
+        return this.changeStack(this.stack.remove(id));
+    }
+
+    movePack(id, offset) {
+        return this.changeStack(this.stack.move(id, offset));
+    }
+
+    setPackEnabled(id, enabled) {
+        return this.changeStack(this.stack.setEnabled(id, enabled));
+    }
+
+    restorePackOrder(snapshot) {
+        this.stack.restore(snapshot);
+        return this.changeStack(true);
+    }
+
+    // Every texture may now come from a different pack, so nothing loaded so far can be reused
+    changeStack(changed) {
+        if (changed) this.resetCaches(true);
+        return changed;
     }
 
     async loadBlocksData() {
         if (!this.blocksDataPromise) {
-            this.blocksDataPromise = this.readTextFile('blocks.json').then((text) => JSON.parse(text));
+            this.blocksDataPromise = this.stack.loadMergedJSON('blocks.json', ({ format_version, ...blocks }) => blocks)
+                .then(({ entries }) => entries);
         }
         return this.blocksDataPromise;
     }
 
     async loadTerrainData() {
         if (!this.terrainDataPromise) {
-            this.terrainDataPromise = this.readTextFile('textures/terrain_texture.json').then((text) =>
-                JSON.parse(stripJsonComments(text))
-            );
+            this.terrainDataPromise = this.stack.loadMergedJSON('textures/terrain_texture.json', (json) => json?.texture_data)
+                .then(({ entries }) => ({ texture_data: entries }));
         }
         return this.terrainDataPromise;
     }
 
+    /**
+     * Reads every Bedrock geometry file under models/blocks/ in the enabled packs; higher packs win
+     * per identifier. Only archives can be listed, so the vanilla folder has none.
+     * @returns {Promise<Map<string, {key: string, boxes: object[]}>>} Models by geometry identifier.
+     */
+    async loadBlockGeometries() {
+        if (!this.geometryPromise) {
+            this.geometryPromise = (async () => {
+                const models = new Map();
+                for (const pack of [...this.stack.enabledPacks].reverse()) {
+                    for (const path of pack.source.list(/(^|\/)models\/blocks\/.+\.json$/i)) {
+                        try {
+                            const json = JSON.parse(stripJsonComments(await pack.source.readText(path)));
+                            parseGeometryFile(json).forEach((model, identifier) => models.set(identifier, model));
+                        } catch (e) {
+                            console.warn(`Skipping unreadable block geometry ${path} in ${pack.name}`, e);
+                        }
+                    }
+                }
+                console.log(`Loaded ${models.size} block geometr${models.size === 1 ? 'y' : 'ies'} from the resource packs.`);
+                return models;
+            })();
+        }
+        return this.geometryPromise;
+    }
+
+    /**
+     * The resource pack's geometry for a block: the one its blocks.json entry names in "geometry",
+     * or else "geometry.<block name>" (with or without the namespace).
+     * @param {{name: string}} entry - Palette entry.
+     * @returns {Promise<{key: string, boxes: object[]}|null>}
+     */
+    async getPackModel(entry) {
+        const models = await this.loadBlockGeometries();
+        if (models.size === 0) return null;
+        const definition = await this.getBlockDefinition(entry.name).catch(() => null);
+        const name = this.normalizeBlockName(String(entry.name));
+        const candidates = [definition?.geometry, `geometry.${name}`, `geometry.${name.replace(':', '.')}`, `geometry.${name.split(':').pop()}`];
+        return candidates.map((identifier) => identifier && models.get(identifier)).find(Boolean) ?? null;
+    }
+
     normalizeBlockName(name = '') {
         return name.replace(/^minecraft:/, '');
     }
@@ -291,8 +314,19 @@ export class ResourcePackTextureManager {
         const record = await this.getTextureRecord(textureId);
         const texturePath = this.resolveTexturePath(record, textureId);
 
-        let texture = await this.loadTextureByPath(texturePath).catch(() => null);
+        // The first enabled pack that has the file supplies it, whichever pack defined the record
+        let texture = null;
+        for (const pack of this.stack.enabledPacks) {
+            texture = await this.loadTextureByPath(pack, texturePath).catch(() => null);
+            if (texture) {
+                texture.userData.packId = pack.id;
+                texture.userData.packName = pack.name;
+                this.textureOrigins.set(cacheKey, { packId: pack.id, packName: pack.name, path: texture.userData.sourcePath });
+                break;
+            }
+        }
         if (!texture && textureId !== 'missing') {
+            this.textureOrigins.set(cacheKey, null);
             texture = await this.loadTextureAsset('missing');
         }
 
@@ -308,11 +342,11 @@ export class ResourcePackTextureManager {
         return texture;
     }
 
-    async loadTextureByPath(texturePath) {
+    async loadTextureByPath(pack, texturePath) {
         const normalized = texturePath.replace(/^\.\//, '');
         const candidates = [`${normalized}.png`, `${normalized}.tga`];
         for (const candidate of candidates) {
-            const texture = await this.loadTextureCandidate(candidate);
+            const texture = await this.loadTextureCandidate(pack, candidate);
             if (texture) {
                 return texture;
             }
@@ -320,19 +354,18 @@ export class ResourcePackTextureManager {
         return null;
     }
 
-    async loadTextureCandidate(candidatePath) {
+    async loadTextureCandidate(pack, candidatePath) {
         const isTga = candidatePath.toLowerCase().endsWith('.tga');
         if (isTga && !this.tgaLoader) {
             return null;
         }
         const loader = isTga ? this.tgaLoader : this.textureLoader;
 
-        if (this.sourceMode === 'zip') {
-            const fileEntry = await this.findZipEntry(candidatePath);
-            if (!fileEntry) {
+        if (pack.source.kind === 'zip') {
+            const arrayBuffer = await pack.source.readBytes(candidatePath);
+            if (!arrayBuffer) {
                 return null;
             }
-            const arrayBuffer = await fileEntry.async('arraybuffer');
             const blob = new Blob([arrayBuffer], { type: isTga ? 'image/x-tga' : 'image/png' });
             const objectUrl = URL.createObjectURL(blob);
             try {
@@ -364,7 +397,7 @@ export class ResourcePackTextureManager {
             }
         }
 
-        const url = `${this.basePath}/${candidatePath}`;
+        const url = pack.source.url(candidatePath);
         try {
             const texture = await this.loadTextureFromUrl(url, loader);
             texture.userData = texture.userData || {};
@@ -386,6 +419,9 @@ export class ResourcePackTextureManager {
         texture.encoding = THREE.sRGBEncoding;
         texture.magFilter = THREE.NearestFilter;
         texture.minFilter = THREE.LinearMipMapLinearFilter;
+        // Greedy-merged chunk quads span several blocks and tile the texture once per block
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
 
         try {
             const img = texture.image;
@@ -439,7 +475,7 @@ export class ResourcePackTextureManager {
 
     getMaterialKey(entry) {
         const axis = entry.states?.pillar_axis ?? entry.states?.axis ?? 'y';
-        const facing = resolveFacing(entry.states) ?? 'south';
+        const facing = readFacing(entry.states, entry.name) ?? 'south';
         return `${entry.name}|axis:${axis}|facing:${facing}`;
     }
 
@@ -473,7 +509,10 @@ export class ResourcePackTextureManager {
         const previewTexture = textures[2] || textures[4] || textures.find(Boolean);
         const previewSrc = this.getTexturePreviewSrc(previewTexture);
 
-    const visual = { materials: materials.map(m => m || new THREE.MeshStandardMaterial({ color: 0x8e8e8e })), previewSrc };
+        // Per face: the texture id and the pack its image came from (null when it fell back to missing)
+        const textureSources = FACE_ORDER.map((face) => ({ face, textureId: faceMap[face], origin: this.textureOrigins.get(faceMap[face] || 'missing') ?? null }));
+
+    const visual = { materials: materials.map(m => m || new THREE.MeshStandardMaterial({ color: 0x8e8e8e })), previewSrc, renderMethod, textureSources };
         this.materialCache.set(key, visual);
         return visual;
     }
@@ -483,7 +522,7 @@ export class ResourcePackTextureManager {
         const baseTextures = blockDefinition?.textures ?? fallbackId;
         const baseMap = normalizeTextureMap(baseTextures, fallbackId);
         const withAxis = applyAxisOrientation(baseMap, entry.states?.pillar_axis ?? entry.states?.axis);
-        const facing = resolveFacing(entry.states);
+        const facing = readFacing(entry.states, entry.name);
         return rotateHorizontalFaces(withAxis, facing);
     }
 
@@ -539,6 +578,7 @@ export class ResourcePackTextureManager {
             this.fallbackVisual = {
                 materials: Array(6).fill(fallbackMaterial),
                 previewSrc: '',
+                renderMethod: 'opaque',
             };
         }
         return this.fallbackVisual;
@@ -552,47 +592,5 @@ export class ResourcePackTextureManager {
         this.previewCache.set(blockName, visual.previewSrc);
         return visual.previewSrc;
     }
-
-    async readTextFile(path) {
-        if (this.sourceMode === 'zip') {
-            const file = await this.findZipEntry(path);
-            if (!file) {
-                throw new Error(`Missing file in resource pack: ${path}`);
-            }
-            return file.async('text');
-        }
-        const url = `${this.basePath}/${path.replace(/^\.\//, '')}`;
-        const res = await fetch(url);
-        if (!res.ok) {
-            throw new Error(`Unable to load ${path} from resource pack.`);
-        }
-        return res.text();
-    }
-
-    async findZipEntry(path) {
-        if (!this.zip) return null;
-        const normalized = path.replace(/^\.\//, '').toLowerCase();
-        if (this.zipLookupCache.has(normalized)) {
-            const cachedKey = this.zipLookupCache.get(normalized);
-            return this.zip.files[cachedKey] || null;
-        }
-
-        const direct = this.zip.files[normalized];
-        if (direct && !direct.dir) {
-            this.zipLookupCache.set(normalized, normalized);
-            return direct;
-        }
-
-        const matchKey = Object.keys(this.zip.files).find((key) => {
-            const entry = this.zip.files[key];
-            return !entry.dir && key.toLowerCase().endsWith(normalized);
-        });
-
-        if (matchKey) {
-            this.zipLookupCache.set(normalized, matchKey);
-            return this.zip.files[matchKey];
-        }
-        return null;
-    }
 }
 